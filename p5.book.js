@@ -4,7 +4,7 @@
  * MIT License — https://github.com/munusshih/p5.book
  * (c) Munus Shih
  */
-(()=>{var UNITS=["in","cm","mm","px","pt"];var MM_PER_UNIT={in:25.4,cm:10,mm:1,pt:25.4/72,px:25.4/96};var viewer_default=":root {\n    --p5book-font: monospace;\n    --p5book-font-size: 20px;\n    --p5book-bg: #ffffff;\n    --p5book-toolbar-pad: 12px 20px;\n    --p5book-gap: 12px;\n    --p5book-thumb-h: 180px;\n}\n\n.p5book-viewer {\n    position: fixed;\n    inset: 0;\n    z-index: 99999;\n    background: var(--p5book-bg);\n    display: flex;\n    flex-direction: column;\n    font-family: var(--p5book-font);\n    font-size: var(--p5book-font-size);\n}\n\n.p5book-toolbar {\n    display: flex;\n    align-items: center;\n    gap: var(--p5book-gap);\n    padding: var(--p5book-toolbar-pad);\n    flex-shrink: 0;\n    flex-wrap: wrap;\n}\n\n.p5book-toolbar b,\n.p5book-toolbar button,\n.p5book-toolbar select {\n    font-size: var(--p5book-font-size);\n}\n\n.p5book-chk-label {\n    display: flex;\n    align-items: center;\n    gap: 6px;\n    font-family: var(--p5book-font);\n    font-size: var(--p5book-font-size);\n    cursor: pointer;\n    user-select: none;\n}\n\n.p5book-chk-label input[type=checkbox] {\n    width: 1em;\n    height: 1em;\n    cursor: pointer;\n}\n\n.p5book-stage {\n    flex: 1;\n    overflow: auto;\n    display: flex;\n    align-items: flex-start;\n    justify-content: flex-start;\n}\n\n.p5book-flipbook {\n    display: flex;\n    flex-direction: column;\n    align-items: center;\n    gap: 20px;\n    padding: 32px;\n    margin: auto;\n}\n\n.p5book-flipbook img {\n    max-height: calc(100vh - 160px);\n    max-width: calc(100vw - 80px);\n    display: block;\n}\n\n.p5book-flipbook-nav {\n    display: flex;\n    align-items: center;\n    gap: 16px;\n}\n\n.p5book-flipbook-nav button,\n.p5book-flipbook-nav select {\n    font-size: var(--p5book-font-size);\n}\n\n.p5book-grid {\n    display: flex;\n    flex-wrap: wrap;\n    justify-content: center;\n    align-items: flex-start;\n    gap: var(--p5book-gap);\n    padding: 32px;\n    width: 100%;\n    box-sizing: border-box;\n}\n\n.p5book-grid-item {\n    display: flex;\n    flex-direction: column;\n    align-items: center;\n    gap: 6px;\n    cursor: pointer;\n}\n\n.p5book-grid-item img {\n    height: var(--p5book-thumb-h);\n    width: auto;\n    display: block;\n}\n\n.p5book-grid-item span {\n    font-size: calc(var(--p5book-font-size) * 0.75);\n}\n\n/* \u2500\u2500 3D viewer \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n.p5book-3d-wrap {\n    position: relative;\n    width: 100%;\n    height: 100%;\n    display: flex;\n    align-items: center;\n    justify-content: center;\n    overflow: hidden;\n}\n\n.p5book-3d-scene {\n    perspective: 1400px;\n    flex-shrink: 0;\n    cursor: grab;\n    user-select: none;\n}\n\n.p5book-3d-scene:active {\n    cursor: grabbing;\n}\n\n.p5book-3d-book {\n    position: relative;\n    transform-style: preserve-3d;\n}\n\n.p5book-3d-face {\n    position: absolute;\n    top: 0;\n    left: 0;\n    overflow: hidden;\n}\n\n.p5book-3d-face img {\n    width: 100%;\n    height: 100%;\n    display: block;\n    object-fit: fill;\n    pointer-events: none;\n    draggable: false;\n}\n\n.p5book-3d-shadow {\n    background: radial-gradient(ellipse at center, rgba(0, 0, 0, 0.35) 0%, transparent 70%);\n    height: 24px;\n    margin-top: 20px;\n    border-radius: 50%;\n    flex-shrink: 0;\n}\n\n/* info panel \u2014 bottom left, no border, transparent */\n.p5book-3d-info {\n    position: absolute;\n    bottom: 0;\n    left: 0;\n    padding: 16px 20px;\n    font-family: system-ui, sans-serif;\n    font-size: 12px;\n    line-height: 1.9;\n    opacity: 0.45;\n    pointer-events: none;\n}\n\n.p5book-3d-info dl {\n    margin: 0;\n    display: grid;\n    grid-template-columns: auto auto;\n    column-gap: 12px;\n}\n\n.p5book-3d-info dt {\n    font-weight: 600;\n    grid-column: 1;\n}\n\n.p5book-3d-info dd {\n    margin: 0;\n    grid-column: 2;\n}\n\n/* controls panel \u2014 bottom right */\n.p5book-3d-ctrl {\n    position: absolute;\n    bottom: 0;\n    right: 0;\n    display: flex;\n    flex-direction: column;\n    gap: 14px;\n    padding: 16px 20px;\n    font-family: system-ui, sans-serif;\n    font-size: 13px;\n    background: var(--p5book-bg);\n    border-top: 1px solid rgba(0, 0, 0, 0.1);\n    border-left: 1px solid rgba(0, 0, 0, 0.1);\n    pointer-events: auto;\n    min-width: 220px;\n}\n\n.p5book-3d-ctrl-group {\n    display: flex;\n    flex-direction: column;\n    gap: 8px;\n}\n\n.p5book-3d-ctrl-group-title {\n    font-size: 10px;\n    text-transform: uppercase;\n    letter-spacing: 0.08em;\n    opacity: 0.4;\n    font-weight: 600;\n}\n\n.p5book-3d-ctrl-row {\n    display: flex;\n    align-items: center;\n    gap: 10px;\n}\n\n.p5book-3d-ctrl-row label {\n    flex: 1;\n    opacity: 0.7;\n    white-space: nowrap;\n}\n\n.p5book-3d-ctrl-row input[type=range] {\n    flex: 2;\n    cursor: pointer;\n    min-width: 0;\n}\n\n.p5book-3d-ctrl-row input[type=color] {\n    width: 28px;\n    height: 22px;\n    padding: 0;\n    border: 1px solid rgba(0, 0, 0, 0.2);\n    border-radius: 3px;\n    cursor: pointer;\n    flex-shrink: 0;\n}\n\n.p5book-3d-ctrl-row span.p5b-val {\n    font-size: 11px;\n    opacity: 0.45;\n    width: 34px;\n    text-align: right;\n    flex-shrink: 0;\n}\n\n.p5book-3d-dir {\n    display: flex;\n    gap: 6px;\n}\n\n.p5book-3d-dir button {\n    flex: 1;\n    font-family: system-ui, sans-serif;\n    font-size: 13px;\n    padding: 3px 0;\n    cursor: pointer;\n    border: 1px solid rgba(0, 0, 0, 0.2);\n    background: none;\n}\n\n.p5book-3d-dir button.active {\n    background: #000;\n    color: #fff;\n    border-color: #000;\n}\n\n/* \u2500\u2500 shortcuts dialog \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n#p5book-shortcuts-dialog {\n    border: 1px solid rgba(0, 0, 0, 0.15);\n    border-radius: 8px;\n    padding: 24px 28px;\n    font-family: var(--p5book-font);\n    font-size: calc(var(--p5book-font-size) * 0.85);\n    background: var(--p5book-bg);\n    max-width: min(480px, 90vw);\n}\n\n#p5book-shortcuts-dialog::backdrop {\n    background: rgba(0, 0, 0, 0.35);\n}\n\n#p5book-shortcuts-dialog h3 {\n    margin: 0 0 14px;\n    font-size: var(--p5book-font-size);\n}\n\n#p5book-shortcuts-dialog table {\n    border-collapse: collapse;\n    width: 100%;\n}\n\n#p5book-shortcuts-dialog td {\n    padding: 5px 12px 5px 0;\n}\n\n#p5book-shortcuts-dialog kbd {\n    display: inline-block;\n    padding: 1px 6px;\n    border: 1px solid rgba(0, 0, 0, 0.25);\n    border-radius: 3px;\n    font-size: 0.9em;\n}\n\n/* \u2500\u2500 responsive \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n@media (max-width: 640px) {\n    :root {\n        --p5book-font-size: 15px;\n        --p5book-toolbar-pad: 8px 12px;\n        --p5book-gap: 6px;\n        --p5book-thumb-h: 120px;\n    }\n\n    .p5book-flipbook img {\n        max-height: calc(100vh - 200px);\n        max-width: calc(100vw - 24px);\n    }\n\n    .p5book-3d-ctrl {\n        min-width: 160px;\n        font-size: 11px;\n    }\n}";function showViewer(book){if(book._viewerShown)return;book._viewerShown=true;book._removeProgressUI();let showBleed=book._bleed>0;let viewItems=book._buildViewItems(showBleed);let current=0;let mode=book._viewerMode||"flipbook";if(!document.getElementById("p5book-styles")){const s=document.createElement("style");s.id="p5book-styles";s.textContent=viewer_default;document.head.appendChild(s)}const viewer=document.createElement("div");viewer.className="p5book-viewer";if(book._rtl)viewer.setAttribute("dir","rtl");viewer.innerHTML=`
+(()=>{var UNITS=["in","cm","mm","px","pt"];var MM_PER_UNIT={in:25.4,cm:10,mm:1,pt:25.4/72,px:25.4/96};var SHEET_SIZES={letter:[215.9,279.4],legal:[215.9,355.6],tabloid:[279.4,431.8],a5:[148,210],a4:[210,297],a3:[297,420],sra3:[320,450],"12x18":[304.8,457.2],"13x19":[330.2,482.6]};var PAPER_STOCKS={"uncoated-70gsm":{caliper:.09,cover:.3},"uncoated-80gsm":{caliper:.1,cover:.3},"uncoated-90gsm":{caliper:.11,cover:.3},"uncoated-100gsm":{caliper:.125,cover:.35},"uncoated-120gsm":{caliper:.15,cover:.35},"coated-90gsm":{caliper:.075,cover:.3},"coated-115gsm":{caliper:.095,cover:.3},"coated-130gsm":{caliper:.11,cover:.3},"coated-150gsm":{caliper:.13,cover:.35},"coated-170gsm":{caliper:.15,cover:.35},"text-50lb":{ppi:512,cover:.25},"text-60lb":{ppi:444,cover:.25},"text-70lb":{ppi:400,cover:.25},"pod-white":{ppi:444,cover:.25},"pod-cream":{ppi:400,cover:.25},"newsprint-45gsm":{caliper:.065,cover:.065}};var viewer_default=":root {\n    --p5book-font: monospace;\n    --p5book-font-size: 20px;\n    --p5book-bg: #ffffff;\n    --p5book-toolbar-pad: 12px 20px;\n    --p5book-gap: 12px;\n    --p5book-thumb-h: 180px;\n}\n\n.p5book-viewer {\n    position: fixed;\n    inset: 0;\n    z-index: 99999;\n    background: var(--p5book-bg);\n    display: flex;\n    flex-direction: column;\n    font-family: var(--p5book-font);\n    font-size: var(--p5book-font-size);\n}\n\n.p5book-toolbar {\n    display: flex;\n    align-items: center;\n    gap: var(--p5book-gap);\n    padding: var(--p5book-toolbar-pad);\n    flex-shrink: 0;\n    flex-wrap: wrap;\n}\n\n.p5book-toolbar b,\n.p5book-toolbar button,\n.p5book-toolbar select {\n    font-size: var(--p5book-font-size);\n}\n\n.p5book-chk-label {\n    display: flex;\n    align-items: center;\n    gap: 6px;\n    font-family: var(--p5book-font);\n    font-size: var(--p5book-font-size);\n    cursor: pointer;\n    user-select: none;\n}\n\n.p5book-chk-label input[type=checkbox] {\n    width: 1em;\n    height: 1em;\n    cursor: pointer;\n}\n\n.p5book-warn {\n    color: #c60;\n}\n\n.p5book-stage {\n    flex: 1;\n    overflow: auto;\n    display: flex;\n    align-items: flex-start;\n    justify-content: flex-start;\n}\n\n.p5book-flipbook {\n    display: flex;\n    flex-direction: column;\n    align-items: center;\n    gap: 20px;\n    padding: 32px;\n    margin: auto;\n}\n\n.p5book-flipbook img {\n    max-height: calc(100vh - 160px);\n    max-width: calc(100vw - 80px);\n    display: block;\n}\n\n.p5book-flipbook-nav {\n    display: flex;\n    align-items: center;\n    gap: 16px;\n}\n\n.p5book-flipbook-nav button,\n.p5book-flipbook-nav select {\n    font-size: var(--p5book-font-size);\n}\n\n.p5book-grid {\n    display: flex;\n    flex-wrap: wrap;\n    justify-content: center;\n    align-items: flex-start;\n    gap: var(--p5book-gap);\n    padding: 32px;\n    width: 100%;\n    box-sizing: border-box;\n}\n\n.p5book-grid-item {\n    display: flex;\n    flex-direction: column;\n    align-items: center;\n    gap: 6px;\n    cursor: pointer;\n}\n\n.p5book-grid-item img {\n    height: var(--p5book-thumb-h);\n    width: auto;\n    display: block;\n}\n\n.p5book-grid-item span {\n    font-size: calc(var(--p5book-font-size) * 0.75);\n}\n\n.p5book-grid-item.p5book-added img {\n    outline: 1px dashed #c60;\n    outline-offset: 2px;\n}\n\n/* \u2500\u2500 preflight \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n.p5book-preflight {\n    display: flex;\n    flex-direction: column;\n    gap: var(--p5book-gap);\n    padding: 32px;\n    width: 100%;\n    max-width: 1000px;\n    box-sizing: border-box;\n    font-size: calc(var(--p5book-font-size) * 0.75);\n}\n\n.p5book-preflight-item {\n    display: flex;\n    align-items: center;\n    gap: var(--p5book-gap);\n}\n\n.p5book-preflight-item img {\n    height: calc(var(--p5book-thumb-h) / 3);\n    width: auto;\n    display: block;\n}\n\n.p5book-preflight-item.p5book-jump {\n    cursor: pointer;\n}\n\n.p5book-preflight-item.p5book-jump:hover {\n    text-decoration: underline;\n}\n\n/* \u2500\u2500 3D viewer \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n.p5book-3d-wrap {\n    position: relative;\n    width: 100%;\n    height: 100%;\n    display: flex;\n    align-items: center;\n    justify-content: center;\n    overflow: hidden;\n}\n\n.p5book-3d-scene {\n    perspective: 1400px;\n    flex-shrink: 0;\n    cursor: grab;\n    user-select: none;\n}\n\n.p5book-3d-scene:active {\n    cursor: grabbing;\n}\n\n.p5book-3d-book {\n    position: relative;\n    transform-style: preserve-3d;\n}\n\n.p5book-3d-face {\n    position: absolute;\n    top: 0;\n    left: 0;\n    overflow: hidden;\n}\n\n.p5book-3d-face img {\n    width: 100%;\n    height: 100%;\n    display: block;\n    object-fit: fill;\n    pointer-events: none;\n    draggable: false;\n}\n\n.p5book-3d-shadow {\n    background: radial-gradient(ellipse at center, rgba(0, 0, 0, 0.35) 0%, transparent 70%);\n    height: 24px;\n    margin-top: 20px;\n    border-radius: 50%;\n    flex-shrink: 0;\n}\n\n/* info panel \u2014 bottom left, no border, transparent */\n.p5book-3d-info {\n    position: absolute;\n    bottom: 0;\n    left: 0;\n    padding: 16px 20px;\n    font-family: system-ui, sans-serif;\n    font-size: 12px;\n    line-height: 1.9;\n    opacity: 0.45;\n    pointer-events: none;\n}\n\n.p5book-3d-info dl {\n    margin: 0;\n    display: grid;\n    grid-template-columns: auto auto;\n    column-gap: 12px;\n}\n\n.p5book-3d-info dt {\n    font-weight: 600;\n    grid-column: 1;\n}\n\n.p5book-3d-info dd {\n    margin: 0;\n    grid-column: 2;\n}\n\n/* controls panel \u2014 bottom right */\n.p5book-3d-ctrl {\n    position: absolute;\n    bottom: 0;\n    right: 0;\n    display: flex;\n    flex-direction: column;\n    gap: 14px;\n    padding: 16px 20px;\n    font-family: system-ui, sans-serif;\n    font-size: 13px;\n    background: var(--p5book-bg);\n    border-top: 1px solid rgba(0, 0, 0, 0.1);\n    border-left: 1px solid rgba(0, 0, 0, 0.1);\n    pointer-events: auto;\n    min-width: 220px;\n}\n\n.p5book-3d-ctrl-group {\n    display: flex;\n    flex-direction: column;\n    gap: 8px;\n}\n\n.p5book-3d-ctrl-group-title {\n    font-size: 10px;\n    text-transform: uppercase;\n    letter-spacing: 0.08em;\n    opacity: 0.4;\n    font-weight: 600;\n}\n\n.p5book-3d-ctrl-row {\n    display: flex;\n    align-items: center;\n    gap: 10px;\n}\n\n.p5book-3d-ctrl-row label {\n    flex: 1;\n    opacity: 0.7;\n    white-space: nowrap;\n}\n\n.p5book-3d-ctrl-row input[type=range] {\n    flex: 2;\n    cursor: pointer;\n    min-width: 0;\n}\n\n.p5book-3d-ctrl-row input[type=color] {\n    width: 28px;\n    height: 22px;\n    padding: 0;\n    border: 1px solid rgba(0, 0, 0, 0.2);\n    border-radius: 3px;\n    cursor: pointer;\n    flex-shrink: 0;\n}\n\n.p5book-3d-ctrl-row span.p5b-val {\n    font-size: 11px;\n    opacity: 0.45;\n    width: 34px;\n    text-align: right;\n    flex-shrink: 0;\n}\n\n.p5book-3d-dir {\n    display: flex;\n    gap: 6px;\n}\n\n.p5book-3d-dir button {\n    flex: 1;\n    font-family: system-ui, sans-serif;\n    font-size: 13px;\n    padding: 3px 0;\n    cursor: pointer;\n    border: 1px solid rgba(0, 0, 0, 0.2);\n    background: none;\n}\n\n.p5book-3d-dir button.active {\n    background: #000;\n    color: #fff;\n    border-color: #000;\n}\n\n/* \u2500\u2500 shortcuts dialog \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n#p5book-shortcuts-dialog {\n    border: 1px solid rgba(0, 0, 0, 0.15);\n    border-radius: 8px;\n    padding: 24px 28px;\n    font-family: var(--p5book-font);\n    font-size: calc(var(--p5book-font-size) * 0.85);\n    background: var(--p5book-bg);\n    max-width: min(480px, 90vw);\n}\n\n#p5book-shortcuts-dialog::backdrop {\n    background: rgba(0, 0, 0, 0.35);\n}\n\n#p5book-shortcuts-dialog h3 {\n    margin: 0 0 14px;\n    font-size: var(--p5book-font-size);\n}\n\n#p5book-shortcuts-dialog table {\n    border-collapse: collapse;\n    width: 100%;\n}\n\n#p5book-shortcuts-dialog td {\n    padding: 5px 12px 5px 0;\n}\n\n#p5book-shortcuts-dialog kbd {\n    display: inline-block;\n    padding: 1px 6px;\n    border: 1px solid rgba(0, 0, 0, 0.25);\n    border-radius: 3px;\n    font-size: 0.9em;\n}\n\n/* \u2500\u2500 responsive \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n@media (max-width: 640px) {\n    :root {\n        --p5book-font-size: 15px;\n        --p5book-toolbar-pad: 8px 12px;\n        --p5book-gap: 6px;\n        --p5book-thumb-h: 120px;\n    }\n\n    .p5book-flipbook img {\n        max-height: calc(100vh - 200px);\n        max-width: calc(100vw - 24px);\n    }\n\n    .p5book-3d-ctrl {\n        min-width: 160px;\n        font-size: 11px;\n    }\n}";function showViewer(book){if(book._viewerShown)return;book._viewerShown=true;book._removeProgressUI();let showBleed=book._bleed>0;let showGamut=false;let showGuides=false;let showGrid=false;let viewItems=book._buildViewItems(showBleed,showGamut,showGuides,showGrid);let current=0;let mode=book._viewerMode||"flipbook";if(!document.getElementById("p5book-styles")){const s=document.createElement("style");s.id="p5book-styles";s.textContent=viewer_default;document.head.appendChild(s)}const gamutPages=book._colorProfile?book._outOfGamutPages():[];if(gamutPages.length>0)console.warn(`[p5.book] Colors outside the CMYK gamut on page(s) ${gamutPages.join(", ")}. Check "gamut" in the viewer to see where.`);const gamutTitle=gamutPages.length?`Out of CMYK gamut on page(s) ${gamutPages.join(", ")}`:"All colors are within the CMYK gamut";const profileIssues=book._profile?book._profileIssues:[];const profileTitle=(profileIssues.length?profileIssues.map(p=>p.message).join("\n"):`Meets ${book._profile?.name}`).replace(/"/g,"&quot;");const viewer=document.createElement("div");viewer.className="p5book-viewer";if(book._rtl)viewer.setAttribute("dir","rtl");viewer.innerHTML=`
     <dialog id="p5book-shortcuts-dialog">
       <h3>Keyboard shortcuts</h3>
       <table>
@@ -23,13 +23,20 @@
         <option value="flipbook">flipbook</option>
         <option value="grid">grid</option>
         <option value="3d">3d viewer</option>
+        <option value="preflight">preflight${book.preflight.length?` (${book.preflight.length})`:""}</option>
       </select>
       ${book._bleed>0?'<label class="p5book-chk-label"><input type="checkbox" id="p5book-chk-bleed" checked> bleed</label>':""}
+      <label class="p5book-chk-label" title="Margins (magenta) and safe zone (cyan)"><input type="checkbox" id="p5book-chk-guides"> guides</label>
+      ${book._grid?'<label class="p5book-chk-label" title="grid() cells and baselines"><input type="checkbox" id="p5book-chk-grid"> grid</label>':""}
+      ${book._colorProfile?`<label class="p5book-chk-label" title="${gamutTitle}"><input type="checkbox" id="p5book-chk-gamut"> gamut${gamutPages.length?` <span class="p5book-warn">&#9888; ${gamutPages.length}</span>`:""}</label>`:""}
+      ${book._profile?`<span class="p5book-chk-label" title="${profileTitle}">${book._profile.name}${profileIssues.length?` <span class="p5book-warn">&#9888; ${profileIssues.length}</span>`:" &#10003;"}</span>`:""}
       <span style="flex:1"></span>
       <select id="p5book-dl-sel">
         <option value="pdf">PDF</option>
         ${book._saddleStitch?'<option value="saddle">Saddle Stitch</option>':""}
         <option value="cover">Cover</option>
+        ${book._rawCanvases.length===8?'<option value="zine">Zine (one sheet)</option>':""}
+        ${book._inks.size>0?'<option value="inks">Ink plates</option>':""}
         <option value="frames-png">Frames (PNG)</option>
         <option value="frames-jpg">Frames (JPG)</option>
       </select>
@@ -44,14 +51,16 @@
         <div class="p5book-flipbook-nav">
           <button id="p5book-prev" ${current===0?"disabled":""}>${prevArrow}</button>
           <select id="p5book-page-select">
-            ${viewItems.map((v,i)=>`<option value="${i}"${i===current?" selected":""}>${v.label}</option>`).join("")}
+            ${viewItems.map((v,i)=>`<option value="${i}"${i===current?" selected":""}>${v.label}${v.added?" (added)":""}</option>`).join("")}
           </select>
           <button id="p5book-next" ${current===viewItems.length-1?"disabled":""}>${nextArrow}</button>
         </div>
       </div>
-    `;stage.querySelector("#p5book-prev").addEventListener("click",()=>{if(current>0){current--;renderFlipbook()}});stage.querySelector("#p5book-next").addEventListener("click",()=>{if(current<viewItems.length-1){current++;renderFlipbook()}});stage.querySelector("#p5book-page-select").addEventListener("change",e=>{current=parseInt(e.target.value);renderFlipbook()})};const renderGrid=()=>{if(animFrameId){cancelAnimationFrame(animFrameId);animFrameId=null}stage.innerHTML=`<div class="p5book-grid">${viewItems.map((item,i)=>`<div class="p5book-grid-item" data-i="${i}">
-        <img src="${item.src}" /><span>${item.label}</span>
-      </div>`).join("")}</div>`;stage.querySelectorAll(".p5book-grid-item").forEach(el=>{el.addEventListener("click",()=>{current=parseInt(el.dataset.i);setMode("flipbook")})})};let animFrameId=null;const render3D=()=>{if(animFrameId){cancelAnimationFrame(animFrameId);animFrameId=null}const trimHmm=book._trimH*(MM_PER_UNIT[book._unit]||25.4);const trimWmm=book._trimW*(MM_PER_UNIT[book._unit]||25.4);const spineMM=Math.max(3,Math.ceil((book.totalPages||1)/2)*book._pageThickMM+2);const coverH=Math.min(window.innerHeight-100,Math.max(300,Math.round((window.innerWidth-300)*trimHmm/trimWmm)));const coverW=Math.round(coverH*trimWmm/trimHmm);const spineW=Math.max(8,Math.round(coverH*spineMM/trimHmm));const frontSrc=viewItems[0].src;const backSrc=viewItems[viewItems.length-1].src;let spineSrc;if(book._spineGfx){spineSrc=book._spineGfx.canvas.toDataURL("image/png")}else{const sc=document.createElement("canvas");sc.width=Math.max(60,spineW*4);sc.height=coverH;const sctx=sc.getContext("2d");const grad=sctx.createLinearGradient(0,0,sc.width,0);grad.addColorStop(0,"#1a1a1a");grad.addColorStop(1,"#333");sctx.fillStyle=grad;sctx.fillRect(0,0,sc.width,sc.height);const title=book._filename.replace(/\.pdf$/i,"");const fs=Math.min(14,Math.max(8,spineW*.45));sctx.save();sctx.translate(sc.width/2,sc.height/2);sctx.rotate(Math.PI/2);sctx.fillStyle="#999";sctx.font=`${fs*4}px monospace`;sctx.textAlign="center";sctx.textBaseline="middle";sctx.fillText(title,0,0);sctx.restore();spineSrc=sc.toDataURL()}const hw=spineW/2;const[ecR,ecT,ecB]=book._3dColors.edge;const _edgeCache=new Map;const _makePageEdge=(w,h,bgColor,axis="x")=>{const key=`${w}x${h}:${bgColor}:${axis}`;if(_edgeCache.has(key))return _edgeCache.get(key);const px=Math.round(window.devicePixelRatio||1);const tc=document.createElement("canvas");tc.width=w*px;tc.height=h*px;const tx=tc.getContext("2d");tx.fillStyle=bgColor;tx.fillRect(0,0,tc.width,tc.height);const lineW=Math.max(1,px);const gap=Math.max(3,Math.round(4*px));tx.fillStyle="rgba(220,220,220,0.6)";if(axis==="y"){for(let y=0;y<tc.height;y+=lineW+gap){tx.fillRect(0,y,tc.width,lineW)}}else{for(let x=0;x<tc.width;x+=lineW+gap){tx.fillRect(x,0,lineW,tc.height)}}const result=tc.toDataURL();_edgeCache.set(key,result);return result};const pageEdgeH_top=_makePageEdge(coverW,spineW,ecT,"y");const pageEdgeH_bot=_makePageEdge(coverW,spineW,ecB,"y");const pageEdgeW=_makePageEdge(spineW,coverH,ecR,"x");stage.innerHTML=`
+    `;stage.querySelector("#p5book-prev").addEventListener("click",()=>{if(current>0){current--;renderFlipbook()}});stage.querySelector("#p5book-next").addEventListener("click",()=>{if(current<viewItems.length-1){current++;renderFlipbook()}});stage.querySelector("#p5book-page-select").addEventListener("change",e=>{current=parseInt(e.target.value);renderFlipbook()})};const renderGrid=()=>{if(animFrameId){cancelAnimationFrame(animFrameId);animFrameId=null}stage.innerHTML=`<div class="p5book-grid">${viewItems.map((item,i)=>`<div class="p5book-grid-item${item.added?" p5book-added":""}" data-i="${i}"${item.added?' title="Added by setPadding()"':""}>
+        <img src="${item.src}" /><span>${item.label}${item.added?' <span class="p5book-warn">+</span>':""}</span>
+      </div>`).join("")}</div>`;stage.querySelectorAll(".p5book-grid-item").forEach(el=>{el.addEventListener("click",()=>{current=parseInt(el.dataset.i);setMode("flipbook")})})};const itemOf=i=>{const n=book._previewCanvases.length;if(viewItems.length===n||i===0)return i;if(i===n-1)return viewItems.length-1;return Math.floor((i-1)/2)+1};const renderPreflight=()=>{if(animFrameId){cancelAnimationFrame(animFrameId);animFrameId=null}const found=book.preflight.sort((a,b)=>(a.page??-1)-(b.page??-1));const row=f=>{const jump=f.page!=null;const thumb=jump?`<img src="${viewItems[itemOf(f.page)].src}" />`:"";return`<div class="p5book-preflight-item${jump?" p5book-jump":""}" data-page="${jump?f.page:""}">
+        ${thumb}<span><span class="p5book-warn">&#9888; ${f.check}</span> ${f.message}</span>
+      </div>`};stage.innerHTML=`<div class="p5book-preflight">${found.length?found.map(row).join(""):`<p>${book._preflightOpts?"No problems found.":"Preflight is off (setPreflight(false))."}</p>`}</div>`;stage.querySelectorAll(".p5book-jump").forEach(el=>{el.addEventListener("click",()=>{current=itemOf(parseInt(el.dataset.page));setMode("flipbook")})})};let animFrameId=null;const render3D=()=>{if(animFrameId){cancelAnimationFrame(animFrameId);animFrameId=null}const trimHmm=book._trimH*(MM_PER_UNIT[book._unit]||25.4);const trimWmm=book._trimW*(MM_PER_UNIT[book._unit]||25.4);const spineMM=book._spineMM();const coverH=Math.min(window.innerHeight-100,Math.max(300,Math.round((window.innerWidth-300)*trimHmm/trimWmm)));const coverW=Math.round(coverH*trimWmm/trimHmm);const spineW=Math.max(8,Math.round(coverH*spineMM/trimHmm));const frontSrc=viewItems[0].src;const backSrc=viewItems[viewItems.length-1].src;let spineSrc;if(book._spineGfx){spineSrc=book._spineGfx.canvas.toDataURL("image/png")}else{const sc=document.createElement("canvas");sc.width=Math.max(60,spineW*4);sc.height=coverH;const sctx=sc.getContext("2d");const grad=sctx.createLinearGradient(0,0,sc.width,0);grad.addColorStop(0,"#1a1a1a");grad.addColorStop(1,"#333");sctx.fillStyle=grad;sctx.fillRect(0,0,sc.width,sc.height);const title=book._filename.replace(/\.pdf$/i,"");const fs=Math.min(14,Math.max(8,spineW*.45));sctx.save();sctx.translate(sc.width/2,sc.height/2);sctx.rotate(Math.PI/2);sctx.fillStyle="#999";sctx.font=`${fs*4}px monospace`;sctx.textAlign="center";sctx.textBaseline="middle";sctx.fillText(title,0,0);sctx.restore();spineSrc=sc.toDataURL()}const hw=spineW/2;const[ecR,ecT,ecB]=book._3dColors.edge;const _edgeCache=new Map;const _makePageEdge=(w,h,bgColor,axis="x")=>{const key=`${w}x${h}:${bgColor}:${axis}`;if(_edgeCache.has(key))return _edgeCache.get(key);const px=Math.round(window.devicePixelRatio||1);const tc=document.createElement("canvas");tc.width=w*px;tc.height=h*px;const tx=tc.getContext("2d");tx.fillStyle=bgColor;tx.fillRect(0,0,tc.width,tc.height);const lineW=Math.max(1,px);const gap=Math.max(3,Math.round(4*px));tx.fillStyle="rgba(220,220,220,0.6)";if(axis==="y"){for(let y=0;y<tc.height;y+=lineW+gap){tx.fillRect(0,y,tc.width,lineW)}}else{for(let x=0;x<tc.width;x+=lineW+gap){tx.fillRect(x,0,lineW,tc.height)}}const result=tc.toDataURL();_edgeCache.set(key,result);return result};const pageEdgeH_top=_makePageEdge(coverW,spineW,ecT,"y");const pageEdgeH_bot=_makePageEdge(coverW,spineW,ecB,"y");const pageEdgeW=_makePageEdge(spineW,coverH,ecR,"x");stage.innerHTML=`
       <div class="p5book-3d-wrap" id="p5book-3d-wrap">
         <div style="display:flex;flex-direction:column;align-items:center;pointer-events:none;">
           <div class="p5book-3d-scene" id="p5book-3d-scene" style="pointer-events:auto;">
@@ -100,7 +109,9 @@
             ${book._dpi?`<dt>dpi</dt><dd>${book._dpi}</dd>`:""}
             <dt>direction</dt><dd>${book._rtl?"right \u2192 left":"left \u2192 right"}</dd>
             <dt>pages</dt><dd>${book.totalPages||"?"}</dd>
-            <dt>spine</dt><dd>${spineMM.toFixed(1)} mm (${book._pageThickMM.toFixed(3)} mm/leaf)</dd>
+            ${book._profile?`<dt>profile</dt><dd>${book._profile.name}${profileIssues.length?` (${profileIssues.length} problem${profileIssues.length>1?"s":""})`:""}</dd>`:""}
+            ${book._paper?`<dt>paper</dt><dd>${book._paper}</dd>`:""}
+            <dt>spine</dt><dd>${spineMM.toFixed(1)} mm (${book._pageThickMM.toFixed(3)} mm/leaf + ${book._coverThickMM} mm cover \xD7 2)</dd>
           </dl>
         </div>
         <div class="p5book-3d-ctrl" id="p5book-3d-ctrl">
@@ -154,9 +165,10 @@
           <button id="p5b-exit" style="display:none;">back</button>
         </div>
       </div>
-    `;const bookEl=stage.querySelector("#p5book-3d-book");const sceneEl=stage.querySelector("#p5book-3d-scene");const wrapEl=stage.querySelector("#p5book-3d-wrap");const shadowEl=stage.querySelector("#p5book-3d-shadow");let rotY=-25,rotX=-8,spinSpeed=40,sizeScale=.73,spinDir=1;let autoSpin=true;const updateTransform=()=>{bookEl.style.transform=`rotateX(${rotX}deg) rotateY(${rotY}deg)`;sceneEl.style.transform=`scale(${sizeScale})`;if(shadowEl){const sinY=Math.sin(rotY*Math.PI/180);const cosX=Math.cos(rotX*Math.PI/180);const offsetX=Math.round(sinY*coverW*.08);shadowEl.style.transform=`translateX(${offsetX}px) scaleX(${Math.max(.3,Math.abs(cosX)).toFixed(3)})`;shadowEl.style.opacity=(.25+Math.abs(Math.sin(rotX*Math.PI/180))*.3).toFixed(3)}};updateTransform();const tick=()=>{if(autoSpin){rotY+=spinSpeed*.005*spinDir;updateTransform()}animFrameId=requestAnimationFrame(tick)};animFrameId=requestAnimationFrame(tick);let dragging=false,lastDX=0,lastDY=0,wasSpin=false;const sceneElDrag=sceneEl;sceneElDrag.addEventListener("pointerdown",e=>{dragging=true;lastDX=e.clientX;lastDY=e.clientY;wasSpin=autoSpin;autoSpin=false;sceneElDrag.setPointerCapture(e.pointerId)});sceneElDrag.addEventListener("pointermove",e=>{if(!dragging)return;rotY+=(e.clientX-lastDX)*.5;rotX-=(e.clientY-lastDY)*.3;rotX=Math.max(-45,Math.min(45,rotX));lastDX=e.clientX;lastDY=e.clientY;updateTransform()});sceneElDrag.addEventListener("pointerup",()=>{dragging=false;autoSpin=wasSpin});const $size=stage.querySelector("#p5b-size");const $speed=stage.querySelector("#p5b-speed");const $tilt=stage.querySelector("#p5b-tilt");$size.addEventListener("input",e=>{sizeScale=parseFloat(e.target.value)/100;stage.querySelector("#p5b-size-val").textContent=e.target.value+"%";updateTransform()});$speed.addEventListener("input",e=>{spinSpeed=parseFloat(e.target.value);autoSpin=spinSpeed>0;stage.querySelector("#p5b-speed-val").textContent=e.target.value});$tilt.addEventListener("input",e=>{rotX=parseFloat(e.target.value);stage.querySelector("#p5b-tilt-val").textContent=(rotX>=0?"+":"")+rotX+"\xB0";updateTransform()});const btnCW=stage.querySelector("#p5b-dir-cw");const btnCCW=stage.querySelector("#p5b-dir-ccw");btnCW.addEventListener("click",()=>{spinDir=1;btnCW.classList.add("active");btnCCW.classList.remove("active")});btnCCW.addEventListener("click",()=>{spinDir=-1;btnCCW.classList.add("active");btnCW.classList.remove("active")});wrapEl.style.background=book._3dColors.bg||"transparent";stage.querySelector("#p5b-bg").addEventListener("input",e=>{wrapEl.style.background=e.target.value});const _regenEdges=()=>{const cr=stage.querySelector("#p5b-edge-r")?.value||ecR;const ct=stage.querySelector("#p5b-edge-t")?.value||ecT;const cb=stage.querySelector("#p5b-edge-b")?.value||ecB;_edgeCache.delete(`${coverW}x${spineW}:${ct}:y`);_edgeCache.delete(`${coverW}x${spineW}:${cb}:y`);_edgeCache.delete(`${spineW}x${coverH}:${cr}:x`);const newTop=_makePageEdge(coverW,spineW,ct,"y");const newBot=_makePageEdge(coverW,spineW,cb,"y");const newSide=_makePageEdge(spineW,coverH,cr,"x");stage.querySelectorAll(".p5book-3d-top").forEach(img=>img.src=newTop);stage.querySelectorAll(".p5book-3d-bot").forEach(img=>img.src=newBot);const innerImg=stage.querySelector(".p5book-3d-edge img:not(.p5book-3d-pages)");if(innerImg)innerImg.src=newSide};stage.querySelector("#p5b-edge-r")?.addEventListener("input",_regenEdges);stage.querySelector("#p5b-edge-t")?.addEventListener("input",_regenEdges);stage.querySelector("#p5b-edge-b")?.addEventListener("input",_regenEdges);const _writeHash=()=>{try{const d={mode,current,rotY:Math.round(rotY*10)/10,rotX,sizeScale,spinSpeed};history.replaceState(null,"","#p5book="+btoa(JSON.stringify(d)))}catch(_){}};const _readHash=()=>{try{const raw=location.hash.replace(/^#p5book=/,"");if(!raw)return;const d=JSON.parse(atob(raw));if(typeof d.rotY==="number")rotY=d.rotY;if(typeof d.rotX==="number"){rotX=d.rotX;$tilt.value=rotX;stage.querySelector("#p5b-tilt-val").textContent=(rotX>=0?"+":"")+rotX+"\xB0"}if(typeof d.sizeScale==="number"){sizeScale=d.sizeScale;$size.value=Math.round(sizeScale*100);stage.querySelector("#p5b-size-val").textContent=`${$size.value}%`}if(typeof d.spinSpeed==="number"){spinSpeed=d.spinSpeed;autoSpin=spinSpeed>0;$speed.value=spinSpeed;stage.querySelector("#p5b-speed-val").textContent=spinSpeed}updateTransform()}catch(_){}};_readHash();[$size,$speed,$tilt].forEach(el=>el.addEventListener("change",_writeHash));[btnCW,btnCCW].forEach(btn=>btn.addEventListener("click",_writeHash));[$size,$speed,$tilt].forEach(el=>el.addEventListener("change",_writeHash));[btnCW,btnCCW].forEach(btn=>btn.addEventListener("click",_writeHash));stage.querySelector("#p5b-exit").addEventListener("click",()=>setMode("flipbook"))};const toolbar=viewer.querySelector(".p5book-toolbar");const setMode=newMode=>{mode=newMode;const modeSel=viewer.querySelector("#p5book-mode-sel");if(modeSel)modeSel.value=mode;if(mode==="flipbook")renderFlipbook();else if(mode==="grid")renderGrid();else render3D()};viewer.querySelector("#p5book-mode-sel").addEventListener("change",e=>setMode(e.target.value));if(book._bleed>0){const chk=viewer.querySelector("#p5book-chk-bleed");chk.addEventListener("change",()=>{showBleed=chk.checked;viewItems=book._buildViewItems(showBleed);if(current>=viewItems.length)current=0;if(mode==="flipbook")renderFlipbook();else if(mode==="grid")renderGrid();else render3D()})}viewer.querySelector("#p5book-btn-download").addEventListener("click",()=>{const sel=viewer.querySelector("#p5book-dl-sel");const val=sel?.value;if(val==="saddle")book.saveSaddleStitch();else if(val==="cover")book.saveCover();else if(val==="frames-png")book.exportFrames("png");else if(val==="frames-jpg")book.exportFrames("jpeg");else book.save()});viewer.querySelector("#p5book-btn-print").addEventListener("click",()=>{try{const sel=viewer.querySelector("#p5book-dl-sel");const dlType=sel?.value||"pdf";let pdf;if(dlType==="saddle"){pdf=book._buildSaddleStitchPDF()}else if(dlType==="cover"){pdf=book._buildCoverPDF()}else{pdf=book._spread?book._buildSpreadPDF():book._pdf}const baseName=(book._filename||"p5-book.pdf").replace(/\.pdf$/i,"");const fallbackName=dlType==="saddle"?`${baseName}-saddle-stitch.pdf`:dlType==="cover"?`${baseName}-cover.pdf`:`${baseName}.pdf`;const blockedPrintMsg="[p5.book] Your browser couldn't open the print dialog here.\n\nThis can happen in sandboxed/embedded previews.\n\nTry this:\n1) Click Download -> PDF\n2) Open the downloaded file\n3) Print from your PDF viewer\n\nIf you want the print button to open the dialog directly, run your sketch locally (localhost).";const blob=pdf.output("blob");const url=URL.createObjectURL(blob);const frame=document.createElement("iframe");frame.style.position="fixed";frame.style.width="0";frame.style.height="0";frame.style.border="0";frame.style.opacity="0";frame.setAttribute("aria-hidden","true");frame.src=url;document.body.appendChild(frame);let done=false;let loadTimeout=0;const cleanup=()=>{if(done)return;done=true;if(loadTimeout)window.clearTimeout(loadTimeout);try{frame.remove()}finally{URL.revokeObjectURL(url)}};const fallbackToDownload=()=>{if(done)return;cleanup();let downloaded=false;try{pdf.save(fallbackName);downloaded=true}catch{}alert(downloaded?`${blockedPrintMsg} Downloaded the PDF instead.`:blockedPrintMsg)};frame.addEventListener("error",()=>{fallbackToDownload()},{once:true});loadTimeout=window.setTimeout(()=>{fallbackToDownload()},4e3);frame.addEventListener("load",()=>{if(done)return;if(loadTimeout){window.clearTimeout(loadTimeout);loadTimeout=0}const targetWindow=frame.contentWindow;if(!targetWindow){fallbackToDownload();return}let afterPrintFired=false;try{targetWindow.addEventListener("afterprint",()=>{afterPrintFired=true;cleanup()},{once:true})}catch{}window.setTimeout(()=>{if(done)return;try{targetWindow.focus();targetWindow.print()}catch{fallbackToDownload();return}window.setTimeout(()=>{if(!afterPrintFired)cleanup()},3e4)},350)},{once:true})}catch(e){alert(e.message)}});const shortcutsDlg=viewer.querySelector("#p5book-shortcuts-dialog");viewer.querySelector("#p5book-btn-help").addEventListener("click",()=>{if(shortcutsDlg)shortcutsDlg.showModal?.()});document.addEventListener("keydown",e=>{if(["INPUT","SELECT","TEXTAREA"].includes(document.activeElement?.tagName))return;if(e.key==="?"||e.key==="/"){if(shortcutsDlg)shortcutsDlg.showModal?.();return}if(mode!=="flipbook")return;const prevKey=book._rtl?"ArrowRight":"ArrowLeft";const nextKey=book._rtl?"ArrowLeft":"ArrowRight";if((e.key===prevKey||e.key==="[")&&current>0){current=e.key==="["?0:current-1;renderFlipbook()}if((e.key===nextKey||e.key==="]")&&current<viewItems.length-1){current=e.key==="]"?viewItems.length-1:current+1;renderFlipbook()}});setMode(book._viewerMode||"flipbook")}var progress_default='/* \u2500\u2500 progress UI \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n/* Injected by Book._createProgressUI() via a <style id="p5book-progress-styles"> tag */\n\n#p5book-progress {\n    position: fixed;\n    z-index: 99998;\n    display: flex;\n    flex-direction: column;\n    pointer-events: none;\n}\n\n/* full-screen overlay variant (opt-in via { progressBar: true }) */\n#p5book-progress.is-overlay {\n    inset: 0;\n    align-items: center;\n    justify-content: center;\n    gap: 14px;\n    background: rgba(255, 255, 255, 0.92);\n    font-family: monospace;\n    font-size: 13px;\n}\n\n/* default: small non-blocking corner badge */\n#p5book-progress.is-corner {\n    bottom: 16px;\n    right: 16px;\n    align-items: flex-end;\n    gap: 6px;\n}\n\n#p5book-prog-label.is-overlay {\n    opacity: 0.5;\n}\n\n#p5book-prog-label.is-corner {\n    font-family: monospace;\n    font-size: 11px;\n    background: rgba(0, 0, 0, 0.55);\n    color: #fff;\n    padding: 4px 9px;\n    border-radius: 20px;\n    letter-spacing: 0.03em;\n}\n\n.p5book-prog-track {\n    border-radius: 2px;\n    overflow: hidden;\n}\n\n.p5book-prog-track.is-overlay {\n    width: 240px;\n    height: 3px;\n    background: rgba(0, 0, 0, 0.1);\n}\n\n.p5book-prog-track.is-corner {\n    width: 120px;\n    height: 2px;\n    background: rgba(0, 0, 0, 0.15);\n}\n\n#p5book-prog-bar {\n    height: 100%;\n    width: 0%;\n    border-radius: 2px;\n}\n\n#p5book-prog-bar.is-overlay {\n    background: #000;\n    transition: width 0.1s linear;\n}\n\n#p5book-prog-bar.is-corner {\n    background: rgba(255, 255, 255, 0.9);\n    transition: width 0.12s linear;\n}';var Book=class _Book{constructor(p,widthOrSize,heightOrPages,totalPagesOrFilename,unitOrFilename,filenameArg){if(!window.jspdf){throw new Error('[p5.book] jsPDF not found. Add this before p5.book.js:\n<script src="https://unpkg.com/jspdf@latest/dist/jspdf.umd.min.js"><\/script>')}const{jsPDF}=window.jspdf;this._p=p;const _isOpts=v=>v!==null&&v!==void 0&&typeof v==="object"&&!Array.isArray(v);let opts={};if(_isOpts(filenameArg)){opts=filenameArg;filenameArg=void 0}else if(_isOpts(unitOrFilename)){opts=unitOrFilename;unitOrFilename=void 0}else if(_isOpts(totalPagesOrFilename)){opts=totalPagesOrFilename;totalPagesOrFilename=void 0}this._imageType=(opts.imageType||"jpeg").toLowerCase();this._jpegQuality=opts.jpegQuality??.92;const autoCanvas=opts.autoCanvas!==false;this._progressBarOverlay=opts.progressBar===true;let format,unit,totalPages,filename;if(typeof widthOrSize==="string"){format=widthOrSize.toLowerCase();totalPages=heightOrPages;unit="mm";filename=typeof totalPagesOrFilename==="string"?totalPagesOrFilename:"book.pdf"}else{format=[widthOrSize,heightOrPages];totalPages=totalPagesOrFilename;if(UNITS.includes(unitOrFilename)){unit=unitOrFilename;filename=filenameArg||"book.pdf"}else{unit="in";filename=unitOrFilename||"book.pdf"}}if(totalPages!==void 0&&totalPages!==null&&typeof totalPages!=="number"){console.warn("[p5.book] totalPages should be a number or omitted; got:",totalPages);totalPages=null}this._unit=unit;this._pdf=new jsPDF({unit,format,orientation:Array.isArray(format)&&format[0]>format[1]?"l":"p"});if(Array.isArray(format)){this._trimW=format[0];this._trimH=format[1]}else{this._trimW=this._pdf.internal.pageSize.getWidth();this._trimH=this._pdf.internal.pageSize.getHeight()}if(autoCanvas){const defaultCanvasW=500;const defaultCanvasH=Math.round(defaultCanvasW*this._trimH/this._trimW);this._p.createCanvas(defaultCanvasW,defaultCanvasH)}this._filename=filename;this._bleed=0;this._printMarks=false;this._spread=false;this._saddleStitch=false;this._rtl=false;this._dpi=null;this._pageThickMM=.1;this._3dColors={bg:null,edge:["#f0ece4","#f0ece4","#f0ece4"]};this._3dHideColors=false;this._viewerMode="flipbook";this._bleedWarnedOnce=false;this.bleed=new Proxy({},{get:(_,prop)=>{if(!this._bleedWarnedOnce){this._bleedWarnedOnce=true;console.warn("[p5.book] book.bleed accessed before setBleed() \u2014 calls are no-ops. Add book.setBleed(amount) in setup() to enable bleed.")}return prop==="draw"?()=>{}:()=>{}}});this._spineGfx=null;this._pageImages=[];this._rawCanvases=[];this._columns=1;this._columnGutter=20;this._page=0;this.totalPages=totalPages!=null?totalPages:null;this._progressEl=null;this._viewerShown=false;this._pagesProcessed=0;this._pageQueue=Promise.resolve();this._addPageOverflowWarned=false;if(this.totalPages!=null)this._createProgressUI()}_createProgressUI(){if(!document.getElementById("p5book-progress-styles")){const s=document.createElement("style");s.id="p5book-progress-styles";s.textContent=progress_default;document.head.appendChild(s)}const v=this._progressBarOverlay?"overlay":"corner";const label=this._progressBarOverlay?`rendering page 0 / ${this.totalPages}`:`0 / ${this.totalPages}`;const el=document.createElement("div");el.id="p5book-progress";el.className=`is-${v}`;el.innerHTML=`
+    `;const bookEl=stage.querySelector("#p5book-3d-book");const sceneEl=stage.querySelector("#p5book-3d-scene");const wrapEl=stage.querySelector("#p5book-3d-wrap");const shadowEl=stage.querySelector("#p5book-3d-shadow");let rotY=-25,rotX=-8,spinSpeed=40,sizeScale=.73,spinDir=1;let autoSpin=true;const updateTransform=()=>{bookEl.style.transform=`rotateX(${rotX}deg) rotateY(${rotY}deg)`;sceneEl.style.transform=`scale(${sizeScale})`;if(shadowEl){const sinY=Math.sin(rotY*Math.PI/180);const cosX=Math.cos(rotX*Math.PI/180);const offsetX=Math.round(sinY*coverW*.08);shadowEl.style.transform=`translateX(${offsetX}px) scaleX(${Math.max(.3,Math.abs(cosX)).toFixed(3)})`;shadowEl.style.opacity=(.25+Math.abs(Math.sin(rotX*Math.PI/180))*.3).toFixed(3)}};updateTransform();const tick=()=>{if(autoSpin){rotY+=spinSpeed*.005*spinDir;updateTransform()}animFrameId=requestAnimationFrame(tick)};animFrameId=requestAnimationFrame(tick);let dragging=false,lastDX=0,lastDY=0,wasSpin=false;const sceneElDrag=sceneEl;sceneElDrag.addEventListener("pointerdown",e=>{dragging=true;lastDX=e.clientX;lastDY=e.clientY;wasSpin=autoSpin;autoSpin=false;sceneElDrag.setPointerCapture(e.pointerId)});sceneElDrag.addEventListener("pointermove",e=>{if(!dragging)return;rotY+=(e.clientX-lastDX)*.5;rotX-=(e.clientY-lastDY)*.3;rotX=Math.max(-45,Math.min(45,rotX));lastDX=e.clientX;lastDY=e.clientY;updateTransform()});sceneElDrag.addEventListener("pointerup",()=>{dragging=false;autoSpin=wasSpin});const $size=stage.querySelector("#p5b-size");const $speed=stage.querySelector("#p5b-speed");const $tilt=stage.querySelector("#p5b-tilt");$size.addEventListener("input",e=>{sizeScale=parseFloat(e.target.value)/100;stage.querySelector("#p5b-size-val").textContent=e.target.value+"%";updateTransform()});$speed.addEventListener("input",e=>{spinSpeed=parseFloat(e.target.value);autoSpin=spinSpeed>0;stage.querySelector("#p5b-speed-val").textContent=e.target.value});$tilt.addEventListener("input",e=>{rotX=parseFloat(e.target.value);stage.querySelector("#p5b-tilt-val").textContent=(rotX>=0?"+":"")+rotX+"\xB0";updateTransform()});const btnCW=stage.querySelector("#p5b-dir-cw");const btnCCW=stage.querySelector("#p5b-dir-ccw");btnCW.addEventListener("click",()=>{spinDir=1;btnCW.classList.add("active");btnCCW.classList.remove("active")});btnCCW.addEventListener("click",()=>{spinDir=-1;btnCCW.classList.add("active");btnCW.classList.remove("active")});wrapEl.style.background=book._3dColors.bg||"transparent";stage.querySelector("#p5b-bg").addEventListener("input",e=>{wrapEl.style.background=e.target.value});const _regenEdges=()=>{const cr=stage.querySelector("#p5b-edge-r")?.value||ecR;const ct=stage.querySelector("#p5b-edge-t")?.value||ecT;const cb=stage.querySelector("#p5b-edge-b")?.value||ecB;_edgeCache.delete(`${coverW}x${spineW}:${ct}:y`);_edgeCache.delete(`${coverW}x${spineW}:${cb}:y`);_edgeCache.delete(`${spineW}x${coverH}:${cr}:x`);const newTop=_makePageEdge(coverW,spineW,ct,"y");const newBot=_makePageEdge(coverW,spineW,cb,"y");const newSide=_makePageEdge(spineW,coverH,cr,"x");stage.querySelectorAll(".p5book-3d-top").forEach(img=>img.src=newTop);stage.querySelectorAll(".p5book-3d-bot").forEach(img=>img.src=newBot);const innerImg=stage.querySelector(".p5book-3d-edge img:not(.p5book-3d-pages)");if(innerImg)innerImg.src=newSide};stage.querySelector("#p5b-edge-r")?.addEventListener("input",_regenEdges);stage.querySelector("#p5b-edge-t")?.addEventListener("input",_regenEdges);stage.querySelector("#p5b-edge-b")?.addEventListener("input",_regenEdges);const _writeHash=()=>{try{const d={mode,current,rotY:Math.round(rotY*10)/10,rotX,sizeScale,spinSpeed};history.replaceState(null,"","#p5book="+btoa(JSON.stringify(d)))}catch(_){}};const _readHash=()=>{try{const raw=location.hash.replace(/^#p5book=/,"");if(!raw)return;const d=JSON.parse(atob(raw));if(typeof d.rotY==="number")rotY=d.rotY;if(typeof d.rotX==="number"){rotX=d.rotX;$tilt.value=rotX;stage.querySelector("#p5b-tilt-val").textContent=(rotX>=0?"+":"")+rotX+"\xB0"}if(typeof d.sizeScale==="number"){sizeScale=d.sizeScale;$size.value=Math.round(sizeScale*100);stage.querySelector("#p5b-size-val").textContent=`${$size.value}%`}if(typeof d.spinSpeed==="number"){spinSpeed=d.spinSpeed;autoSpin=spinSpeed>0;$speed.value=spinSpeed;stage.querySelector("#p5b-speed-val").textContent=spinSpeed}updateTransform()}catch(_){}};_readHash();[$size,$speed,$tilt].forEach(el=>el.addEventListener("change",_writeHash));[btnCW,btnCCW].forEach(btn=>btn.addEventListener("click",_writeHash));[$size,$speed,$tilt].forEach(el=>el.addEventListener("change",_writeHash));[btnCW,btnCCW].forEach(btn=>btn.addEventListener("click",_writeHash));stage.querySelector("#p5b-exit").addEventListener("click",()=>setMode("flipbook"))};const toolbar=viewer.querySelector(".p5book-toolbar");const setMode=newMode=>{mode=newMode;const modeSel=viewer.querySelector("#p5book-mode-sel");if(modeSel)modeSel.value=mode;if(mode==="flipbook")renderFlipbook();else if(mode==="grid")renderGrid();else if(mode==="preflight")renderPreflight();else render3D()};viewer.querySelector("#p5book-mode-sel").addEventListener("change",e=>setMode(e.target.value));const rebuildItems=()=>{viewItems=book._buildViewItems(showBleed,showGamut,showGuides,showGrid);if(current>=viewItems.length)current=0;if(mode==="flipbook")renderFlipbook();else if(mode==="grid")renderGrid();else if(mode==="preflight")renderPreflight();else render3D()};if(book._bleed>0){const chk=viewer.querySelector("#p5book-chk-bleed");chk.addEventListener("change",()=>{showBleed=chk.checked;rebuildItems()})}const guidesChk=viewer.querySelector("#p5book-chk-guides");guidesChk.addEventListener("change",()=>{showGuides=guidesChk.checked;rebuildItems()});if(book._grid){const chk=viewer.querySelector("#p5book-chk-grid");chk.addEventListener("change",()=>{showGrid=chk.checked;rebuildItems()})}if(book._colorProfile){const chk=viewer.querySelector("#p5book-chk-gamut");chk.addEventListener("change",()=>{showGamut=chk.checked;rebuildItems()})}viewer.querySelector("#p5book-btn-download").addEventListener("click",()=>{const sel=viewer.querySelector("#p5book-dl-sel");const val=sel?.value;if(val==="saddle")book.saveSaddleStitch();else if(val==="cover")book.saveCover();else if(val==="zine")book.saveZine();else if(val==="inks")book.saveInks();else if(val==="frames-png")book.exportFrames("png");else if(val==="frames-jpg")book.exportFrames("jpeg");else book.save()});viewer.querySelector("#p5book-btn-print").addEventListener("click",()=>{try{const sel=viewer.querySelector("#p5book-dl-sel");const dlType=sel?.value||"pdf";let pdf;if(dlType==="saddle"){pdf=book._buildSaddleStitchPDF()}else if(dlType==="cover"){pdf=book._buildCoverPDF()}else if(dlType==="zine"){pdf=book._buildZinePDF()}else if(dlType==="inks"){pdf=book._buildInkPDF([...book._inks.keys()])}else{pdf=book._spread?book._buildSpreadPDF():book._pdf}const baseName=(book._filename||"p5-book.pdf").replace(/\.pdf$/i,"");const fallbackName=dlType==="saddle"?`${baseName}-saddle-stitch.pdf`:dlType==="cover"?`${baseName}-cover.pdf`:dlType==="zine"?`${baseName}-zine.pdf`:dlType==="inks"?`${baseName}-inks.pdf`:`${baseName}.pdf`;const blockedPrintMsg="[p5.book] Your browser couldn't open the print dialog here.\n\nThis can happen in sandboxed/embedded previews.\n\nTry this:\n1) Click Download -> PDF\n2) Open the downloaded file\n3) Print from your PDF viewer\n\nIf you want the print button to open the dialog directly, run your sketch locally (localhost).";const blob=pdf.output("blob");const url=URL.createObjectURL(blob);const frame=document.createElement("iframe");frame.style.position="fixed";frame.style.width="0";frame.style.height="0";frame.style.border="0";frame.style.opacity="0";frame.setAttribute("aria-hidden","true");frame.src=url;document.body.appendChild(frame);let done=false;let loadTimeout=0;const cleanup=()=>{if(done)return;done=true;if(loadTimeout)window.clearTimeout(loadTimeout);try{frame.remove()}finally{URL.revokeObjectURL(url)}};const fallbackToDownload=()=>{if(done)return;cleanup();let downloaded=false;try{pdf.save(fallbackName);downloaded=true}catch{}alert(downloaded?`${blockedPrintMsg} Downloaded the PDF instead.`:blockedPrintMsg)};frame.addEventListener("error",()=>{fallbackToDownload()},{once:true});loadTimeout=window.setTimeout(()=>{fallbackToDownload()},4e3);frame.addEventListener("load",()=>{if(done)return;if(loadTimeout){window.clearTimeout(loadTimeout);loadTimeout=0}const targetWindow=frame.contentWindow;if(!targetWindow){fallbackToDownload();return}let afterPrintFired=false;try{targetWindow.addEventListener("afterprint",()=>{afterPrintFired=true;cleanup()},{once:true})}catch{}window.setTimeout(()=>{if(done)return;try{targetWindow.focus();targetWindow.print()}catch{fallbackToDownload();return}window.setTimeout(()=>{if(!afterPrintFired)cleanup()},3e4)},350)},{once:true})}catch(e){alert(e.message)}});const shortcutsDlg=viewer.querySelector("#p5book-shortcuts-dialog");viewer.querySelector("#p5book-btn-help").addEventListener("click",()=>{if(shortcutsDlg)shortcutsDlg.showModal?.()});document.addEventListener("keydown",e=>{if(["INPUT","SELECT","TEXTAREA"].includes(document.activeElement?.tagName))return;if(e.key==="?"||e.key==="/"){if(shortcutsDlg)shortcutsDlg.showModal?.();return}if(mode!=="flipbook")return;const prevKey=book._rtl?"ArrowRight":"ArrowLeft";const nextKey=book._rtl?"ArrowLeft":"ArrowRight";if((e.key===prevKey||e.key==="[")&&current>0){current=e.key==="["?0:current-1;renderFlipbook()}if((e.key===nextKey||e.key==="]")&&current<viewItems.length-1){current=e.key==="]"?viewItems.length-1:current+1;renderFlipbook()}});setMode(book._viewerMode||"flipbook")}var TEXT_LAYER_MODES=["overlay","vector"];function parseCSSColor(str){if(typeof str!=="string")return[0,0,0,1];const hex=/^#([0-9a-f]{6})$/i.exec(str);if(hex){const n=parseInt(hex[1],16);return[n>>16&255,n>>8&255,n&255,1]}const rgb=/^rgba?\(([^)]+)\)$/i.exec(str);if(rgb){const[r,g,b,a]=rgb[1].split(",").map(v=>parseFloat(v));return[r,g,b,a??1]}return[0,0,0,1]}function alignFactor(align,rtl){if(align==="center")return .5;if(align==="right")return 1;if(align==="start")return rtl?1:0;if(align==="end")return rtl?0:1;return 0}function captureTextRun(p,str,x,y){const ctx=p.drawingContext;const{direction,letterSpacing}=ctx;p._renderer?._applyTextProperties?.();ctx.direction=direction;ctx.letterSpacing=letterSpacing;return textRunFromContext(p,str,x,y)}function textRunFromContext(p,str,x,y){const ctx=p.drawingContext;const d=p.pixelDensity();const m=ctx.getTransform();const rtl=ctx.direction==="rtl";const metrics=ctx.measureText(str);const prevBaseline=ctx.textBaseline;ctx.textBaseline="alphabetic";const alphaAscent=ctx.measureText(str).fontBoundingBoxAscent;ctx.textBaseline=prevBaseline;const baselineShift=alphaAscent!=null&&metrics.fontBoundingBoxAscent!=null?alphaAscent-metrics.fontBoundingBoxAscent:0;const lx=x-alignFactor(ctx.textAlign,rtl)*metrics.width;const ly=y+baselineShift;const scale=Math.hypot(m.a,m.b)/d;const font=p.textFont();const style=String(p.textStyle()||"normal").toLowerCase();const weight=p.textWeight?.();return{str,x:(m.a*lx+m.c*ly+m.e)/d,y:(m.b*lx+m.d*ly+m.f)/d,angle:Math.atan2(m.b,m.a),size:p.textSize()*scale,width:metrics.width*scale,spacing:(parseFloat(ctx.letterSpacing)||0)*scale,color:parseCSSColor(ctx.fillStyle),font,family:typeof font==="string"?font:font?.name||"sans-serif",bold:style.includes("bold")||Number(weight)>=600,italic:style.includes("italic"),paint:{matrix:[m.a,m.b,m.c,m.d,m.e,m.f],x,y,font:ctx.font,align:ctx.textAlign,baseline:ctx.textBaseline,direction:ctx.direction,letterSpacing:ctx.letterSpacing,fillStyle:ctx.fillStyle}}}function checkTextRun(p,str,x,y,measure){const ctx=p.drawingContext;const d=p.pixelDensity();const m=ctx.getTransform();const scale=Math.hypot(m.a,m.b)/d;const width=measure?p.textWidth(str):0;const lx=x-alignFactor(p.textAlign()?.horizontal,ctx.direction==="rtl")*width;return{str,x:(m.a*lx+m.c*y+m.e)/d,y:(m.b*lx+m.d*y+m.f)/d,size:p.textSize()*scale,width:width*scale,color:parseCSSColor(ctx.fillStyle)}}function standardFontFor(run){const fam=run.family.toLowerCase();let name="helvetica";if(/mono|courier|consol|menlo/.test(fam))name="courier";else if(/serif|times|georgia|garamond/.test(fam)&&!/sans/.test(fam))name="times";const style=run.bold&&run.italic?"bolditalic":run.bold?"bold":run.italic?"italic":"normal";return[name,style]}function drawTextRuns(pdf,runs,o){if(!runs||runs.length===0)return;for(const run of runs){const[fontName,fontStyle]=o.fontFor?.(run)||standardFontFor(run);pdf.saveGraphicsState();pdf.setFont(fontName,fontStyle);pdf.setFontSize(run.size*o.sx*o.ptPerUnit);const[r,g,b,a]=run.color;pdf.setTextColor(...o.toColor?o.toColor(r,g,b):[r,g,b]);if(o.visible&&a<1)pdf.setGState(new pdf.GState({opacity:a}));const charSpace=run.spacing*o.sx;const natural=pdf.getTextWidth(run.str)+charSpace*run.str.length;pdf.text(run.str,o.ox+o.bleed+run.x*o.sx,o.oy+o.bleed+run.y*o.sy,{angle:-run.angle*180/Math.PI,charSpace,horizontalScale:natural>0?run.width*o.sx/natural:1,renderingMode:o.visible?"fill":"invisible"});pdf.restoreGraphicsState()}}function paintTextRuns(ctx,runs,offX=0,offY=0){if(!runs||runs.length===0)return;ctx.save();for(const{str,paint}of runs){const[a,b,c,d,e,f]=paint.matrix;ctx.setTransform(a,b,c,d,e+offX,f+offY);ctx.font=paint.font;ctx.textAlign=paint.align;ctx.textBaseline=paint.baseline;ctx.direction=paint.direction;ctx.letterSpacing=paint.letterSpacing;ctx.fillStyle=paint.fillStyle;ctx.fillText(str,paint.x,paint.y)}ctx.restore()}function hasFontData(font){return!!(font&&typeof font==="object"&&font.data&&font.textToPaths)}function isEmbeddableChar(ch){const c=ch.codePointAt(0);return c>=32&&c<=65535&&!(c>=55296&&c<=57343)}var _glyphCache=new WeakMap;function cubicToQuads(p0,c1,c2,p3){const dx=p3[0]-3*c2[0]+3*c1[0]-p0[0];const dy=p3[1]-3*c2[1]+3*c1[1]-p0[1];const err=Math.hypot(dx,dy)*Math.sqrt(3)/36;const n=Math.min(8,Math.max(1,Math.ceil(Math.cbrt(err/.5))));const at=t=>{const u=1-t;return[0,1].map(k=>u*u*u*p0[k]+3*u*u*t*c1[k]+3*u*t*t*c2[k]+t*t*t*p3[k])};const tangent=t=>{const u=1-t;return[0,1].map(k=>3*u*u*(c1[k]-p0[k])+6*u*t*(c2[k]-c1[k])+3*t*t*(p3[k]-c2[k]))};const quads=[];for(let i=0;i<n;i++){const t0=i/n,t1=(i+1)/n,h=(t1-t0)/3;const a=at(t0),b=at(t1);const d0=tangent(t0),d1=tangent(t1);const q1=[a[0]+h*d0[0],a[1]+h*d0[1]];const q2=[b[0]-h*d1[0],b[1]-h*d1[1]];const ctrl=[(3*(q1[0]+q2[0])-a[0]-b[0])/4,(3*(q1[1]+q2[1])-a[1]-b[1])/4];quads.push([ctrl,b])}return quads}function glyphFor(p,font,ch){let cache=_glyphCache.get(font);if(!cache)_glyphCache.set(font,cache=new Map);if(cache.has(ch))return cache.get(ch);const upm=font.data.head?.unitsPerEm||1e3;let cmds=[];let advance=0;const ctx=p.drawingContext;const spacing=ctx.letterSpacing;ctx.letterSpacing="0px";p.push();p.textFont(font);p.textSize(upm);p.textAlign(p.LEFT,p.BASELINE);try{cmds=font.textToPaths(ch,0,0);advance=p.textWidth(ch)}catch(e){}p.pop();ctx.letterSpacing=spacing;const contours=[];let cur=null;let last=[0,0];const pt=(x,y)=>[Math.round(x),Math.round(-y)];for(const[type,...a]of cmds){if(type==="M"){cur=[];contours.push(cur);last=pt(a[0],a[1]);cur.push([...last,true])}else if(!cur){continue}else if(type==="L"){last=pt(a[0],a[1]);cur.push([...last,true])}else if(type==="Q"){cur.push([...pt(a[0],a[1]),false]);last=pt(a[2],a[3]);cur.push([...last,true])}else if(type==="C"){const end=pt(a[4],a[5]);for(const[c,b]of cubicToQuads(last,pt(a[0],a[1]),pt(a[2],a[3]),end)){cur.push([Math.round(c[0]),Math.round(c[1]),false]);cur.push([Math.round(b[0]),Math.round(b[1]),true])}last=end}else if(type==="Z"){const f=cur[0];const l=cur[cur.length-1];if(cur.length>1&&l[2]&&l[0]===f[0]&&l[1]===f[1])cur.pop();cur=null}}const glyph={contours:contours.filter(c=>c.length>1),advance:Math.max(0,Math.round(advance))};cache.set(ch,glyph);return glyph}var Writer=class{constructor(){this.bytes=[]}u8(v){this.bytes.push(v&255)}u16(v){this.u8(v>>8);this.u8(v)}i16(v){this.u16(v<0?v+65536:v)}u32(v){this.u16(Math.floor(v/65536));this.u16(v&65535)}pad(){while(this.bytes.length%4)this.u8(0)}append(bytes){for(let i=0;i<bytes.length;i++)this.bytes.push(bytes[i])}};function bounds(pts){if(pts.length===0)return null;const b=[Infinity,Infinity,-Infinity,-Infinity];for(const[x,y]of pts){if(x<b[0])b[0]=x;if(y<b[1])b[1]=y;if(x>b[2])b[2]=x;if(y>b[3])b[3]=y}return b}function encodeGlyph(glyph){const w=new Writer;const pts=glyph.contours.flat();if(pts.length===0)return w;w.i16(glyph.contours.length);bounds(pts).forEach(v=>w.i16(v));let end=-1;for(const c of glyph.contours)w.u16(end+=c.length);w.u16(0);for(const q of pts)w.u8(q[2]?1:0);for(const axis of[0,1]){let prev=0;for(const q of pts){w.i16(q[axis]-prev);prev=q[axis]}}w.pad();return w}function encodeCmap(codes){const segs=codes.map((c,i)=>[c,i+1-c+65536&65535]);segs.push([65535,1]);const segX2=segs.length*2;const search=2**Math.floor(Math.log2(segs.length))*2;const w=new Writer;w.u16(0);w.u16(1);w.u16(3);w.u16(1);w.u32(12);w.u16(4);w.u16(16+segs.length*8);w.u16(0);w.u16(segX2);w.u16(search);w.u16(Math.log2(search/2));w.u16(segX2-search);segs.forEach(([c])=>w.u16(c));w.u16(0);segs.forEach(([c])=>w.u16(c));segs.forEach(([,d])=>w.u16(d));segs.forEach(()=>w.u16(0));return w}function encodeName(psName){const records=[[1,psName],[4,psName],[6,psName]];const w=new Writer;w.u16(0);w.u16(records.length);w.u16(6+records.length*12);let off=0;for(const[id,str]of records){w.u16(1);w.u16(0);w.u16(0);w.u16(id);w.u16(str.length);w.u16(off);off+=str.length}for(const[,str]of records)for(const ch of str)w.u8(ch.charCodeAt(0));return w}function checksum(bytes){let sum=0;for(let i=0;i<bytes.length;i+=4){sum=sum+(bytes[i]<<24>>>0)+((bytes[i+1]||0)<<16)+((bytes[i+2]||0)<<8)+(bytes[i+3]||0)>>>0}return sum}function buildTrueType(p,font,chars,psName){const data=font.data;const upm=data.head?.unitsPerEm||1e3;const hhea=data.hhea||{};const ascender=hhea.ascender??Math.round(upm*.8);const descender=hhea.descender??-Math.round(upm*.2);const list=[...chars].filter(isEmbeddableChar);list.sort((a,b)=>a.codePointAt(0)-b.codePointAt(0));const notdef={contours:[],advance:Math.round(upm/2)};const glyphs=[notdef,...list.map(ch=>glyphFor(p,font,ch))];const glyf=new Writer;const loca=new Writer;for(const g of glyphs){loca.u32(glyf.bytes.length);glyf.append(encodeGlyph(g).bytes)}loca.u32(glyf.bytes.length);const bbox=bounds(glyphs.flatMap(g=>g.contours.flat()))||[0,descender,upm,ascender];const head=new Writer;head.u32(65536);head.u32(65536);head.u32(0);head.u32(1594834165);head.u16(11);head.u16(upm);for(let i=0;i<4;i++)head.u32(0);bbox.forEach(v=>head.i16(v));head.u16(0);head.u16(8);head.i16(2);head.i16(1);head.i16(0);const hheaW=new Writer;hheaW.u32(65536);hheaW.i16(ascender);hheaW.i16(descender);hheaW.i16(hhea.lineGap??0);hheaW.u16(glyphs.reduce((m,g)=>Math.max(m,g.advance),0));hheaW.i16(bbox[0]);hheaW.i16(0);hheaW.i16(bbox[2]);hheaW.i16(1);hheaW.i16(0);hheaW.i16(0);for(let i=0;i<5;i++)hheaW.i16(0);hheaW.u16(glyphs.length);const maxp=new Writer;maxp.u32(65536);maxp.u16(glyphs.length);maxp.u16(glyphs.reduce((m,g)=>Math.max(m,g.contours.flat().length),0));maxp.u16(glyphs.reduce((m,g)=>Math.max(m,g.contours.length),0));maxp.u16(0);maxp.u16(0);maxp.u16(2);for(let i=0;i<8;i++)maxp.u16(0);const hmtx=new Writer;for(const g of glyphs){hmtx.u16(g.advance);hmtx.i16(bounds(g.contours.flat())?.[0]??0)}const post=new Writer;post.u32(196608);post.u32(0);post.i16(-Math.round(upm/10));post.i16(Math.round(upm/20));for(let i=0;i<5;i++)post.u32(0);const tables={cmap:encodeCmap(list.map(ch=>ch.codePointAt(0))),glyf,head,hhea:hheaW,hmtx,loca,maxp,name:encodeName(psName),post};const tags=Object.keys(tables).sort();const out=new Writer;const search=2**Math.floor(Math.log2(tags.length));out.u32(65536);out.u16(tags.length);out.u16(search*16);out.u16(Math.log2(search));out.u16(tags.length*16-search*16);let offset=12+tags.length*16;for(const tag of tags){const bytes=tables[tag].bytes;for(const ch of tag)out.u8(ch.charCodeAt(0));out.u32(checksum(bytes));out.u32(offset);out.u32(bytes.length);offset+=Math.ceil(bytes.length/4)*4}for(const tag of tags){out.append(tables[tag].bytes);out.pad()}let bin="";for(let i=0;i<out.bytes.length;i+=32768)bin+=String.fromCharCode(...out.bytes.slice(i,i+32768));return btoa(bin)}var _pdfFonts=new WeakMap;var _fontIds=new WeakMap;var _nextFontId=1;function embedFont(p,pdf,font,chars){let fonts=_pdfFonts.get(pdf);if(!fonts)_pdfFonts.set(pdf,fonts=new Map);const known=fonts.get(font);if(known&&[...chars].every(ch=>known.chars.has(ch)))return known.name;if(!_fontIds.has(font))_fontIds.set(font,_nextFontId++);const base=String(font.name||"Font").replace(/[^A-Za-z0-9-]/g,"");const version=known?known.version+1:1;const name=`P5Book${_fontIds.get(font)}v${version}-${base}`.slice(0,63);const file=`${name}.ttf`;pdf.addFileToVFS(file,buildTrueType(p,font,chars,name));pdf.addFont(file,name,"normal");fonts.set(font,{name,version,chars:new Set(chars)});return name}var CAPTURE_MODES=["raster","vector"];var IDENTITY={a:1,b:0,c:0,d:1,e:0,f:0};var PathRecorder=class{constructor(){this.cmds=[];this.start=null;this.last=null}_pt(m,x,y){return[m.a*x+m.c*y+m.e,m.b*x+m.d*y+m.f]}moveTo(m,x,y){this.cmds.push(["M",...this._pt(m,x,y)]);this.start=this.last=[x,y]}lineTo(m,x,y){if(!this.last)return this.moveTo(m,x,y);this.cmds.push(["L",...this._pt(m,x,y)]);this.last=[x,y]}bezierCurveTo(m,x1,y1,x2,y2,x,y){if(!this.last)this.moveTo(m,x1,y1);this.cmds.push(["C",...this._pt(m,x1,y1),...this._pt(m,x2,y2),...this._pt(m,x,y)]);this.last=[x,y]}quadraticCurveTo(m,cx,cy,x,y){if(!this.last)this.moveTo(m,cx,cy);const[x0,y0]=this.last;this.bezierCurveTo(m,x0+2/3*(cx-x0),y0+2/3*(cy-y0),x+2/3*(cx-x),y+2/3*(cy-y),x,y)}closePath(){if(!this.last)return;this.cmds.push(["Z"]);this.last=this.start}rect(m,x,y,w,h){this.moveTo(m,x,y);this.lineTo(m,x+w,y);this.lineTo(m,x+w,y+h);this.lineTo(m,x,y+h);this.closePath()}ellipse(m,cx,cy,rx,ry,rotation,start,end,ccw=false){const full=2*Math.PI;let sweep=end-start;if(!ccw&&sweep>=full)sweep=full;else if(ccw&&-sweep>=full)sweep=-full;else if(!ccw)sweep=(sweep%full+full)%full;else sweep=-((-sweep%full+full)%full);const cos=Math.cos(rotation);const sin=Math.sin(rotation);const at=t=>{const x=rx*Math.cos(t);const y=ry*Math.sin(t);return[cx+x*cos-y*sin,cy+x*sin+y*cos]};const tangent=t=>{const x=-rx*Math.sin(t);const y=ry*Math.cos(t);return[x*cos-y*sin,x*sin+y*cos]};const p0=at(start);if(this.last)this.lineTo(m,...p0);else this.moveTo(m,...p0);const n=Math.ceil(Math.abs(sweep)/(Math.PI/2)-1e-9);if(n===0)return;const step=sweep/n;const k=4/3*Math.tan(step/4);for(let i=0;i<n;i++){const t0=start+i*step;const t1=t0+step;const a=at(t0),b=at(t1);const da=tangent(t0),db=tangent(t1);this.bezierCurveTo(m,a[0]+k*da[0],a[1]+k*da[1],b[0]-k*db[0],b[1]-k*db[1],b[0],b[1])}}arc(m,cx,cy,r,start,end,ccw=false){this.ellipse(m,cx,cy,r,r,0,start,end,ccw)}arcTo(m,x1,y1,x2,y2,r){if(!this.last)this.moveTo(m,x1,y1);const[x0,y0]=this.last;const v1=[x0-x1,y0-y1];const v2=[x2-x1,y2-y1];const l1=Math.hypot(v1[0],v1[1]);const l2=Math.hypot(v2[0],v2[1]);const cross=v1[0]*v2[1]-v1[1]*v2[0];if(r===0||l1===0||l2===0||Math.abs(cross)<1e-9)return this.lineTo(m,x1,y1);const cosA=(v1[0]*v2[0]+v1[1]*v2[1])/(l1*l2);const angle=Math.acos(Math.max(-1,Math.min(1,cosA)));const dist=r/Math.tan(angle/2);const t1=[x1+v1[0]/l1*dist,y1+v1[1]/l1*dist];const t2=[x1+v2[0]/l2*dist,y1+v2[1]/l2*dist];const bis=[v1[0]/l1+v2[0]/l2,v1[1]/l1+v2[1]/l2];const bl=Math.hypot(bis[0],bis[1]);const h=r/Math.sin(angle/2);const c=[x1+bis[0]/bl*h,y1+bis[1]/bl*h];const a0=Math.atan2(t1[1]-c[1],t1[0]-c[0]);const a1=Math.atan2(t2[1]-c[1],t2[0]-c[0]);let sweep=a1-a0;if(sweep>Math.PI)sweep-=2*Math.PI;if(sweep<-Math.PI)sweep+=2*Math.PI;this.ellipse(m,c[0],c[1],r,r,0,a0,a0+sweep,sweep<0)}roundRect(m,x,y,w,h,radii=0){const list=(Array.isArray(radii)?radii:[radii]).map(r=>typeof r==="number"?r:r?.x||0);const[a,b=a,c=a,d=b]=list;let[tl,tr,br,bl]=list.length===3?[a,b,c,b]:[a,b,c,d];const f=Math.min(1,Math.abs(w)/(tl+tr||1),Math.abs(w)/(bl+br||1),Math.abs(h)/(tl+bl||1),Math.abs(h)/(tr+br||1));[tl,tr,br,bl]=[tl*f,tr*f,br*f,bl*f];const q=Math.PI/2;this.moveTo(m,x+tl,y);this.ellipse(m,x+w-tr,y+tr,tr,tr,0,-q,0);this.ellipse(m,x+w-br,y+h-br,br,br,0,0,q);this.ellipse(m,x+bl,y+h-bl,bl,bl,0,q,2*q);this.ellipse(m,x+tl,y+tl,tl,tl,0,2*q,3*q);this.closePath()}addPath(other,m=IDENTITY){for(const cmd of other.cmds)this.cmds.push(mapCmd(cmd,m,1));this.last=this.start=null}};var PATH_METHODS=["moveTo","lineTo","bezierCurveTo","quadraticCurveTo","closePath","rect","roundRect","ellipse","arc","arcTo"];function mapCmd([type,...xy],m,s){const out=[type];for(let i=0;i<xy.length;i+=2){const x=xy[i],y=xy[i+1];out.push((m.a*x+m.c*y+m.e)*s,(m.b*x+m.d*y+m.f)*s)}return out}var _pathData=new WeakMap;var _path2DOriginals=new Map;var _path2DUsers=0;function patchPath2D(){if(typeof Path2D==="undefined")return;if(_path2DUsers++>0)return;const recorderFor=path=>{if(!_pathData.has(path))_pathData.set(path,new PathRecorder);return _pathData.get(path)};for(const name of[...PATH_METHODS,"addPath"]){const orig=Path2D.prototype[name];if(!orig)continue;_path2DOriginals.set(name,orig);Path2D.prototype[name]=function(...args){if(name==="addPath"){const other=_pathData.get(args[0]);if(other)recorderFor(this).addPath(other,args[1]||IDENTITY)}else{recorderFor(this)[name](IDENTITY,...args)}return orig.apply(this,args)}}}function unpatchPath2D(){if(typeof Path2D==="undefined"||_path2DUsers===0)return;if(--_path2DUsers>0)return;for(const[name,orig]of _path2DOriginals)Path2D.prototype[name]=orig;_path2DOriginals.clear()}var VectorRecorder=class{constructor(p,textRun){this._p=p;this._textRun=textRun;this.ctx=null;this._warned=false;this._clipped=false;this._clipStack=[];this._path=new PathRecorder;this._hooked=[];this._path2D=false;this._renderer=null;this._newPage();this._watchRenderer()}_watchRenderer(){const p=this._p;const desc=Object.getOwnPropertyDescriptor(p,"_renderer");if(desc&&(!desc.configurable||desc.get))return;const rec=this;const box={value:p._renderer};this._renderer=box;Object.defineProperty(p,"_renderer",{configurable:true,enumerable:true,get:()=>box.value,set(value){box.value=value;if(rec._renderer===box&&value?.drawingContext)rec.attach()}})}_newPage(){this.ops=[];this.snapshot=null;this.dirty=false}get attached(){return this.ctx!==null&&this.ctx===this._p.drawingContext}attach(){const ctx=this._p.drawingContext;if(!ctx||typeof ctx.getTransform!=="function"){if(!this._warned){this._warned=true;console.warn('[p5.book] capture: "vector" needs a 2D canvas; pages are captured as images.')}return false}if(ctx===this.ctx)return true;this._unhook();this.ctx=ctx;if(!this._path2D){this._path2D=true;patchPath2D()}const rec=this;const proto=Object.getPrototypeOf(ctx);const hook=(name,before)=>{const orig=proto[name];this._hooked.push(name);ctx[name]=function(...args){if(rec.ctx===ctx)before.apply(rec,args);return orig.apply(this,args)}};for(const name of PATH_METHODS)hook(name,function(...args){this._path[name](this.ctx.getTransform(),...args)});hook("beginPath",function(){this._path=new PathRecorder});hook("fill",function(a,b){const path=typeof a==="object"?a:null;this._paint("fill",path,(path?b:a)||"nonzero")});hook("stroke",function(path){this._paint("stroke",path||null)});hook("fillRect",function(x,y,w,h){this._paintRect("fill",x,y,w,h)});hook("strokeRect",function(x,y,w,h){this._paintRect("stroke",x,y,w,h)});hook("clearRect",function(x,y,w,h){if(this._coversCanvas(x,y,w,h))this._newPage();else this.dirty=true});hook("fillText",function(str,x,y,maxWidth){const run=maxWidth===void 0&&this._canPaint("fill")?this._textRun(String(str),x,y):null;if(run)this._vector({type:"text",run});else this.dirty=true});for(const name of["drawImage","putImageData","strokeText"])hook(name,function(){this.dirty=true});hook("clip",function(){this._clipped=true});hook("save",function(){this._clipStack.push(this._clipped)});hook("restore",function(){if(this._clipStack.length)this._clipped=this._clipStack.pop()});return true}detach(){this._unhook();this.ctx=null;if(this._path2D){this._path2D=false;unpatchPath2D()}if(this._renderer){const p=this._p;const{value}=this._renderer;delete p._renderer;p._renderer=value;this._renderer=null}}_unhook(){for(const name of this._hooked)delete this.ctx[name];this._hooked=[]}take(){const live=this.attached;const page=live&&!this.dirty?{ops:this.ops,raster:this.snapshot,full:false}:{ops:[],raster:null,full:true};this._newPage();if(!live)this.attach();return page}_vector(op){if(this.dirty){const src=this.ctx.canvas;const snap=document.createElement("canvas");snap.width=src.width;snap.height=src.height;snap.getContext("2d").drawImage(src,0,0);this.snapshot=snap;this.ops=[];this.dirty=false}this.ops.push(op)}_canPaint(kind){const ctx=this.ctx;const style=kind==="fill"?ctx.fillStyle:ctx.strokeStyle;return!this._clipped&&typeof style==="string"&&ctx.globalCompositeOperation==="source-over"&&(!ctx.filter||ctx.filter==="none")&&(parseCSSColor(ctx.shadowColor)[3]===0||ctx.shadowBlur===0&&ctx.shadowOffsetX===0&&ctx.shadowOffsetY===0)}_paint(kind,path,rule){let cmds;if(path){const data=_pathData.get(path);if(data)cmds=data.cmds.map(c=>mapCmd(c,this.ctx.getTransform(),1))}else{cmds=this._path.cmds}if(!cmds||!this._canPaint(kind)){this.dirty=true;return}this._push(kind,cmds,rule)}_paintRect(kind,x,y,w,h){const rect=new PathRecorder;rect.rect(this.ctx.getTransform(),x,y,w,h);if(this._canPaint(kind))this._push(kind,rect.cmds,"nonzero");else this.dirty=true}_push(kind,cmds,rule){const ctx=this.ctx;const d=this._p.pixelDensity();const m=ctx.getTransform();const color=parseCSSColor(kind==="fill"?ctx.fillStyle:ctx.strokeStyle);color[3]*=ctx.globalAlpha;if(color[3]===0)return;const px=cmds.map(c=>mapCmd(c,IDENTITY,1/d));if(kind==="fill"){this._vector({type:"fill",cmds:px,color,rule});return}const scale=Math.sqrt(Math.abs(m.a*m.d-m.b*m.c))/d;this._vector({type:"stroke",cmds:px,color,width:ctx.lineWidth*scale,cap:ctx.lineCap,join:ctx.lineJoin,miter:ctx.miterLimit,dash:ctx.getLineDash().map(v=>v*scale),dashOffset:ctx.lineDashOffset*scale})}_coversCanvas(x,y,w,h){const m=this.ctx.getTransform();const{width,height}=this.ctx.canvas;const xs=[],ys=[];for(const[px,py]of[[x,y],[x+w,y],[x,y+h],[x+w,y+h]]){xs.push(m.a*px+m.c*py+m.e);ys.push(m.b*px+m.d*py+m.f)}return m.b===0&&m.c===0&&Math.min(...xs)<=0&&Math.min(...ys)<=0&&Math.max(...xs)>=width&&Math.max(...ys)>=height}};function tracePath(pdf,cmds,o){const X=x=>o.ox+o.bleed+x*o.sx;const Y=y=>o.oy+o.bleed+y*o.sy;for(const[type,...v]of cmds){if(type==="M")pdf.moveTo(X(v[0]),Y(v[1]));else if(type==="L")pdf.lineTo(X(v[0]),Y(v[1]));else if(type==="C")pdf.curveTo(X(v[0]),Y(v[1]),X(v[2]),Y(v[3]),X(v[4]),Y(v[5]));else pdf.close()}}function drawVectorOps(pdf,ops,o){if(!ops||ops.length===0)return;for(const op of ops){if(op.type==="text"){drawTextRuns(pdf,[op.run],{...o,visible:true});continue}const[r,g,b,a]=op.color;const color=o.toColor?o.toColor(r,g,b):[r,g,b];pdf.saveGraphicsState();if(a<1)pdf.setGState(new pdf.GState(op.type==="fill"?{opacity:a}:{"stroke-opacity":a}));tracePath(pdf,op.cmds,o);if(op.type==="fill"){pdf.setFillColor(...color);if(op.rule==="evenodd")pdf.fillEvenOdd();else pdf.fill()}else{pdf.setDrawColor(...color);pdf.setLineWidth(op.width*o.sx);pdf.setLineCap(op.cap);pdf.setLineJoin(op.join);pdf.setLineMiterLimit(op.miter);if(op.dash.length)pdf.setLineDashPattern(op.dash.map(v=>v*o.sx),op.dashOffset*o.sx);pdf.stroke()}pdf.restoreGraphicsState()}}var PRINT_MARKS=["trim","bleed","registration","colorBars","centerMarks","slug"];var MARK_MARGIN_MM=10;var REGISTRATION=[1,1,1,1];var COLOR_BARS=[[1,0,0,0],[0,1,0,0],[0,0,1,0],[0,0,0,1],[0,1,1,0],[1,0,1,0],[1,1,0,0],[0,0,0,.75],[0,0,0,.5],[0,0,0,.25]];function resolvePrintMarks(marks){if(!marks)return false;const set=Object.fromEntries(PRINT_MARKS.map(k=>[k,k==="trim"]));if(marks===true)return set;for(const[k,v]of Object.entries(marks)){if(!PRINT_MARKS.includes(k)){console.warn(`[p5.book] setPrintMarks(): unknown mark "${k}". Use ${PRINT_MARKS.join(", ")}.`);continue}set[k]=k==="slug"&&v&&typeof v==="object"?v:!!v}return PRINT_MARKS.some(k=>set[k])?set:false}function markMarginMM(marks){if(!marks)return 0;return PRINT_MARKS.some(k=>k!=="trim"&&marks[k])?MARK_MARGIN_MM:0}function cornerLines(x0,y0,x1,y1,px0,py0,pw,ph,off){return[[px0,y0,x0-off,y0],[x0,py0,x0,y0-off],[pw,y0,x1+off,y0],[x1,py0,x1,y0-off],[px0,y1,x0-off,y1],[x0,ph,x0,y1+off],[pw,y1,x1+off,y1],[x1,ph,x1,y1+off]]}function drawPrintMarks(pdf,o){const{marks,bleed:b,margin:m}=o;const u=o.mmPerUnit;const gap=1/u;const hair=.3/u;const x0=o.x,y0=o.y;const x1=o.x+o.w,y1=o.y+o.h;const px0=x0-b-m;const py0=y0-b-m;const pw=x1+b+m;const ph=y1+b+m;const cx=(x0+x1)/2,cy=(y0+y1)/2;const off=m>0?b+gap:gap;const r=Math.min(m*.3,3/u);const inset=3/u;const hairlines=lines=>lines.forEach(([ax,ay,bx,by])=>pdf.line(ax,ay,bx,by));pdf.setGState(new pdf.GState({"blend-mode":"Difference"}));pdf.setDrawColor(255,255,255);pdf.setLineWidth(hair);if(marks.trim)hairlines(cornerLines(x0,y0,x1,y1,px0,py0,pw,ph,off));for(const fx of o.folds||[])hairlines([[fx,py0,fx,y0-off],[fx,ph,fx,y1+off]]);if(marks.centerMarks)hairlines([[cx,py0,cx,y0-off],[cx,ph,cx,y1+off],[px0,cy,x0-off,cy],[pw,cy,x1+off,cy]]);if(marks.bleed&&b>0){pdf.setLineDashPattern([1/u,.7/u],0);hairlines(cornerLines(x0-b,y0-b,x1+b,y1+b,px0,py0,pw,ph,gap));pdf.setLineDashPattern([],0)}pdf.setGState(new pdf.GState({"blend-mode":"Normal"}));if(m<=0)return;if(marks.registration){pdf.setDrawColor(...REGISTRATION);pdf.setLineWidth(hair);const targets=[[cx,py0+m/2],[cx,ph-m/2],[px0+m/2,cy],[pw-m/2,cy]];for(const[tx,ty]of targets){pdf.circle(tx,ty,r,"S");pdf.circle(tx,ty,r/2,"S");hairlines([[tx-1.4*r,ty,tx+1.4*r,ty],[tx,ty-1.4*r,tx,ty+1.4*r]])}}if(marks.colorBars){const s=Math.min(m*.5,5/u);let x=x0+inset;for(const cmyk of COLOR_BARS){if(x+s>cx-2*r)break;pdf.setFillColor(...cmyk);pdf.rect(x,py0+(m-s)/2,s,s,"F");x+=s}}if(marks.slug&&o.slug){pdf.setFont(o.slugFont||"helvetica","normal");pdf.setFontSize(6);pdf.setTextColor(0,0,0);const slug=o.slugFont?o.slug:toLatin1(o.slug);pdf.text(slug,x0+inset,ph-m/2,{baseline:"middle"})}}function toLatin1(str){return str.replace(/[^\u0000-\u00ff]/g,ch=>{const base=ch.normalize("NFKD").replace(/[\u0300-\u036f]/g,"");return/^[\u0000-\u00ff]+$/.test(base)?base:"?"})}function drawFoldGuides(pdf,o){const u=o.mmPerUnit;const tick=5/u;pdf.setGState(new pdf.GState({"blend-mode":"Difference"}));pdf.setDrawColor(255,255,255);pdf.setLineWidth(.3/u);pdf.setLineDashPattern([1/u,.7/u],0);for(const[x0,y0,x1,y1]of o.folds){const len=Math.hypot(x1-x0,y1-y0);const dx=(x1-x0)/len*tick,dy=(y1-y0)/len*tick;pdf.line(x0,y0,x0+dx,y0+dy);pdf.line(x1,y1,x1-dx,y1-dy)}pdf.setLineDashPattern([],0);for(const[x0,y0,x1,y1]of o.cuts||[])pdf.line(x0,y0,x1,y1);pdf.setGState(new pdf.GState({"blend-mode":"Normal"}))}function drawGangMarks(pdf,o){const u=o.mmPerUnit;const gap=1/u;const len=Math.min(5/u,o.margin-gap);if(len<=0)return;const[x0,y0,x1,y1]=o.block;pdf.setGState(new pdf.GState({"blend-mode":"Difference"}));pdf.setDrawColor(255,255,255);pdf.setLineWidth(.3/u);for(const x of o.xs){pdf.line(x,y0-gap,x,y0-gap-len);pdf.line(x,y1+gap,x,y1+gap+len)}for(const y of o.ys){pdf.line(x0-gap,y,x0-gap-len,y);pdf.line(x1+gap,y,x1+gap+len,y)}pdf.setGState(new pdf.GState({"blend-mode":"Normal"}))}var COLOR_MODES=["rgb","cmyk"];var PROCESS_INKS={c:[0,174,239],m:[236,0,140],y:[255,242,0]};var CMYK_PROFILES={coated:{blackGeneration:.7,totalInk:3,grayToK:true,gamutTolerance:40},uncoated:{blackGeneration:.8,totalInk:2.6,grayToK:true,gamutTolerance:40},newsprint:{blackGeneration:1,totalInk:2.4,grayToK:true,gamutTolerance:40}};function resolveCMYKProfile(profile="coated"){if(typeof profile==="string"){if(CMYK_PROFILES[profile])return{...CMYK_PROFILES[profile],inks:PROCESS_INKS};console.warn(`[p5.book] Unknown colorProfile "${profile}". Use ${Object.keys(CMYK_PROFILES).join(", ")}, or an object.`);return resolveCMYKProfile()}return{...CMYK_PROFILES.coated,...profile,inks:{...PROCESS_INKS,...profile.inks}}}function rgbToCMYK(r,g,b,p){if(p.convert)return p.convert(r,g,b);const c0=1-r/255,m0=1-g/255,y0=1-b/255;if(p.grayToK&&r===g&&g===b)return[0,0,0,c0];const k=Math.min(c0,m0,y0)*p.blackGeneration;if(k>=1)return[0,0,0,1];let c=(c0-k)/(1-k),m=(m0-k)/(1-k),y=(y0-k)/(1-k);const cmy=c+m+y;if(cmy+k>p.totalInk&&cmy>0){const s=Math.max(0,p.totalInk-k)/cmy;c*=s;m*=s;y*=s}return[c,m,y,k]}function proofCMYK(c,m,y,k,p){const out=[0,0,0];for(let i=0;i<3;i++){out[i]=255*(1-k)*(1-c*(1-p.inks.c[i]/255))*(1-m*(1-p.inks.m[i]/255))*(1-y*(1-p.inks.y[i]/255))}return out}function isOutOfGamut(r,g,b,p){const[c,m,y,k]=rgbToCMYK(r,g,b,p);const[pr,pg,pb]=proofCMYK(c,m,y,k,p);return(pr-r)**2+(pg-g)**2+(pb-b)**2>p.gamutTolerance**2}function gamutShare(cvs,p){const{width,height}=cvs;if(width===0||height===0)return 0;const px=cvs.getContext("2d").getImageData(0,0,width,height).data;const step=Math.max(1,Math.floor(Math.sqrt(width*height/25e4)));let seen=0,out=0;for(let y=0;y<height;y+=step){for(let x=0;x<width;x+=step){const i=(y*width+x)*4;if(px[i+3]===0)continue;seen++;if(isOutOfGamut(px[i],px[i+1],px[i+2],p))out++}}return seen?out/seen:0}function markOutOfGamut(cvs,p){const c=document.createElement("canvas");c.width=cvs.width;c.height=cvs.height;const ctx=c.getContext("2d");ctx.drawImage(cvs,0,0);if(c.width===0||c.height===0)return c;const img=ctx.getImageData(0,0,c.width,c.height);const px=img.data;for(let i=0;i<px.length;i+=4){if(px[i+3]===0||!isOutOfGamut(px[i],px[i+1],px[i+2],p))continue;px[i]=px[i+1]=px[i+2]=128;px[i+3]=255}ctx.putImageData(img,0,0);return c}var RAW_FORMAT="P5BOOKRAW";function registerRawImages(jsPDF){jsPDF.API["process"+RAW_FORMAT]??=function(data,index,alias){return{...data.image,data:this.__addimage__.arrayBufferToBinaryString(data),index,alias}}}function rawImage(jsPDF,{width,height,colorSpace,samples,alpha}){const flate=bytes=>jsPDF.API.processDataByFilters(jsPDF.API.__addimage__.arrayBufferToBinaryString(bytes),["FlateEncode"]).data;const stream=flate(samples);const data=new Uint8Array(stream.length);for(let i=0;i<stream.length;i++)data[i]=stream.charCodeAt(i);data.image={width,height,colorSpace,bitsPerComponent:8,filter:"FlateDecode",sMask:alpha?flate(alpha):void 0,predictor:1};return[data,RAW_FORMAT]}function cmykImage(jsPDF,cvs,p){const{width,height}=cvs;const px=cvs.getContext("2d").getImageData(0,0,width,height).data;const samples=new Uint8Array(width*height*4);const alpha=new Uint8Array(width*height);let opaque=true;for(let i=0,j=0;i<px.length;i+=4,j++){const cmyk=rgbToCMYK(px[i],px[i+1],px[i+2],p);for(let n=0;n<4;n++)samples[i+n]=255-Math.round(Math.min(1,Math.max(0,cmyk[n]))*255);alpha[j]=px[i+3];if(px[i+3]!==255)opaque=false}return rawImage(jsPDF,{width,height,colorSpace:"DeviceCMYK",samples,alpha:opaque?null:alpha})}var RISO_INKS={black:[0,0,0],burgundy:[145,78,114],blue:[0,120,191],federalBlue:[61,85,136],mediumBlue:[50,85,164],aqua:[94,200,229],teal:[0,131,138],green:[0,169,92],hunterGreen:[64,112,96],kellyGreen:[103,179,70],red:[255,102,94],brightRed:[241,80,96],scarlet:[246,80,88],crimson:[228,93,80],orange:[255,108,47],yellow:[255,232,0],sunflower:[255,181,17],flatGold:[187,139,65],purple:[118,91,167],violet:[157,122,210],brown:[146,95,82],gray:[146,141,136],lightGray:[136,137,138],fluorescentPink:[255,72,176],fluorescentOrange:[255,116,119],fluorescentYellow:[255,233,0],fluorescentGreen:[68,214,44]};function inkColor(name,color){if(Array.isArray(color))return color.slice(0,3);if(typeof color==="string")return parseCSSColor(color).slice(0,3);return RISO_INKS[name]?RISO_INKS[name]:null}function inkCoverage(cvs){const{width,height}=cvs;if(width===0||height===0)return null;const px=cvs.getContext("2d").getImageData(0,0,width,height).data;const cover=new Uint8Array(width*height);let any=false;for(let i=0,j=0;i<px.length;i+=4,j++){const lum=.299*px[i]+.587*px[i+1]+.114*px[i+2];cover[j]=Math.round((255-lum)*px[i+3]/255);if(cover[j])any=true}return any?cover:null}function bleedCoverage(cover,width,height,dx,dy){if(dx===0&&dy===0)return cover;const w=width+2*dx;const h=height+2*dy;const out=new Uint8Array(w*h);for(let y=0;y<h;y++){const row=Math.min(height-1,Math.max(0,y-dy))*width;for(let x=0;x<w;x++)out[y*w+x]=cover[row+Math.min(width-1,Math.max(0,x-dx))]}return out}function plateImage(jsPDF,cover,width,height){const samples=new Uint8Array(cover.length);for(let i=0;i<cover.length;i++)samples[i]=255-cover[i];return rawImage(jsPDF,{width,height,colorSpace:"DeviceGray",samples})}function paintInk(ctx,cover,width,height,color,dx=0,dy=0){const layer=document.createElement("canvas");layer.width=width;layer.height=height;const lctx=layer.getContext("2d");const img=lctx.createImageData(width,height);const[r,g,b]=color;for(let i=0,j=0;j<cover.length;i+=4,j++){img.data[i]=r;img.data[i+1]=g;img.data[i+2]=b;img.data[i+3]=cover[j]}lctx.putImageData(img,0,0);ctx.save();ctx.globalCompositeOperation="multiply";ctx.drawImage(layer,dx,dy);ctx.restore()}var POD_PAPERBACK={unit:"in",bleed:.125,safe:.25,dpi:300,minPages:24,maxPages:828,pageMultiple:2,spineTextMinPages:79,paper:"pod-white",marks:false};var POD_HARDCOVER={...POD_PAPERBACK,minPages:75,maxPages:550};var PRINT_PROFILES={"pod-5x8-paperback":{...POD_PAPERBACK,trim:[5,8]},"pod-5.5x8.5-paperback":{...POD_PAPERBACK,trim:[5.5,8.5]},"pod-6x9-paperback":{...POD_PAPERBACK,trim:[6,9]},"pod-8.5x11-paperback":{...POD_PAPERBACK,trim:[8.5,11]},"pod-6x9-hardcover":{...POD_HARDCOVER,trim:[6,9]},"pod-8.5x11-hardcover":{...POD_HARDCOVER,trim:[8.5,11]},"a5-saddle-stitch":{unit:"mm",trim:[148,210],bleed:3,safe:5,dpi:300,minPages:8,maxPages:64,pageMultiple:4,paper:"uncoated-80gsm"},"a4-perfect-bound":{unit:"mm",trim:[210,297],bleed:3,safe:5,dpi:300,minPages:32,pageMultiple:2,spineTextMinPages:80,paper:"uncoated-90gsm"}};function resolveProfile(profile){let spec=profile;let name=profile;if(typeof profile==="string"){spec=PRINT_PROFILES[profile]}else if(profile&&typeof profile==="object"){const base=profile.extends?PRINT_PROFILES[profile.extends]:{};spec=base&&{...base,...profile};name=profile.name||profile.extends||"custom"}if(!spec||!spec.trim){console.warn(`[p5.book] useProfile(): unknown profile ${JSON.stringify(profile)}. Use ${Object.keys(PRINT_PROFILES).join(", ")}, or an object with a trim.`);return null}const u=MM_PER_UNIT[spec.unit||"mm"]||1;const mm=v=>v==null?null:v*u;return{name,trimMM:spec.trim.map(v=>v*u),bleedMM:mm(spec.bleed),safeMM:mm(spec.safe),dpi:spec.dpi??null,minPages:spec.minPages??null,maxPages:spec.maxPages??null,pageMultiple:spec.pageMultiple??null,spineTextMinPages:spec.spineTextMinPages??null,paper:spec.paper??null,marks:spec.marks}}function checkProfile(profile,book){const issues=[];const issue=(check,message,page=null)=>issues.push({check,message,page});const n=book.pages;const pp=k=>`${k} page${k===1?"":"s"}`;if(profile.minPages!=null&&n<profile.minPages)issue("pages",`${pp(n)}; ${profile.name} needs at least ${profile.minPages}.`);if(profile.maxPages!=null&&n>profile.maxPages)issue("pages",`${pp(n)}; ${profile.name} allows at most ${profile.maxPages}.`);if(profile.pageMultiple>1&&n%profile.pageMultiple!==0)issue("pages",`${pp(n)} is not a multiple of ${profile.pageMultiple}; see setPadding().`);if(profile.bleedMM!=null&&book.bleedMM<profile.bleedMM-.01)issue("bleed",`Bleed is ${book.bleedMM.toFixed(1)} mm; ${profile.name} needs ${profile.bleedMM.toFixed(1)} mm.`);if(profile.dpi!=null&&book.dpi!=null&&book.dpi<profile.dpi-1)issue("dpi",`Pages are ${Math.round(book.dpi)} dpi; ${profile.name} needs ${profile.dpi} dpi. Use setDPI(${profile.dpi}).`);if(profile.spineTextMinPages!=null&&book.spineDrawn&&n<profile.spineTextMinPages)issue("spine",`The spine is ${book.spineMM.toFixed(1)} mm; ${profile.name} allows spine text from ${profile.spineTextMinPages} pages. Leave book.spine blank.`);if(profile.safeMM!=null){const s=book.safePx;book.textRuns.forEach((runs,page)=>{const out=(runs||[]).some(r=>r.x<s||r.x+r.width>book.width-s||r.y-r.size*.8<s||r.y+r.size*.2>book.height-s);if(out)issue("safe",`Page ${page+1}: text within ${profile.safeMM.toFixed(1)} mm of the trim.`,page)})}return issues}var BLACK_LUM=40;var SAME_COLOR=24;var MIN_SHARE=.002;var isEmpty=(px,i)=>px[i+3]<8||px[i]>250&&px[i+1]>250&&px[i+2]>250;var sameColor=(px,i,j)=>Math.abs(px[i]-px[j])<=SAME_COLOR&&Math.abs(px[i+1]-px[j+1])<=SAME_COLOR&&Math.abs(px[i+2]-px[j+2])<=SAME_COLOR;function checkPagePixels(cvs,o){const{width,height}=cvs;const result={bleed:[],safe:false,pure:0,rich:0,ink:0};if(width===0||height===0)return result;const px=cvs.getContext("2d").getImageData(0,0,width,height).data;const at=(x,y)=>(Math.floor(y)*width+Math.floor(x))*4;const step=Math.max(1,Math.floor(Math.sqrt(width*height/25e4)));const bx=o.bleedX,by=o.bleedY;const x0=bx,y0=by,x1=width-bx-1,y1=height-by-1;if(bx>=2&&by>=2){const sides={top:t=>[at(t,y0),at(t,by/2)],bottom:t=>[at(t,y1),at(t,height-by/2)],left:t=>[at(x0,t),at(bx/2,t)],right:t=>[at(x1,t),at(width-bx/2,t)]};for(const[side,pair]of Object.entries(sides)){const[from,to]=side==="top"||side==="bottom"?[x0,x1]:[y0,y1];let seen2=0,empty=0;for(let t=from;t<=to;t+=step){const[inner,outer]=pair(t);seen2++;if(!isEmpty(px,inner)&&isEmpty(px,outer))empty++}if(seen2&&empty/seen2>.02)result.bleed.push(side)}}const edge=[];for(let x=x0;x<=x1;x+=step)edge.push(at(x,y0),at(x,y1));for(let y=y0;y<=y1;y+=step)edge.push(at(x0,y),at(x1,y));const bg=edge[0];const plain=edge.filter(i=>sameColor(px,i,bg)).length;if(o.safeX>0&&plain/edge.length>=.98){let seen2=0,out=0;for(let y=y0;y<=y1;y+=step){for(let x=x0;x<=x1;x+=step){const inside=x>=x0+o.safeX&&x<=x1-o.safeX&&y>=y0+o.safeY&&y<=y1-o.safeY;if(inside)continue;seen2++;if(!sameColor(px,at(x,y),bg))out++}}result.safe=seen2>0&&out/seen2>MIN_SHARE}let seen=0,pure=0,rich=0,over=0;for(let y=0;y<height;y+=step){for(let x=0;x<width;x+=step){const i=at(x,y);if(px[i+3]===0)continue;seen++;if(isEmpty(px,i))continue;const[c,m,yy,k]=rgbToCMYK(px[i],px[i+1],px[i+2],o.profile);if(c+m+yy+k>o.totalInk+.01)over++;const lum=.299*px[i]+.587*px[i+1]+.114*px[i+2];if(lum<BLACK_LUM){if(c+m+yy<.05)pure++;else rich++}}}if(seen){result.pure=pure/seen;result.rich=rich/seen;result.ink=over/seen}return result}function watchImageScale(ctx,onScale){const draw=ctx.drawImage;const own=Object.prototype.hasOwnProperty.call(ctx,"drawImage");const hook=function(img,...a){const w=img.naturalWidth||img.videoWidth||img.width;const h=img.naturalHeight||img.videoHeight||img.height;const[sw,sh,dw,dh]=a.length>=8?[a[2],a[3],a[6],a[7]]:a.length>=4?[w,h,a[2],a[3]]:[w,h,w,h];const m=ctx.getTransform();const s=Math.max(Math.abs(dw*Math.hypot(m.a,m.b)/sw),Math.abs(dh*Math.hypot(m.c,m.d)/sh));if(Number.isFinite(s))onScale(s);return draw.call(this,img,...a)};ctx.drawImage=hook;return()=>{if(ctx.drawImage!==hook)return;if(own)ctx.drawImage=draw;else delete ctx.drawImage}}var progress_default='/* \u2500\u2500 progress UI \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500 */\n/* Injected by Book._createProgressUI() via a <style id="p5book-progress-styles"> tag */\n\n#p5book-progress {\n    position: fixed;\n    z-index: 99998;\n    display: flex;\n    flex-direction: column;\n    pointer-events: none;\n}\n\n/* full-screen overlay variant (opt-in via { progressBar: true }) */\n#p5book-progress.is-overlay {\n    inset: 0;\n    align-items: center;\n    justify-content: center;\n    gap: 14px;\n    background: rgba(255, 255, 255, 0.92);\n    font-family: monospace;\n    font-size: 13px;\n}\n\n/* default: small non-blocking corner badge */\n#p5book-progress.is-corner {\n    bottom: 16px;\n    right: 16px;\n    align-items: flex-end;\n    gap: 6px;\n}\n\n#p5book-prog-label.is-overlay {\n    opacity: 0.5;\n}\n\n#p5book-prog-label.is-corner {\n    font-family: monospace;\n    font-size: 11px;\n    background: rgba(0, 0, 0, 0.55);\n    color: #fff;\n    padding: 4px 9px;\n    border-radius: 20px;\n    letter-spacing: 0.03em;\n}\n\n.p5book-prog-track {\n    border-radius: 2px;\n    overflow: hidden;\n}\n\n.p5book-prog-track.is-overlay {\n    width: 240px;\n    height: 3px;\n    background: rgba(0, 0, 0, 0.1);\n}\n\n.p5book-prog-track.is-corner {\n    width: 120px;\n    height: 2px;\n    background: rgba(0, 0, 0, 0.15);\n}\n\n#p5book-prog-bar {\n    height: 100%;\n    width: 0%;\n    border-radius: 2px;\n}\n\n#p5book-prog-bar.is-overlay {\n    background: #000;\n    transition: width 0.1s linear;\n}\n\n#p5book-prog-bar.is-corner {\n    background: rgba(255, 255, 255, 0.9);\n    transition: width 0.12s linear;\n}';var Book=class _Book{constructor(p,widthOrSize,heightOrPages,totalPagesOrFilename,unitOrFilename,filenameArg){if(!window.jspdf){throw new Error('[p5.book] jsPDF not found. Add this before p5.book.js:\n<script src="https://unpkg.com/jspdf@latest/dist/jspdf.umd.min.js"><\/script>')}const{jsPDF}=window.jspdf;this._p=p;const _isOpts=v=>v!==null&&v!==void 0&&typeof v==="object"&&!Array.isArray(v);let opts={};if(_isOpts(filenameArg)){opts=filenameArg;filenameArg=void 0}else if(_isOpts(unitOrFilename)){opts=unitOrFilename;unitOrFilename=void 0}else if(_isOpts(totalPagesOrFilename)){opts=totalPagesOrFilename;totalPagesOrFilename=void 0}this._imageType=(opts.imageType||"jpeg").toLowerCase();this._jpegQuality=opts.jpegQuality??.92;const autoCanvas=opts.autoCanvas!==false;this._progressBarOverlay=opts.progressBar===true;this._textLayer=opts.textLayer??false;if(this._textLayer&&!TEXT_LAYER_MODES.includes(this._textLayer)){console.warn(`[p5.book] Invalid textLayer "${this._textLayer}". Use "overlay", "vector", or false.`);this._textLayer="overlay"}this._capture=opts.capture??"raster";if(!CAPTURE_MODES.includes(this._capture)){console.warn(`[p5.book] Invalid capture "${this._capture}". Use "raster" or "vector".`);this._capture="raster"}this._colorMode=opts.colorMode??"rgb";if(!COLOR_MODES.includes(this._colorMode)){console.warn(`[p5.book] Invalid colorMode "${this._colorMode}". Use "rgb" or "cmyk".`);this._colorMode="rgb"}this._colorProfile=this._colorMode==="cmyk"?resolveCMYKProfile(opts.colorProfile):null;registerRawImages(jsPDF);let format,unit,totalPages,filename;if(typeof widthOrSize==="string"){format=widthOrSize.toLowerCase();totalPages=heightOrPages;unit="mm";filename=typeof totalPagesOrFilename==="string"?totalPagesOrFilename:"book.pdf"}else{format=[widthOrSize,heightOrPages];totalPages=totalPagesOrFilename;if(UNITS.includes(unitOrFilename)){unit=unitOrFilename;filename=filenameArg||"book.pdf"}else{unit="in";filename=unitOrFilename||"book.pdf"}}if(totalPages!==void 0&&totalPages!==null&&typeof totalPages!=="number"){console.warn("[p5.book] totalPages should be a number or omitted; got:",totalPages);totalPages=null}this._unit=unit;this._pdf=new jsPDF({unit,format,orientation:Array.isArray(format)&&format[0]>format[1]?"l":"p"});if(Array.isArray(format)){this._trimW=format[0];this._trimH=format[1]}else{this._trimW=this._pdf.internal.pageSize.getWidth();this._trimH=this._pdf.internal.pageSize.getHeight()}if(autoCanvas){const defaultCanvasW=500;const defaultCanvasH=Math.round(defaultCanvasW*this._trimH/this._trimW);this._p.createCanvas(defaultCanvasW,defaultCanvasH)}this._filename=filename;this._metadata={};this._bleed=0;this._margins=null;this._grid=null;this._folio=null;this._runningHead=null;this._numbering=[];this._printMarks=false;this._printMarksSet=false;this._spread=false;this._saddleStitch=false;this._padding=false;this._paddedPages=[];this._paddingPlaced=false;this._rtl=false;this._dpi=null;this._pageThickMM=.1;this._coverThickMM=1;this._paper=null;this._flapW=0;this._flapGfx=null;this._creep=false;this._profile=null;this._profileIssues=[];this._preflightOpts={};this._preflight=[];this._3dColors={bg:null,edge:["#f0ece4","#f0ece4","#f0ece4"]};this._3dHideColors=false;this._viewerMode="flipbook";this._bleedWarnedOnce=false;this.bleed=new Proxy({},{get:(_,prop)=>{if(!this._bleedWarnedOnce){this._bleedWarnedOnce=true;console.warn("[p5.book] book.bleed accessed before setBleed() \u2014 calls are no-ops. Add book.setBleed(amount) in setup() to enable bleed.")}return prop==="draw"?()=>{}:()=>{}}});this._spineGfx=null;this._pageImages=[];this._rawCanvases=[];this._previewCanvases=[];this._textRuns=[];this._pageTextRuns=[];this._fontChars=new Map;this._pdfCanvases=[];this._pageVectors=[];this._sections=[];this._links=[];this._pageLinks=[];this._linkWarned=new Set;this._gamut=[];this._gamutCanvases=[];this._inks=new Map;this._pagePlates=[];this._columns=1;this._columnGutter=20;this._page=0;this.totalPages=totalPages!=null?totalPages:null;this._progressEl=null;this._viewerShown=false;this._finished=false;this._pagesProcessed=0;this._pageQueue=Promise.resolve();this._addPageOverflowWarned=false;this._recorder=null;if(this._capture==="vector"){this._recorder=new VectorRecorder(p,(str,x,y)=>this._vectorTextRun(str,x,y));this._recorder.attach()}this._imageScale=1;this._pageImageScale=[];this._imageCtx=null;this._unwatchImages=null;this._watchImages();if(this.totalPages!=null)this._createProgressUI()}_createProgressUI(){if(!document.getElementById("p5book-progress-styles")){const s=document.createElement("style");s.id="p5book-progress-styles";s.textContent=progress_default;document.head.appendChild(s)}const v=this._progressBarOverlay?"overlay":"corner";const label=this._progressBarOverlay?`rendering page 0 / ${this.totalPages}`:`0 / ${this.totalPages}`;const el=document.createElement("div");el.id="p5book-progress";el.className=`is-${v}`;el.innerHTML=`
       <div id="p5book-prog-label" class="is-${v}">${label}</div>
       <div class="p5book-prog-track is-${v}">
         <div id="p5book-prog-bar" class="is-${v}"></div>
       </div>
-    `;document.body.appendChild(el);this._progressEl=el}_updateProgressUI(){if(!this._progressEl)return;const pct=Math.round(this._pagesProcessed/this.totalPages*100);const bar=this._progressEl.querySelector("#p5book-prog-bar");const lbl=this._progressEl.querySelector("#p5book-prog-label");if(bar)bar.style.width=pct+"%";if(lbl)lbl.textContent=this._progressBarOverlay?`rendering page ${this._pagesProcessed} / ${this.totalPages}`:`${this._pagesProcessed} / ${this.totalPages}`}_removeProgressUI(){if(this._progressEl){this._progressEl.remove();this._progressEl=null}}get page(){return this._page}get spine(){if(!this._spineGfx){const trimHmm=this._trimH*(MM_PER_UNIT[this._unit]||25.4);const spineMM=Math.max(3,Math.ceil((this.totalPages||1)/2)*this._pageThickMM+2);const spineWpx=Math.max(8,Math.round(this._p.height*spineMM/trimHmm));this._spineGfx=this._p.createGraphics(spineWpx,this._p.height);this._spineGfx.pixelDensity(this._p.pixelDensity());const _g=this._spineGfx;_g.draw=fn=>fn(_g)}return this._spineGfx}setDPI(dpi){if(this.page>0)throw new Error("[p5.book] setDPI() must be called before addPage()");this._dpi=dpi;const mmPU=MM_PER_UNIT[this._unit]||25.4;const trimW_in=this._trimW*mmPU/25.4;const trimH_in=this._trimH*mmPU/25.4;const density=dpi*trimW_in/this._p.width;const physH=Math.round(dpi*trimH_in);const logH=Math.round(physH/density);this._p.pixelDensity(density);if(logH!==this._p.height)this._p.resizeCanvas(this._p.width,logH);if(this._bleedGfx){this._bleedGfx.remove();const gfx=this._p.createGraphics(this._p.width,this._p.height);gfx.pixelDensity(density);this._bleedGfx=gfx;this.bleed=new Proxy(gfx,{get:(target,prop)=>{if(prop==="draw")return fn=>fn(target);const val=target[prop];return typeof val==="function"?val.bind(target):val}});const mainCvs=this._p.canvas;this._offCanvas.width=Math.round(mainCvs.width*this.bleedWidth/this._trimW);this._offCanvas.height=Math.round(mainCvs.height*this.bleedHeight/this._trimH)}}set3DBackground(color){this._3dColors.bg=color}set3DEdgeColor(color){const arr=Array.isArray(color)?color:[color];this._3dColors.edge=[0,1,2].map(i=>arr[i]??arr[arr.length-1])}showColorPickers(visible=true){this._3dHideColors=!visible}setSaddleStitch(enabled){this._saddleStitch=!!enabled}setViewerMode(mode){if(["flipbook","grid","3d"].includes(mode)){this._viewerMode=mode}else{console.warn(`[p5.book] Invalid viewer mode "${mode}". Use "flipbook", "grid", or "3d".`)}}setPageThickness(thickness,unit="mm"){this._pageThickMM=thickness*(MM_PER_UNIT[unit]||1)}setSpread(enabled){if(this.page>0)throw new Error("[p5.book] setSpread() must be called before addPage()");this._spread=!!enabled}setDirection(dir){if(this.page>0)throw new Error("[p5.book] setDirection() must be called before addPage()");this._rtl=dir==="rtl"}setBleed(amount,unit){if(this.page>0)throw new Error("[p5.book] setBleed() must be called before addPage()");const srcUnit=unit||this._unit;const amountMM=amount*(MM_PER_UNIT[srcUnit]||25.4);this._bleed=amountMM/(MM_PER_UNIT[this._unit]||25.4);this._printMarks=true;this._rebuildPDF();const gfx=this._p.createGraphics(this._p.width,this._p.height);gfx.pixelDensity(this._p.pixelDensity());this._bleedGfx=gfx;this.bleed=new Proxy(gfx,{get:(target,prop)=>{if(prop==="draw")return fn=>fn(target);const val=target[prop];return typeof val==="function"?val.bind(target):val}});const mainCvs=this._p.canvas;this._offCanvas=document.createElement("canvas");this._offCanvas.width=Math.round(mainCvs.width*this.bleedWidth/this._trimW);this._offCanvas.height=Math.round(mainCvs.height*this.bleedHeight/this._trimH);this._offCtx=this._offCanvas.getContext("2d")}setPrintMarks(enabled){this._printMarks=!!enabled}letterSpacing(px){this._p.drawingContext.letterSpacing=`${px}px`;if(this._bleedGfx){this._bleedGfx.drawingContext.letterSpacing=`${px}px`}return this}get bleedWidth(){return this._trimW+2*this._bleed}get bleedHeight(){return this._trimH+2*this._bleed}_rebuildPDF(){const{jsPDF}=window.jspdf;this._pdf=new jsPDF({unit:this._unit,format:[this.bleedWidth,this.bleedHeight],orientation:this.bleedWidth>this.bleedHeight?"l":"p"})}get pageNumber(){return this._page+1}get progress(){return this.totalPages>1?this._page/(this.totalPages-1):1}isFirstPage(){return this._page===0}isLastPage(){return this._page===this.totalPages-1}isLeftPage(){if(!this._spread){console.warn("isLeftPage() is only meaningful when setSpread(true) is enabled");return false}if(this._page===0||this._page===this.totalPages-1){return false}return this._rtl?this._page%2===0:this._page%2===1}isRightPage(){if(!this._spread){console.warn("isRightPage() is only meaningful when setSpread(true) is enabled");return false}if(this._page===0||this._page===this.totalPages-1){return false}return this._rtl?this._page%2===1:this._page%2===0}addPage(){if(this.totalPages!=null&&this._page>=this.totalPages){if(!this._addPageOverflowWarned){this._addPageOverflowWarned=true;console.info(`[p5.book] Successfully generated ${this.totalPages} pages. Additional addPage() calls are ignored.`)}return this._pageQueue}const b=this._bleed;const mainCvs=this._p.canvas;let rawCanvas;if(b>0){const neededW=Math.round(mainCvs.width*this.bleedWidth/this._trimW);const neededH=Math.round(mainCvs.height*this.bleedHeight/this._trimH);if(this._offCanvas.width!==neededW||this._offCanvas.height!==neededH){this._offCanvas.width=neededW;this._offCanvas.height=neededH}const offX=Math.round(mainCvs.width*(b/this._trimW));const offY=Math.round(mainCvs.height*(b/this._trimH));this._offCtx.clearRect(0,0,this._offCanvas.width,this._offCanvas.height);this._offCtx.drawImage(this.bleed.canvas,0,0,this._offCanvas.width,this._offCanvas.height);this._offCtx.drawImage(mainCvs,offX,offY);rawCanvas=document.createElement("canvas");rawCanvas.width=this._offCanvas.width;rawCanvas.height=this._offCanvas.height;rawCanvas.getContext("2d").drawImage(this._offCanvas,0,0);this.bleed.clear()}else{rawCanvas=document.createElement("canvas");rawCanvas.width=mainCvs.width;rawCanvas.height=mainCvs.height;rawCanvas.getContext("2d").drawImage(mainCvs,0,0)}const pageIndex=this._page;this._page++;const prevTail=this._pageQueue;let _resolveThisPage;this._pageQueue=new Promise(r=>{_resolveThisPage=r});prevTail.then(()=>{requestAnimationFrame(()=>{if(pageIndex>0)this._pdf.addPage([this.bleedWidth,this.bleedHeight],this.bleedWidth>this.bleedHeight?"l":"p");this._rawCanvases.push(rawCanvas);const fmt=this._imageType==="png"?"image/png":"image/jpeg";const pdfFmt=this._imageType==="png"?"PNG":"JPEG";const pageImg=rawCanvas.toDataURL(fmt,this._jpegQuality);this._pageImages.push(pageImg);this._pdf.addImage(pageImg,pdfFmt,0,0,b>0?this.bleedWidth:this._trimW,b>0?this.bleedHeight:this._trimH);if(this._printMarks)this._drawPrintMarksOn(this._pdf,this._trimW,this._trimH,b);this._pagesProcessed++;this._updateProgressUI();if(this.totalPages!=null&&pageIndex===this.totalPages-1){this._p.noLoop();this._showViewer()}_resolveThisPage()})});return this._pageQueue}_drawPrintMarksOn(pdf,trimW,trimH,b){if(b<=0)return;const u=MM_PER_UNIT[this._unit]||25.4;const gap=1/u;const hair=.3/u;const x0=b,y0=b;const x1=b+trimW,y1=b+trimH;const pw=2*b+trimW;const ph=2*b+trimH;const lines=[[0,y0,x0-gap,y0],[x0,0,x0,y0-gap],[pw,y0,x1+gap,y0],[x1,0,x1,y0-gap],[0,y1,x0-gap,y1],[x0,ph,x0,y1+gap],[pw,y1,x1+gap,y1],[x1,ph,x1,y1+gap]];pdf.setGState(new pdf.GState({"blend-mode":"Difference"}));pdf.setDrawColor(255,255,255);pdf.setLineWidth(hair);lines.forEach(([ax,ay,bx,by])=>pdf.line(ax,ay,bx,by));pdf.setGState(new pdf.GState({"blend-mode":"Normal"}))}_makeSpreadCanvas(leftCvs,rightCvs){const b=this._bleed;const mainW=this._p.canvas.width;const mainH=this._p.canvas.height;const spread=document.createElement("canvas");if(b>0){const rawW=leftCvs.width;const bleedPx=(rawW-mainW)/2;spread.width=2*mainW+2*bleedPx;spread.height=leftCvs.height;const ctx=spread.getContext("2d");const trimPlusBleed=rawW-bleedPx;ctx.drawImage(leftCvs,0,0,trimPlusBleed,spread.height,0,0,trimPlusBleed,spread.height);ctx.drawImage(rightCvs,bleedPx,0,trimPlusBleed,spread.height,trimPlusBleed,0,trimPlusBleed,spread.height)}else{spread.width=mainW*2;spread.height=mainH;const ctx=spread.getContext("2d");ctx.drawImage(leftCvs,0,0,mainW,mainH,0,0,mainW,mainH);ctx.drawImage(rightCvs,0,0,mainW,mainH,mainW,0,mainW,mainH)}return spread}_buildSpreadsFromPairs(pairs){const{jsPDF}=window.jspdf;const b=this._bleed;const soloW=this.bleedWidth;const soloH=this.bleedHeight;const spreadW=2*this._trimW+2*b;const orientationFor=(w,h)=>w>h?"l":"p";const firstIsSolo=pairs[0][1]===null;const firstW=firstIsSolo?soloW:spreadW;const pdf=new jsPDF({unit:this._unit,format:[firstW,soloH],orientation:orientationFor(firstW,soloH)});pairs.forEach(([li,ri],i)=>{const isSolo=ri===null;const pageW=isSolo?soloW:spreadW;if(i>0)pdf.addPage([pageW,soloH],orientationFor(pageW,soloH));const _fmt=this._imageType==="png"?"image/png":"image/jpeg";const _pdfFmt=this._imageType==="png"?"PNG":"JPEG";if(isSolo){pdf.addImage(this._rawCanvases[li].toDataURL(_fmt,this._jpegQuality),_pdfFmt,0,0,soloW,soloH);if(this._printMarks)this._drawPrintMarksOn(pdf,this._trimW,this._trimH,b)}else{const spreadCvs=this._makeSpreadCanvas(this._rawCanvases[li],this._rawCanvases[ri]);pdf.addImage(spreadCvs.toDataURL(_fmt,this._jpegQuality),_pdfFmt,0,0,spreadW,soloH);if(this._printMarks)this._drawPrintMarksOn(pdf,2*this._trimW,this._trimH,b)}});return pdf}_buildSpreadPDF(){const n=this._rawCanvases.length;if(n<2)throw new Error("[p5.book] spread requires at least 2 pages");if((n-2)%2!==0)throw new Error("[p5.book] spread requires an even total page count");const pairs=[[0,null]];for(let i=1;i<n-1;i+=2)pairs.push(this._rtl?[i+1,i]:[i,i+1]);pairs.push([n-1,null]);return this._buildSpreadsFromPairs(pairs)}_buildSaddleStitchPDF(){const n=this._rawCanvases.length;if(n%4!==0)throw new Error("[p5.book] saveSaddleStitch() requires a page count divisible by 4, got "+n);const pairs=[];for(let k=0;k<n/2;k++){const pair=k%2===0?[n-1-k,k]:[k,n-1-k];pairs.push(this._rtl?[pair[1],pair[0]]:pair)}return this._buildSpreadsFromPairs(pairs)}_makeTrimCanvas(rawCvs,trimPxW,trimPxH){if(this._bleed<=0)return rawCvs;const mainW=this._p.canvas.width;const mainH=this._p.canvas.height;const bpx=Math.round(mainW*this._bleed/this._trimW);const bpy=Math.round(mainH*this._bleed/this._trimH);const w=trimPxW||mainW;const h=trimPxH||mainH;const c=document.createElement("canvas");c.width=w;c.height=h;c.getContext("2d").drawImage(rawCvs,bpx,bpy,w,h,0,0,w,h);return c}_buildViewItems(showBleed=true){const n=this._rawCanvases.length;const mainW=this._p.canvas.width;const mainH=this._p.canvas.height;const isValidSpread=this._spread&&n>=2&&(n-2)%2===0;const _fmt=this._imageType==="png"?"image/png":"image/jpeg";const toSrc=cvs=>cvs.toDataURL(_fmt,this._jpegQuality);const mayTrim=(cvs,tw,th)=>showBleed?cvs:this._makeTrimCanvas(cvs,tw,th);if(!isValidSpread){return this._rawCanvases.map((rc,i)=>({src:showBleed?this._pageImages[i]:toSrc(mayTrim(rc)),label:String(i+1)}))}const items=[];items.push({src:showBleed?this._pageImages[0]:toSrc(mayTrim(this._rawCanvases[0])),label:"cover"});for(let i=1;i<n-1;i+=2){const[li,ri]=this._rtl?[i+1,i]:[i,i+1];const cvs=this._makeSpreadCanvas(this._rawCanvases[li],this._rawCanvases[ri]);items.push({src:toSrc(mayTrim(cvs,2*mainW,mainH)),label:`pp.\xA0${i+1}\u2013${i+2}`})}items.push({src:showBleed?this._pageImages[n-1]:toSrc(mayTrim(this._rawCanvases[n-1])),label:"back cover"});return items}_showViewer(){showViewer(this)}finish(filename){if(filename)this._filename=filename;this._p.noLoop();this._showViewer()}save(filename){const name=filename||this._filename;if(this._spread){try{this._buildSpreadPDF().save(name)}catch(e){console.error("[p5.book]",e.message);this._pdf.save(name)}}else{this._pdf.save(name)}}_buildCoverPDF(){const{jsPDF}=window.jspdf;const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const n=this._rawCanvases.length;if(n===0)throw new Error("[p5.book] no pages to export.");const spineMM=Math.max(3,Math.ceil((this.totalPages||1)/2)*this._pageThickMM+2);const spineU=spineMM/mmPerUnit;const frontCvs=this._rawCanvases[0];const backCvs=this._rawCanvases[n-1];const pageW=frontCvs.width;const pageH=frontCvs.height;const spineWpx=Math.max(4,Math.round(spineU/this.bleedWidth*pageW));const compound=document.createElement("canvas");compound.width=pageW*2+spineWpx;compound.height=pageH;const ctx=compound.getContext("2d");ctx.drawImage(backCvs,0,0);if(this._spineGfx){ctx.drawImage(this._spineGfx.canvas,0,0,this._spineGfx.canvas.width,this._spineGfx.canvas.height,pageW,0,spineWpx,pageH)}else{ctx.fillStyle="#1a1a1a";ctx.fillRect(pageW,0,spineWpx,pageH)}ctx.drawImage(frontCvs,pageW+spineWpx,0);const b=this._bleed;const totalW=2*this.bleedWidth+spineU;const totalH=this.bleedHeight;const pdf=new jsPDF({unit:this._unit,format:[totalW,totalH],orientation:"l"});const _fmt=this._imageType==="png"?"image/png":"image/jpeg";const _pdfFmt=this._imageType==="png"?"PNG":"JPEG";pdf.addImage(compound.toDataURL(_fmt,this._jpegQuality),_pdfFmt,0,0,totalW,totalH);if(this._printMarks&&b>0){const gap=1/mmPerUnit;const hair=.3/mmPerUnit;const y0=b,y1=b+this._trimH,ph=totalH;const bx0=b;const fx1=totalW-b;const sf0=this.bleedWidth;const sf1=this.bleedWidth+spineU;const lines=[[0,y0,bx0-gap,y0],[bx0,0,bx0,y0-gap],[0,y1,bx0-gap,y1],[bx0,ph,bx0,y1+gap],[totalW,y0,fx1+gap,y0],[fx1,0,fx1,y0-gap],[totalW,y1,fx1+gap,y1],[fx1,ph,fx1,y1+gap],[sf0,0,sf0,y0-gap],[sf0,ph,sf0,y1+gap],[sf1,0,sf1,y0-gap],[sf1,ph,sf1,y1+gap]];pdf.setGState(new pdf.GState({"blend-mode":"Difference"}));pdf.setDrawColor(255,255,255);pdf.setLineWidth(hair);lines.forEach(([ax,ay,bx,by])=>pdf.line(ax,ay,bx,by));pdf.setGState(new pdf.GState({"blend-mode":"Normal"}))}return pdf}saveCover(filename){const n=this._rawCanvases.length;if(n===0){alert("[p5.book] saveCover(): no pages to export.");return}try{this._buildCoverPDF().save(filename||this._filename.replace(/\.pdf$/i,"-cover.pdf"))}catch(e){alert("[p5.book] saveCover(): "+e.message)}}saveSaddleStitch(filename){const n=this._rawCanvases.length;if(n===0){alert("[p5.book] saveSaddleStitch(): no pages to export.");return}if(n%4!==0){alert(`[p5.book] saveSaddleStitch(): page count must be divisible by 4, but you have ${n} pages. Try ${Math.ceil(n/4)*4} pages.`);return}try{this._buildSaddleStitchPDF().save(filename||this._filename.replace(/\.pdf$/i,"-saddle.pdf"))}catch(e){alert("[p5.book] saveSaddleStitch(): "+e.message)}}async exportFrames(format="png"){if(this._rawCanvases.length===0){console.warn("[p5.book] exportFrames(): no pages captured yet.");return}const isJpeg=format==="jpeg"||format==="jpg";const mime=isJpeg?"image/jpeg":"image/png";const ext=isJpeg?"jpg":"png";const q=isJpeg?this._jpegQuality:void 0;const base=this._filename.replace(/\.pdf$/i,"");for(let i=0;i<this._rawCanvases.length;i++){const a=document.createElement("a");a.href=this._rawCanvases[i].toDataURL(mime,q);a.download=`${base}-${String(i+1).padStart(4,"0")}.${ext}`;document.body.appendChild(a);a.click();document.body.removeChild(a);await new Promise(r=>setTimeout(r,80))}}columnNum(n,gutter){if(n===void 0)return this._columns;this._columns=Math.max(1,Math.floor(n));if(gutter!==void 0)this._columnGutter=gutter;return this}static _isCJK(ch){const c=ch.charCodeAt(0);return c>=19968&&c<=40959||c>=12288&&c<=12351||c>=12352&&c<=12447||c>=12448&&c<=12543||c>=44032&&c<=55215||c>=65280&&c<=65519}static _wrapText(p,str,maxW){const out=[];for(const para of str.split("\n")){if(para===""){out.push("");continue}const hasCJK=Array.from(para).some(_Book._isCJK);if(hasCJK){let line="";for(const char of para){if(char===" "){if(line)line+=char;continue}const candidate=line+char;if(line&&p.textWidth(candidate)>maxW){out.push(line.trimEnd());line=char}else{line=candidate}}if(line.trimEnd())out.push(line.trimEnd())}else{let line="";for(const word of para.split(" ")){if(!word)continue;const candidate=line?line+" "+word:word;if(line&&p.textWidth(candidate)>maxW){out.push(line);line=word}else line=candidate}if(line)out.push(line)}}return out}static _getLeading(p){const raw=p.textLeading();return typeof raw==="number"&&raw>0?raw:p.textSize()*1.25}textBox(str,x,y,w,h){if(!str)return"";const p=this._p;const cols=this._columns;const gutter=this._columnGutter;const colW=(w-gutter*(cols-1))/cols;const leading=_Book._getLeading(p);const ascent=p.textAscent();const maxLines=Math.max(1,Math.floor((h-ascent)/leading)+1);const lines=_Book._wrapText(p,str,colW);let lineIdx=0;const colIndices=this._rtl?Array.from({length:cols},(_,i)=>cols-1-i):Array.from({length:cols},(_,i)=>i);const prevDir=p.drawingContext.direction;if(this._rtl)p.drawingContext.direction="rtl";for(const col of colIndices){if(lineIdx>=lines.length)break;const cx=x+col*(colW+gutter);const tx=this._rtl?cx+colW:cx;for(let i=0;i<maxLines&&lineIdx<lines.length;i++){p.text(lines[lineIdx],tx,y+ascent+i*leading);lineIdx++}}if(this._rtl)p.drawingContext.direction=prevDir;return lines.slice(lineIdx).join("\n")}};if(typeof p5!=="undefined")p5.registerAddon(function(p52,fn){fn.createBook=function(widthOrSize,heightOrPages,totalPagesOrFilename,unitOrFilename,filenameArg){return new Book(this,widthOrSize,heightOrPages,totalPagesOrFilename,unitOrFilename,filenameArg)}});})();
+    `;document.body.appendChild(el);this._progressEl=el}_updateProgressUI(){if(!this._progressEl)return;const pct=Math.round(this._pagesProcessed/this.totalPages*100);const bar=this._progressEl.querySelector("#p5book-prog-bar");const lbl=this._progressEl.querySelector("#p5book-prog-label");if(bar)bar.style.width=pct+"%";if(lbl)lbl.textContent=this._progressBarOverlay?`rendering page ${this._pagesProcessed} / ${this.totalPages}`:`${this._pagesProcessed} / ${this.totalPages}`}_removeProgressUI(){if(this._progressEl){this._progressEl.remove();this._progressEl=null}}get page(){return this._page}get spine(){if(!this._spineGfx){const trimHmm=this._trimH*(MM_PER_UNIT[this._unit]||25.4);const spineMM=this._spineMM();const spineWpx=Math.max(8,Math.round(this._p.height*spineMM/trimHmm));this._spineGfx=this._p.createGraphics(spineWpx,this._p.height);this._spineGfx.pixelDensity(this._p.pixelDensity());const _g=this._spineGfx;_g.draw=fn=>fn(_g)}return this._spineGfx}get flaps(){if(!this._flapGfx){if(!this._flapW)this._flapW=this._trimW/2;const w=Math.max(8,Math.round(this._p.width*this._flapW/this._trimW));const make=()=>{const g=this._p.createGraphics(w,this._p.height);g.pixelDensity(this._p.pixelDensity());g.draw=fn=>fn(g);return g};this._flapGfx={front:make(),back:make()}}return this._flapGfx}setDPI(dpi){if(this.page>0)throw new Error("[p5.book] setDPI() must be called before addPage()");this._dpi=dpi;const mmPU=MM_PER_UNIT[this._unit]||25.4;const trimW_in=this._trimW*mmPU/25.4;const trimH_in=this._trimH*mmPU/25.4;const density=dpi*trimW_in/this._p.width;const physH=Math.round(dpi*trimH_in);const logH=Math.round(physH/density);this._p.pixelDensity(density);if(logH!==this._p.height)this._p.resizeCanvas(this._p.width,logH);for(const ink of this._inks.values()){ink.gfx.remove();ink.gfx=this._makeInkGfx()}if(this._bleedGfx){this._bleedGfx.remove();const gfx=this._p.createGraphics(this._p.width,this._p.height);gfx.pixelDensity(density);this._bleedGfx=gfx;this.bleed=new Proxy(gfx,{get:(target,prop)=>{if(prop==="draw")return fn=>fn(target);const val=target[prop];return typeof val==="function"?val.bind(target):val}});const mainCvs=this._p.canvas;this._offCanvas.width=Math.round(mainCvs.width*this.bleedWidth/this._trimW);this._offCanvas.height=Math.round(mainCvs.height*this.bleedHeight/this._trimH)}}set3DBackground(color){this._3dColors.bg=color}set3DEdgeColor(color){const arr=Array.isArray(color)?color:[color];this._3dColors.edge=[0,1,2].map(i=>arr[i]??arr[arr.length-1])}showColorPickers(visible=true){this._3dHideColors=!visible}setPadding(policy,{where="beforeBack",fill=null}={}){if(!policy){this._padding=false;return}const sig=/^signature(\d+)$/.exec(policy);const multiple=policy==="spread"?2:policy==="saddle"?4:sig?+sig[1]:0;if(!multiple){console.warn(`[p5.book] setPadding(): unknown policy "${policy}". Use "spread", "saddle", or "signature16".`);return}if(where!=="beforeBack"&&where!=="end"){console.warn(`[p5.book] setPadding(): unknown where "${where}". Use "beforeBack" or "end".`);where="beforeBack"}this._padding={multiple,where,fill}}setSaddleStitch(enabled){this._saddleStitch=!!enabled}setViewerMode(mode){if(["flipbook","grid","3d","preflight"].includes(mode)){this._viewerMode=mode}else{console.warn(`[p5.book] Invalid viewer mode "${mode}". Use "flipbook", "grid", "3d", or "preflight".`)}}setPageThickness(thickness,unit="mm"){this._pageThickMM=thickness*(MM_PER_UNIT[unit]||1)}setPaper(stock){const paper=typeof stock==="string"?PAPER_STOCKS[stock]:stock;if(!paper||!(paper.caliper>0||paper.ppi>0)){console.warn(`[p5.book] setPaper(): unknown paper ${JSON.stringify(stock)}. Use ${Object.keys(PAPER_STOCKS).join(", ")}, or { caliper } / { ppi }.`);return}this._pageThickMM=paper.caliper||50.8/paper.ppi;if(paper.cover!=null)this._coverThickMM=paper.cover;this._paper=typeof stock==="string"?stock:"custom"}useProfile(profile){if(this.page>0)throw new Error("[p5.book] useProfile() must be called before addPage()");const spec=resolveProfile(profile);if(!spec)return;this._profile=spec;const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const[w,h]=spec.trimMM.map(v=>v/mmPerUnit);if(Math.abs(w-this._trimW)>1e-6||Math.abs(h-this._trimH)>1e-6){this._trimW=w;this._trimH=h;this._p.resizeCanvas(this._p.width,Math.round(this._p.width*h/w));this._rebuildPDF()}if(spec.bleedMM)this.setBleed(spec.bleedMM,"mm");else if(this._bleed>0)this.setBleed(this._bleed);if(spec.marks!==void 0)this.setPrintMarks(spec.marks);if(spec.dpi||this._dpi)this.setDPI(spec.dpi||this._dpi);if(spec.paper)this.setPaper(spec.paper)}setPreflight(options={}){this._preflightOpts=options?{...options}:false}_watchImages(){const ctx=this._p.drawingContext;if(ctx===this._imageCtx)return;this._unwatchImages?.();this._imageCtx=ctx;this._unwatchImages=typeof ctx?.drawImage==="function"&&typeof ctx.getTransform==="function"?watchImageScale(ctx,s=>{this._imageScale=Math.max(this._imageScale,s)}):null}_safeMM(){const{safe,unit}=this._preflightOpts||{};if(safe!=null)return safe*(MM_PER_UNIT[unit||this._unit]||25.4);return this._profile?.safeMM??5}_runPreflight(){const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const{totalInk}=this._preflightOpts;const found=[];const warn=(check,message,page=null)=>found.push({check,message,page});const n=this._rawCanvases.length;const target=this._dpi||300;const bleedWin=this.bleedWidth*mmPerUnit/25.4;const dpi=this._rawCanvases.map(c=>c.width/bleedWin);if(!this._dpi){const low=dpi.flatMap((d,i)=>d<target-1?[i]:[]);const why="print usually needs 300; use setDPI(300)";if(low.length===n&&new Set(dpi.map(Math.round)).size===1)warn("dpi",`Pages are ${Math.round(dpi[0])} dpi, ${why}.`);else for(const i of low)warn("dpi",`Page ${i+1} is ${Math.round(dpi[i])} dpi, ${why}.`,i)}const below=this._dpi?`setDPI(${this._dpi})`:target;for(let i=0;i<n;i++){const scale=this._pageImageScale[i]||1;const d=dpi[i]/scale;if(scale>1&&d<target-1)warn("dpi",`Page ${i+1} has an image enlarged to ${Math.round(d)} dpi, below ${below}: draw it from a larger source, or smaller.`,i)}if(this._saddleStitch&&n%4!==0)warn("pages",`${n} pages: saddle stitch needs a multiple of 4. See setPadding("saddle").`);else if(this._spread&&n%2!==0)warn("pages",`${n} pages: spreads need an even count (cover, pairs, back cover). See setPadding("spread").`);const profile=this._colorProfile||resolveCMYKProfile();const limit=totalInk??profile.totalInk;const measure=this._colorProfile?profile:{...profile,totalInk:Infinity};const safeMM=this._safeMM();const pureRich=[];for(let i=0;i<n;i++){const cvs=this._rawCanvases[i];const pxPerMM=cvs.width/(this.bleedWidth*mmPerUnit);const r=checkPagePixels(cvs,{bleedX:Math.round(cvs.width*this._bleed/this.bleedWidth),bleedY:Math.round(cvs.height*this._bleed/this.bleedHeight),safeX:safeMM*pxPerMM,safeY:safeMM*cvs.height/(this.bleedHeight*mmPerUnit),profile:measure,totalInk:limit});if(r.bleed.length)warn("bleed",`Page ${i+1}: artwork stops at the trim with the bleed empty (${r.bleed.join(", ")}). Extend it into book.bleed.`,i);if(r.safe)warn("safe",`Page ${i+1}: artwork within ${safeMM.toFixed(1)} mm of the trim may be cut off.`,i);if(r.pure>MIN_SHARE&&r.rich>MIN_SHARE)pureRich.push(i);if(r.ink>MIN_SHARE)warn("ink",`Page ${i+1}: ${(r.ink*100).toFixed(1)} % of the page is over ${Math.round(limit*100)} % total ink.`,i);const ptPerPx=this._trimW*mmPerUnit*72/25.4/this._p.width;const richText=(this._pageTextRuns[i]||[]).some(t=>{const[cr,cg,cb]=t.color;if(.299*cr+.587*cg+.114*cb>=40)return false;const[c,m,y]=rgbToCMYK(cr,cg,cb,measure);return c+m+y>=.05&&t.size*ptPerPx<12});if(richText)warn("black",`Page ${i+1}: small text in rich black; use pure black (r = g = b) for text.`,i)}for(const i of pureRich)warn("black",`Page ${i+1}: pure and rich black side by side will print as two different blacks.`,i);if(found.length)console.warn(`[p5.book] Preflight: ${found.length} warning${found.length>1?"s":""}. Choose "preflight" in the viewer to see where.
+`+found.map(f=>`  ${f.message}`).join("\n"));return found}_checkProfile(){const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const p=this._p;const trimWin=this._trimW*mmPerUnit/25.4;const issues=checkProfile(this._profile,{pages:this._rawCanvases.length,bleedMM:this._bleed*mmPerUnit,dpi:p.width*p.pixelDensity()/trimWin,spineMM:this._spineMM(),spineDrawn:!!this._spineGfx,safePx:(this._profile.safeMM||0)/mmPerUnit/this._trimW*p.width,width:p.width,height:p.height,textRuns:this._pageTextRuns});for(const{message}of issues)console.warn(`[p5.book] useProfile(): ${message}`);return issues}_blockMM(){const pages=this.totalPages||this._rawCanvases.length||1;return Math.ceil(pages/2)*this._pageThickMM}_spineMM(){return Math.max(3,this._blockMM()+2*this._coverThickMM)}setCreep(creep=true,unit="mm"){this._creep=typeof creep==="number"?creep*(MM_PER_UNIT[unit]||1):!!creep}setFlaps(width){this._flapW=width>0?width:0;if(this._flapGfx){this._flapGfx.front.remove();this._flapGfx.back.remove();this._flapGfx=null}}setSpread(enabled){if(this.page>0)throw new Error("[p5.book] setSpread() must be called before addPage()");this._spread=!!enabled}setDirection(dir){if(this.page>0)throw new Error("[p5.book] setDirection() must be called before addPage()");this._rtl=dir==="rtl"}setBleed(amount,unit){if(this.page>0)throw new Error("[p5.book] setBleed() must be called before addPage()");const srcUnit=unit||this._unit;const amountMM=amount*(MM_PER_UNIT[srcUnit]||25.4);this._bleed=amountMM/(MM_PER_UNIT[this._unit]||25.4);if(!this._printMarks&&!this._printMarksSet)this._printMarks=resolvePrintMarks(true);this._rebuildPDF();const gfx=this._p.createGraphics(this._p.width,this._p.height);gfx.pixelDensity(this._p.pixelDensity());this._bleedGfx=gfx;this.bleed=new Proxy(gfx,{get:(target,prop)=>{if(prop==="draw")return fn=>fn(target);const val=target[prop];return typeof val==="function"?val.bind(target):val}});const mainCvs=this._p.canvas;this._offCanvas=document.createElement("canvas");this._offCanvas.width=Math.round(mainCvs.width*this.bleedWidth/this._trimW);this._offCanvas.height=Math.round(mainCvs.height*this.bleedHeight/this._trimH);this._offCtx=this._offCanvas.getContext("2d")}setMargins(margins,unit){if(!margins){this._margins=null;return}const sides=["inside","outside","top","bottom"];if(typeof margins==="number")margins=Object.fromEntries(sides.map(k=>[k,margins]));for(const k of Object.keys(margins))if(!sides.includes(k))console.warn(`[p5.book] setMargins(): unknown side "${k}". Use ${sides.join(", ")}.`);const mmPerUnit=MM_PER_UNIT[unit||this._unit]||25.4;this._margins=Object.fromEntries(sides.map(k=>[k,(margins[k]||0)*mmPerUnit]))}_sideOf(i){if(!this._spread)return null;if(this._isCover(i))return null;return(this._rtl?i%2===0:i%2===1)?"left":"right"}_isCover(i){if(i===0)return true;const added=this._paddedPages;if(added.length&&!this._paddingPlaced)return i===added[0]-1;if(added.length&&this._padding.where==="beforeBack")return i===this._page-1;if(this._finished)return i===this._page-1;return this.totalPages!=null&&i===this.totalPages-1}_pageMarginsMM(i){const{inside,outside,top,bottom}=this._margins||{inside:0,outside:0,top:0,bottom:0};const side=this._sideOf(i);if(!side)return{left:outside,right:outside,top,bottom};return side==="left"?{left:outside,right:inside,top,bottom}:{left:inside,right:outside,top,bottom}}setPrintMarks(marks){const next=resolvePrintMarks(marks);const resize=markMarginMM(next)!==markMarginMM(this._printMarks);if(resize&&this.page>0)throw new Error("[p5.book] setPrintMarks() must be called before addPage() to add or remove the mark margin");this._printMarks=next;this._printMarksSet=true;if(resize)this._rebuildPDF()}ink(name,color){let ink=this._inks.get(name);if(ink){if(color)ink.color=inkColor(name,color);return ink.proxy}let rgb=inkColor(name,color);if(!rgb){console.warn(`[p5.book] ink("${name}"): unknown ink, previewing it in black. Pass its color, e.g. book.ink("${name}", "#ff48b0").`);rgb=[0,0,0]}ink={color:rgb,gfx:this._makeInkGfx(),proxy:null};ink.proxy=new Proxy({},{get:(_,prop)=>{if(prop==="draw")return fn=>fn(ink.gfx);const val=ink.gfx[prop];return typeof val==="function"?val.bind(ink.gfx):val},set:(_,prop,val)=>{ink.gfx[prop]=val;return true}});this._inks.set(name,ink);return ink.proxy}_makeInkGfx(){const gfx=this._p.createGraphics(this._p.width,this._p.height);gfx.pixelDensity(this._p.pixelDensity());return gfx}_markMargin(){return markMarginMM(this._printMarks)/(MM_PER_UNIT[this._unit]||25.4)}letterSpacing(px){this._p.drawingContext.letterSpacing=`${px}px`;if(this._bleedGfx){this._bleedGfx.drawingContext.letterSpacing=`${px}px`}return this}get bleedWidth(){return this._trimW+2*this._bleed}get bleedHeight(){return this._trimH+2*this._bleed}_rebuildPDF(){const{jsPDF}=window.jspdf;const m=this._markMargin();this._pdf=new jsPDF({unit:this._unit,format:[this.bleedWidth+2*m,this.bleedHeight+2*m],orientation:this.bleedWidth>this.bleedHeight?"l":"p"});this._applyMetadata(this._pdf)}setMetadata(meta={}){const fields=["title","author","subject","keywords","creator","language"];for(const[key,value]of Object.entries(meta)){if(!fields.includes(key)){console.warn(`[p5.book] Unknown metadata field "${key}". Use ${fields.join(", ")}.`);continue}this._metadata[key]=key==="keywords"&&Array.isArray(value)?value.join(", "):String(value??"")}this._applyMetadata(this._pdf);return this}_applyMetadata(pdf){const{language,...props}=this._metadata;const encoded={};for(const[key,value]of Object.entries(props))encoded[key]=_Book._pdfTextString(value);pdf.setDocumentProperties(encoded);if(language){pdf.setLanguage(language);if(pdf.internal.languageSettings?.languageCode!==language)console.warn(`[p5.book] Unsupported PDF language code "${language}".`)}}static _pdfTextString(str){if(!/[^\u0000-\u00ff]/.test(str))return str;let out="\xFE\xFF";for(let i=0;i<str.length;i++){const c=str.charCodeAt(i);out+=String.fromCharCode(c>>8,c&255)}return out}get pageNumber(){return this._page+1}get folio(){return this._folioOf(this._page)}setNumbering(numbering){if(!numbering){this._numbering=[];return}const{style="arabic",start=1,from=this._page}=numbering;const styles=["arabic","roman","ROMAN","alpha","ALPHA"];if(!styles.includes(style)){console.warn(`[p5.book] setNumbering(): unknown style "${style}". Use ${styles.join(", ")}.`);return}this._numbering=this._numbering.filter(n=>n.from!==from).concat({style,start:Math.floor(start),from}).sort((a,b)=>a.from-b.from)}_folioOf(i){let style="arabic",n=i+1;for(const set of this._numbering){if(set.from>i)break;style=set.style;n=set.start+i-set.from}if(n<1||style==="arabic")return String(n);if(style==="roman"||style==="ROMAN"){const numerals=[[1e3,"m"],[900,"cm"],[500,"d"],[400,"cd"],[100,"c"],[90,"xc"],[50,"l"],[40,"xl"],[10,"x"],[9,"ix"],[5,"v"],[4,"iv"],[1,"i"]];let out2="";for(const[value,numeral]of numerals)for(;n>=value;n-=value)out2+=numeral;return style==="ROMAN"?out2.toUpperCase():out2}let out="";for(;n>0;n=Math.floor((n-1)/26))out=String.fromCharCode(97+(n-1)%26)+out;return style==="ALPHA"?out.toUpperCase():out}get preflight(){return[...this._profileIssues,...this._preflight]}get content(){return this._contentRect(this._page)}_contentRect(i){const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const{width,height}=this._p;const sx=width/(this._trimW*mmPerUnit);const sy=height/(this._trimH*mmPerUnit);const m=this._pageMarginsMM(i);return{x:m.left*sx,y:m.top*sy,w:width-(m.left+m.right)*sx,h:height-(m.top+m.bottom)*sy}}grid(options){if(options===false){this._grid=null;return null}if(options){const keys=["columns","rows","gutter","baseline"];for(const k of Object.keys(options))if(!keys.includes(k))console.warn(`[p5.book] grid(): unknown option "${k}". Use ${keys.join(", ")}.`);const{columns=1,rows=1,gutter=0,baseline=0}=options;this._grid={columns:Math.max(1,Math.floor(columns)),rows:Math.max(1,Math.floor(rows)),gutter,baseline:baseline>0?baseline:0}}return this._grid?this._gridLayout(this._page):null}_gridLayout(i){const{columns,rows,gutter,baseline}=this._grid;const area=this._contentRect(i);const cw=(area.w-gutter*(columns-1))/columns;const ch=(area.h-gutter*(rows-1))/rows;const cells=[];for(let row=0;row<rows;row++){for(let col=0;col<columns;col++){const k=this._rtl?columns-1-col:col;cells.push({x:area.x+k*(cw+gutter),y:area.y+row*(ch+gutter),w:cw,h:ch,col,row})}}const cell=(col,row,colSpan=1,rowSpan=1)=>{const a=cells[row*columns+col];const b=cells[(row+rowSpan-1)*columns+col+colSpan-1];if(!a||!b)return null;const x=Math.min(a.x,b.x);return{x,y:a.y,w:Math.max(a.x,b.x)+cw-x,h:b.y+ch-a.y,col,row}};return{...area,columns,rows,gutter,baseline,cells,cell}}get progress(){return this.totalPages>1?this._page/(this.totalPages-1):1}isFirstPage(){return this._page===0}isLastPage(){return this._page===this.totalPages-1}isLeftPage(){if(!this._spread){console.warn("isLeftPage() is only meaningful when setSpread(true) is enabled");return false}return this._sideOf(this._page)==="left"}isRightPage(){if(!this._spread){console.warn("isRightPage() is only meaningful when setSpread(true) is enabled");return false}return this._sideOf(this._page)==="right"}section(title,{level=1}={}){if(this.totalPages!=null&&this._page>=this.totalPages)return this;this._sections.push({title:String(title),level:Math.max(1,Math.floor(level)||1),page:this._page});return this}_applyOutline(pdf,pageOf){pdf.outline.root.children=[];const open=[];for(const{title,level,page}of this._sections){const pageNumber=pageOf(page);if(!pageNumber)continue;while(open.length&&open[open.length-1][0]>=level)open.pop();const parent=open.length?open[open.length-1][1]:null;const node=pdf.outline.add(parent,_Book._pdfTextString(title),{pageNumber});open.push([level,node])}}setFolio(folio){this._folio=this._pageMark("setFolio",folio,{position:"bottom-outside",format:"{n}",skip:info=>info.cover})}setRunningHead(head){this._runningHead=this._pageMark("setRunningHead",head,{position:"top-outside",format:info=>info.section||"",skip:info=>info.cover||info.sectionStart})}_pageMark(name,arg,defaults){if(!arg)return null;const o=typeof arg==="function"?{draw:arg}:{...arg};const[edge,across="outside"]=String(o.position||defaults.position).split("-");if(!["top","bottom"].includes(edge)||!["outside","center","inside"].includes(across)){console.warn(`[p5.book] ${name}(): unknown position "${o.position}". Use top-outside, bottom-center, \u2026 ("top" or "bottom", then "outside", "center" or "inside").`);return null}const format=o.format??defaults.format;const text=typeof format==="function"?format:info=>String(format).replaceAll("{n}",info.folio);const skip=o.skip??defaults.skip;return{draw:o.draw||((p,info)=>text(info)),edge,across,skip:typeof skip==="function"?skip:typeof skip==="number"?info=>info.page<skip:Array.isArray(skip)?info=>skip.includes(info.page):()=>false,size:o.size,color:o.color??0}}_pageInfo(){const i=this._page;let section=null,chapter=null;for(const s of this._sections){if(s.page>i)break;section=s.title;if(s.level===1)chapter=s.title}const side=this._sideOf(i);return{page:i,number:i+1,folio:this._folioOf(i),left:side==="left",right:side==="right",rtl:this._rtl,cover:this._isCover(i),section,chapter,sectionStart:this._sections.some(s=>s.page===i),content:this._contentRect(i)}}_drawPageMarks(){const marks=[this._folio,this._runningHead].filter(Boolean);if(!marks.length)return;const info=this._pageInfo();const padded=this._paddedPages.includes(info.page)&&!this._padding.fill;const p=this._p;const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const pxPerMM=p.width/(this._trimW*mmPerUnit);const inset=12*pxPerMM;const safe=Math.max(this._safeMM(),this._profile?.safeMM??0)*pxPerMM;const{x,y,w,h}=info.content;const margins=!!this._margins;for(const mark of marks){if(padded||mark.skip(info))continue;p.push();p.resetMatrix();p.noStroke();p.fill(mark.color);p.textSize(mark.size??9/72*25.4*pxPerMM);const str=mark.draw(p,info);if(typeof str==="string"&&str!==""){const side=mark.across==="center"?"center":mark.across==="outside"===info.left?"left":"right";const tx=side==="center"?x+w/2:side==="left"?margins?x:inset:margins?x+w:p.width-inset;const ty=mark.edge==="top"?margins&&y>0?y/2:inset:margins&&y+h<p.height?(y+h+p.height)/2:p.height-inset;p.textAlign(side==="center"?p.CENTER:side==="left"?p.LEFT:p.RIGHT,p.CENTER);const half=.8*p.textSize();this.text(str,side==="left"?Math.max(tx,safe):side==="right"?Math.min(tx,p.width-safe):tx,mark.edge==="top"?Math.max(ty,safe+half):Math.min(ty,p.height-safe-half))}p.pop()}}link(x,y,w,h,target){let box={x,y,w,h};const ctx=this._p.drawingContext;if(typeof ctx.getTransform==="function"){const m=ctx.getTransform();const d=this._p.pixelDensity();const xs=[],ys=[];for(const[px,py]of[[x,y],[x+w,y],[x,y+h],[x+w,y+h]]){xs.push((m.a*px+m.c*py+m.e)/d);ys.push((m.b*px+m.d*py+m.f)/d)}const x0=Math.min(...xs),y0=Math.min(...ys);box={x:x0,y:y0,w:Math.max(...xs)-x0,h:Math.max(...ys)-y0}}this._links.push({...box,target});return this}addPage(){if(this.totalPages!=null&&this._page>=this.totalPages){if(!this._addPageOverflowWarned){this._addPageOverflowWarned=true;console.info(`[p5.book] Successfully generated ${this.totalPages} pages. Additional addPage() calls are ignored.`)}return this._pageQueue}this._drawPageMarks();const b=this._bleed;const mainCvs=this._p.canvas;let rawCanvas;let offX=0,offY=0;const captured=this._recorder?this._recorder.take():null;const partial=captured&&!captured.full;let pdfCanvas;if(b>0){const neededW=Math.round(mainCvs.width*this.bleedWidth/this._trimW);const neededH=Math.round(mainCvs.height*this.bleedHeight/this._trimH);if(this._offCanvas.width!==neededW||this._offCanvas.height!==neededH){this._offCanvas.width=neededW;this._offCanvas.height=neededH}offX=Math.round(mainCvs.width*(b/this._trimW));offY=Math.round(mainCvs.height*(b/this._trimH));this._offCtx.clearRect(0,0,this._offCanvas.width,this._offCanvas.height);this._offCtx.drawImage(this.bleed.canvas,0,0,this._offCanvas.width,this._offCanvas.height);if(partial){pdfCanvas=document.createElement("canvas");pdfCanvas.width=this._offCanvas.width;pdfCanvas.height=this._offCanvas.height;const pctx=pdfCanvas.getContext("2d");pctx.drawImage(this._offCanvas,0,0);if(captured.raster)pctx.drawImage(captured.raster,offX,offY)}this._offCtx.drawImage(mainCvs,offX,offY);rawCanvas=document.createElement("canvas");rawCanvas.width=this._offCanvas.width;rawCanvas.height=this._offCanvas.height;rawCanvas.getContext("2d").drawImage(this._offCanvas,0,0);this.bleed.clear()}else{rawCanvas=document.createElement("canvas");rawCanvas.width=mainCvs.width;rawCanvas.height=mainCvs.height;rawCanvas.getContext("2d").drawImage(mainCvs,0,0);if(partial)pdfCanvas=captured.raster}if(!partial)pdfCanvas=rawCanvas;const inkLayers=[];for(const[name,ink]of this._inks){const c=document.createElement("canvas");c.width=ink.gfx.canvas.width;c.height=ink.gfx.canvas.height;c.getContext("2d").drawImage(ink.gfx.canvas,0,0);inkLayers.push({name,color:ink.color,canvas:c});ink.gfx.clear()}const pageIndex=this._page;this._page++;this._pdfCanvases[pageIndex]=pdfCanvas;this._pageVectors[pageIndex]=captured?captured.ops:[];const textRuns=this._textRuns;this._textRuns=[];this._pageTextRuns[pageIndex]=textRuns;this._pageLinks[pageIndex]=this._links;this._links=[];this._pageImageScale[pageIndex]=this._imageScale;this._imageScale=1;this._watchImages();let previewCanvas=rawCanvas;if(this._textLayer==="vector"&&textRuns.length>0){previewCanvas=document.createElement("canvas");previewCanvas.width=rawCanvas.width;previewCanvas.height=rawCanvas.height;const pctx=previewCanvas.getContext("2d");pctx.drawImage(rawCanvas,0,0);paintTextRuns(pctx,textRuns,offX,offY)}const prevTail=this._pageQueue;let _resolveThisPage;this._pageQueue=new Promise(r=>{_resolveThisPage=r});prevTail.then(()=>{requestAnimationFrame(()=>{const m=this._markMargin();if(pageIndex>0)this._pdf.addPage([this.bleedWidth+2*m,this.bleedHeight+2*m],this.bleedWidth>this.bleedHeight?"l":"p");const plates=new Map;for(const{name,color,canvas}of inkLayers){const trimCover=inkCoverage(canvas);if(!trimCover)continue;if(previewCanvas===rawCanvas){previewCanvas=document.createElement("canvas");previewCanvas.width=rawCanvas.width;previewCanvas.height=rawCanvas.height;previewCanvas.getContext("2d").drawImage(rawCanvas,0,0)}const width=canvas.width+2*offX;const height=canvas.height+2*offY;const cover=bleedCoverage(trimCover,canvas.width,canvas.height,offX,offY);paintInk(previewCanvas.getContext("2d"),cover,width,height,color);plates.set(name,plateImage(window.jspdf.jsPDF,cover,width,height))}this._pagePlates[pageIndex]=plates;this._rawCanvases.push(rawCanvas);this._previewCanvases.push(previewCanvas);const fmt=this._imageType==="png"?"image/png":"image/jpeg";const pdfFmt=this._imageType==="png"?"PNG":"JPEG";const pageImg=rawCanvas.toDataURL(fmt,this._jpegQuality);this._pageImages.push(previewCanvas===rawCanvas?pageImg:previewCanvas.toDataURL(fmt,this._jpegQuality));if(pdfCanvas)this._pdf.addImage(...pdfCanvas===rawCanvas&&!this._colorProfile?[pageImg,pdfFmt]:this._pdfImage(pdfCanvas),m,m,b>0?this.bleedWidth:this._trimW,b>0?this.bleedHeight:this._trimH);this._drawPageLayers(this._pdf,pageIndex,m,m);this._drawLinks(this._pdf,pageIndex,m,m,i=>i+1);this._setPageBoxes(this._pdf,m+b,m+b,this._trimW,this._trimH);if(this._printMarks)this._drawPrintMarksOn(this._pdf,this._trimW,this._trimH,b,`page ${this._folioOf(pageIndex)}`);this._applyOutline(this._pdf,i=>i<=pageIndex?i+1:null);if(this._colorProfile)this._gamut[pageIndex]=gamutShare(previewCanvas,this._colorProfile);this._pagesProcessed++;this._updateProgressUI();if(this.totalPages!=null&&pageIndex===this.totalPages-1){this._p.noLoop();this._complete()}_resolveThisPage()})});return this._pageQueue}_drawPageLayers(pdf,pageIndex,ox,oy){const o={ox,oy,sx:this._trimW/this._p.width,sy:this._trimH/this._p.height,bleed:this._bleed,ptPerUnit:(MM_PER_UNIT[this._unit]||25.4)/MM_PER_UNIT.pt,fontFor:run=>hasFontData(run.font)?[embedFont(this._p,pdf,run.font,this._fontChars.get(run.font)),"normal"]:null,toColor:this._colorProfile?(r,g,b)=>rgbToCMYK(r,g,b,this._colorProfile):null};drawVectorOps(pdf,this._pageVectors[pageIndex],o);if(this._textLayer)drawTextRuns(pdf,this._pageTextRuns[pageIndex],{...o,visible:this._textLayer==="vector"})}_drawLinks(pdf,pageIndex,ox,oy,pageOf){const links=this._pageLinks[pageIndex];if(!links||links.length===0)return;const sx=this._trimW/this._p.width;const sy=this._trimH/this._p.height;for(const{x,y,w,h,target}of links){const book=this;const options=_Book._isURL(target)?{url:target}:{get pageNumber(){const i=book._resolveLinkTarget(target);const n=i==null?null:pageOf(i);return n&&n<=pdf.getNumberOfPages()?n:void 0}};pdf.link(ox+this._bleed+x*sx,oy+this._bleed+y*sy,w*sx,h*sy,options)}}_resolveLinkTarget(target){const n=this._rawCanvases.length;if(typeof target==="number")return Number.isInteger(target)&&target>=0&&target<n?target:null;const section=this._sections.find(s=>s.title===target);if(section&&section.page<n)return section.page;if(!this._linkWarned.has(target)){this._linkWarned.add(target);console.warn(`[p5.book] link() target "${target}" not found.`)}return null}static _isURL(target){return typeof target==="string"&&/^[a-z][a-z0-9+.-]*:/i.test(target)}_pdfImage(cvs){if(this._colorProfile)return cmykImage(window.jspdf.jsPDF,cvs,this._colorProfile);if(this._imageType==="png"||this._capture==="vector")return[cvs.toDataURL("image/png"),"PNG"];return[cvs.toDataURL("image/jpeg",this._jpegQuality),"JPEG"]}_blankLike(cvs){const c=document.createElement("canvas");c.width=cvs.width;c.height=cvs.height;return c}_drawPrintMarksOn(pdf,trimW,trimH,b,label,folds){const m=this._markMargin();if(b<=0&&m<=0)return;const{slug}=this._printMarks;const info=[this._filename,label,new Date().toLocaleDateString("en-CA")];if(slug?.seed!=null)info.push(`seed ${slug.seed}`);const text=info.join("  \xB7  ");let slugFont;const font=this._p.textFont();if(slug&&/[^\u0000-\u00ff]/.test(text)&&_Book._canEmitText(text,font)){this._useFontChars(font,text);slugFont=embedFont(this._p,pdf,font,this._fontChars.get(font))}drawPrintMarks(pdf,{marks:this._printMarks,x:m+b,y:m+b,w:trimW,h:trimH,bleed:b,margin:m,mmPerUnit:MM_PER_UNIT[this._unit]||25.4,folds,slug:text,slugFont})}_setPageBoxes(pdf,x,y,w,h){const k=pdf.internal.scaleFactor;const pageH=pdf.internal.pageSize.getHeight();const box=(bx,by,bw,bh)=>({bottomLeftX:bx*k,bottomLeftY:(pageH-by-bh)*k,topRightX:(bx+bw)*k,topRightY:(pageH-by)*k});const b=this._bleed;const page=pdf.internal.getCurrentPageInfo().pageContext;page.trimBox=box(x,y,w,h);page.bleedBox=box(x-b,y-b,w+2*b,h+2*b)}_makeSpreadCanvas(leftCvs,rightCvs,shiftPx=0){const b=this._bleed;const mainW=this._p.canvas.width;const mainH=this._p.canvas.height;const spread=document.createElement("canvas");if(b>0){const rawW=leftCvs.width;const bleedPx=(rawW-mainW)/2;spread.width=2*mainW+2*bleedPx;spread.height=leftCvs.height;const ctx=spread.getContext("2d");const trimPlusBleed=rawW-bleedPx;ctx.drawImage(leftCvs,0,0,trimPlusBleed-shiftPx,spread.height,shiftPx,0,trimPlusBleed-shiftPx,spread.height);ctx.drawImage(rightCvs,bleedPx+shiftPx,0,trimPlusBleed-shiftPx,spread.height,trimPlusBleed,0,trimPlusBleed-shiftPx,spread.height)}else{spread.width=mainW*2;spread.height=mainH;const ctx=spread.getContext("2d");const w=mainW-shiftPx;ctx.drawImage(leftCvs,0,0,w,mainH,shiftPx,0,w,mainH);ctx.drawImage(rightCvs,shiftPx,0,w,mainH,mainW,0,w,mainH)}return spread}_buildSpreadsFromPairs(pairs,shifts=[]){const{jsPDF}=window.jspdf;const b=this._bleed;const m=this._markMargin();const soloW=this.bleedWidth+2*m;const soloH=this.bleedHeight+2*m;const spreadW=2*this._trimW+2*b+2*m;const orientationFor=(w,h)=>w>h?"l":"p";const firstIsSolo=!pairs[0]||pairs[0][1]===null;const firstW=firstIsSolo?soloW:spreadW;const pdf=new jsPDF({unit:this._unit,format:[firstW,soloH],orientation:orientationFor(firstW,soloH)});this._applyMetadata(pdf);const sheetOf=new Map;pairs.forEach((pair,i)=>{if(pair){for(const pi of pair)if(pi!==null)sheetOf.set(pi,i+1)}});const pageOf=i=>sheetOf.get(i)??null;pairs.forEach((pair,i)=>{const[li,ri]=pair||pairs[i-1]||[null,null];const isSolo=ri===null;const pageW=isSolo?soloW:spreadW;if(i>0)pdf.addPage([pageW,soloH],orientationFor(pageW,soloH));if(!pair)return;if(isSolo){if(this._pdfCanvases[li])pdf.addImage(...this._pdfImage(this._pdfCanvases[li]),m,m,this.bleedWidth,this.bleedHeight);this._drawPageLayers(pdf,li,m,m);this._drawLinks(pdf,li,m,m,pageOf);this._setPageBoxes(pdf,m+b,m+b,this._trimW,this._trimH);if(this._printMarks)this._drawPrintMarksOn(pdf,this._trimW,this._trimH,b,`page ${this._folioOf(li)}`)}else{const s=shifts[i]||0;if(this._pdfCanvases[li]||this._pdfCanvases[ri]){const leftCvs=this._pdfCanvases[li]||this._blankLike(this._rawCanvases[li]);const spreadCvs=this._makeSpreadCanvas(leftCvs,this._pdfCanvases[ri]||this._blankLike(this._rawCanvases[ri]),Math.round(s*leftCvs.width/this.bleedWidth));pdf.addImage(...this._pdfImage(spreadCvs),m,m,spreadW-2*m,this.bleedHeight)}const gutter=m+b+this._trimW;const clipped=(x,w,draw)=>{if(s===0)return draw();pdf.saveGraphicsState();pdf.rect(x,0,w,soloH,null);pdf.clip();pdf.discardPath();draw();pdf.restoreGraphicsState()};clipped(0,gutter,()=>this._drawPageLayers(pdf,li,m+s,m));clipped(gutter,spreadW-gutter,()=>this._drawPageLayers(pdf,ri,m+this._trimW-s,m));this._drawLinks(pdf,li,m+s,m,pageOf);this._drawLinks(pdf,ri,m+this._trimW-s,m,pageOf);this._setPageBoxes(pdf,m+b,m+b,2*this._trimW,this._trimH);if(this._printMarks)this._drawPrintMarksOn(pdf,2*this._trimW,this._trimH,b,`pages ${this._folioOf(li)}, ${this._folioOf(ri)}`)}});this._applyOutline(pdf,pageOf);return pdf}_buildSpreadPDF(){const n=this._rawCanvases.length;if(n<2)throw new Error("[p5.book] spread requires at least 2 pages");if((n-2)%2!==0)throw new Error("[p5.book] spread requires an even total page count");const pairs=[[0,null]];for(let i=1;i<n-1;i+=2)pairs.push(this._rtl?[i+1,i]:[i,i+1]);pairs.push([n-1,null]);return this._buildSpreadsFromPairs(pairs)}_buildSaddleStitchPDF(){const n=this._rawCanvases.length;if(n%4!==0)throw new Error("[p5.book] saveSaddleStitch() requires a page count divisible by 4, got "+n);return this._buildSpreadsFromPairs(this._signaturePairs(0,n),this._creepShifts(n))}_signaturePairs(first,count){const pairs=[];for(let k=0;k<count/2;k++){const outer=first+count-1-k;const inner=first+k;const pair=k%2===0?[outer,inner]:[inner,outer];pairs.push(this._rtl?[pair[1],pair[0]]:pair)}return pairs}_creepShifts(count){if(!this._creep)return[];const sheets=count/4;const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const stepMM=this._creep===true?this._pageThickMM:sheets>1?this._creep/(sheets-1):0;return Array.from({length:count/2},(_,k)=>Math.floor(k/2)*stepMM/mmPerUnit)}_signatures({signatureSize=16,sheetsPerSignature,binding="perfect"}){const n=this._rawCanvases.length;if(n%4!==0)throw new Error(`page count must be divisible by 4, but you have ${n} pages. Try ${Math.ceil(n/4)*4} pages.`);if(binding==="saddle")return[[0,n]];if(binding!=="perfect")throw new Error(`unknown binding "${binding}". Use "perfect" or "saddle".`);const size=sheetsPerSignature?sheetsPerSignature*4:signatureSize;if(!(size>0)||size%4!==0)throw new Error(`signatureSize must be a multiple of 4 (one folded sheet = 4 pages), got ${size}.`);const sigs=[];for(let first=0;first<n;first+=size)sigs.push([first,Math.min(size,n-first)]);return sigs}_buildImposedPDF(options={}){const sigs=this._signatures(options);return this._buildSpreadsFromPairs(sigs.flatMap(([first,count])=>this._signaturePairs(first,count)),sigs.flatMap(([,count])=>this._creepShifts(count)))}_sheetSize(sheet){if(Array.isArray(sheet))return sheet;const mm=SHEET_SIZES[String(sheet).toLowerCase()];if(!mm)throw new Error(`unknown sheet "${sheet}". Use ${Object.keys(SHEET_SIZES).join(", ")}, or [width, height].`);const u=MM_PER_UNIT[this._unit]||25.4;return mm.map(v=>v/u)}_buildZinePDF({sheet}={}){const n=this._rawCanvases.length;if(n!==8)throw new Error(`a one-sheet zine has 8 pages, but you have ${n} pages.`);const{jsPDF}=window.jspdf;const[sw,sh]=this._sheetSize(sheet??(this._unit==="in"?"letter":"a4"));const sheetW=Math.max(sw,sh);const sheetH=Math.min(sw,sh);const cellW=sheetW/4;const cellH=sheetH/2;const pdf=new jsPDF({unit:this._unit,format:[sheetW,sheetH],orientation:"l"});this._applyMetadata(pdf);const k=pdf.internal.scaleFactor;const b=this._bleed;const s=Math.min(cellW/this._trimW,cellH/this._trimH);const w=s*this._trimW;const h=s*this._trimH;const rows=[[4,3,2,1],[5,6,7,0]];rows.forEach((row,r)=>row.forEach((i,c)=>{const col=this._rtl?3-c:c;const x=col*cellW+(cellW-w)/2;const y=r*cellH+(cellH-h)/2;pdf.saveGraphicsState();pdf.setCurrentTransformationMatrix(r===0?new pdf.Matrix(-s,0,0,-s,k*(x+w),k*(sheetH-y-h+s*sheetH)):new pdf.Matrix(s,0,0,s,k*x,k*(sheetH-y-s*sheetH)));pdf.rect(0,0,this._trimW,this._trimH,null);pdf.clip();pdf.discardPath();if(this._pdfCanvases[i])pdf.addImage(...this._pdfImage(this._pdfCanvases[i]),-b,-b,this.bleedWidth,this.bleedHeight);this._drawPageLayers(pdf,i,-b,-b);pdf.restoreGraphicsState()}));drawFoldGuides(pdf,{folds:[[0,cellH,sheetW,cellH],...[1,2,3].map(c=>[c*cellW,0,c*cellW,sheetH])],cuts:[[cellW,cellH,3*cellW,cellH]],mmPerUnit:MM_PER_UNIT[this._unit]||25.4});return pdf}_buildNUpPDF({sheet="a3",gutter=0,margin,repeat=false,duplex=false}={}){const n=this._rawCanvases.length;if(duplex&&n%2!==0)throw new Error(`duplex pairs fronts and backs, but you have ${n} pages. Try ${n+1} pages.`);const{jsPDF}=window.jspdf;const u=MM_PER_UNIT[this._unit]||25.4;const b=this._bleed;margin??=10/u;const cellW=this.bleedWidth;const cellH=this.bleedHeight;const[sw,sh]=this._sheetSize(sheet);const fit=(len,cell)=>Math.floor((len-2*margin+gutter)/(cell+gutter));const[long,short]=[Math.max(sw,sh),Math.min(sw,sh)];const[sheetW,sheetH]=fit(long,cellW)*fit(short,cellH)>fit(short,cellW)*fit(long,cellH)?[long,short]:[short,long];const cols=fit(sheetW,cellW);const rows=fit(sheetH,cellH);if(cols<1||rows<1)throw new Error(`a ${+cellW.toFixed(3)} \xD7 ${+cellH.toFixed(3)} ${this._unit} page doesn't fit on the sheet.`);const perSheet=cols*rows;const gridX=(sheetW-cols*cellW-(cols-1)*gutter)/2;const gridY=(sheetH-rows*cellH-(rows-1)*gutter)/2;const fronts=[];for(let i=0;i<n;i+=duplex?2:1)fronts.push(i);const groups=repeat?fronts.map(i=>new Array(perSheet).fill(i)):Array.from({length:Math.ceil(fronts.length/perSheet)},(_,k)=>fronts.slice(k*perSheet,(k+1)*perSheet));const sides=groups.flatMap(cells=>duplex?[{cells,back:false},{cells:cells.map(i=>i+1),back:true}]:[{cells,back:false}]);const marks=resolvePrintMarks(true);const perCell=gutter/2>=3/u;const orientation=sheetW>sheetH?"l":"p";const pdf=new jsPDF({unit:this._unit,format:[sheetW,sheetH],orientation});this._applyMetadata(pdf);sides.forEach(({cells,back},k)=>{if(k>0)pdf.addPage([sheetW,sheetH],orientation);const images=new Map;cells.forEach((i,j)=>{const r=Math.floor(j/cols);const c=back?cols-1-j%cols:j%cols;const x=gridX+c*(cellW+gutter);const y=gridY+r*(cellH+gutter);if(this._pdfCanvases[i]){if(!images.has(i))images.set(i,this._pdfImage(this._pdfCanvases[i]));pdf.addImage(...images.get(i),x,y,cellW,cellH)}this._drawPageLayers(pdf,i,x,y);if(perCell)drawPrintMarks(pdf,{marks,x:x+b,y:y+b,w:this._trimW,h:this._trimH,bleed:b,margin:gutter/2,mmPerUnit:u})});if(!perCell){const used=Math.min(cells.length,perSheet);const usedRows=Math.ceil(used/cols);const usedCols=usedRows>1?cols:used;const c0=back?cols-usedCols:0;const xs=[],ys=[];for(let c=c0;c<c0+usedCols;c++){const x=gridX+c*(cellW+gutter)+b;xs.push(x,x+this._trimW)}for(let r=0;r<usedRows;r++){const y=gridY+r*(cellH+gutter)+b;ys.push(y,y+this._trimH)}drawGangMarks(pdf,{xs,ys,block:[gridX+c0*(cellW+gutter),gridY,gridX+(c0+usedCols)*(cellW+gutter)-gutter,gridY+usedRows*(cellH+gutter)-gutter],margin:Math.min(gridX,gridY),mmPerUnit:u})}});return pdf}_buildDuplexPDFs({order="pages",flip="long",layout="files",reverseBacks=false}={}){const n=this._rawCanvases.length;let pairs,shifts;if(order==="saddle"){if(n%4!==0)throw new Error(`saddle order needs a page count divisible by 4, but you have ${n} pages. Try ${Math.ceil(n/4)*4} pages.`);pairs=this._signaturePairs(0,n);shifts=this._creepShifts(n)}else if(order==="pages"){if(n%2!==0)throw new Error(`every sheet needs a front and a back, but you have ${n} pages. Try ${n+1} pages.`);pairs=this._rawCanvases.map((_,i)=>[i,null]);shifts=[]}else{throw new Error(`unknown order "${order}". Use "pages" or "saddle".`)}if(flip!=="long"&&flip!=="short")throw new Error(`unknown flip "${flip}". Use "long" or "short".`);const sides=back=>{const idx=pairs.map((_,k)=>k).filter(k=>k%2===+back);if(back&&reverseBacks)idx.reverse();return[idx.map(k=>pairs[k]),idx.map(k=>shifts[k]||0)]};const[frontPairs,frontShifts]=sides(false);const[backPairs,backShifts]=sides(true);const turnBacks=(pdf,from)=>{for(let p=from;p<=pdf.getNumberOfPages();p++){const box=pdf.getPageInfo(p).pageContext.mediaBox;const portrait=box.topRightY>=box.topRightX;if(flip==="short"===portrait)this._turnPage(pdf,p)}};if(layout==="interleaved"){const pdf=this._buildSpreadsFromPairs([...frontPairs,null,...backPairs],[...frontShifts,0,...backShifts]);const f=frontPairs.length;turnBacks(pdf,f+2);pdf.setPage(f+1);this._drawDuplexNote(pdf,f,flip);return[pdf]}if(layout!=="files")throw new Error(`unknown layout "${layout}". Use "files" or "interleaved".`);const fronts=this._buildSpreadsFromPairs(frontPairs,frontShifts);const backs=this._buildSpreadsFromPairs(backPairs,backShifts);turnBacks(backs,1);return[fronts,backs]}_turnPage(pdf,pageNumber){const page=pdf.getPageInfo(pageNumber).pageContext;const{topRightX:w,topRightY:h}=page.mediaBox;const content=pdf.internal.pages[pageNumber];content.unshift("q",`-1 0 0 -1 ${w} ${h} cm`);content.push("Q");for(const key of["trimBox","bleedBox"]){const box=page[key];if(!box)continue;page[key]={bottomLeftX:w-box.topRightX,bottomLeftY:h-box.topRightY,topRightX:w-box.bottomLeftX,topRightY:h-box.bottomLeftY}}const turn=(v,size)=>(size-parseFloat(v)).toFixed(2);for(const anno of page.annotations||[]){const r=anno.finalBounds;if(!r)continue;anno.finalBounds={x:turn(r.x,w),y:turn(r.y,h),w:turn(r.w,w),h:turn(r.h,h)}}}_drawDuplexNote(pdf,fronts,flip){const u=MM_PER_UNIT[this._unit]||25.4;const lines=["Manual duplex - skip this page when printing","",`1. Print pages 1-${fronts} (the fronts).`,`2. Put the printed stack back in the paper tray, flipped over its ${flip} edge.`,`3. Print pages ${fronts+2}-${pdf.getNumberOfPages()} (the backs).`];pdf.setFont("helvetica","normal");pdf.setFontSize(12);pdf.setTextColor(0,0,0);pdf.text(lines,15/u,20/u,{baseline:"top",maxWidth:pdf.internal.pageSize.getWidth()-30/u})}_makeTrimCanvas(rawCvs,trimPxW,trimPxH){if(this._bleed<=0)return rawCvs;const mainW=this._p.canvas.width;const mainH=this._p.canvas.height;const bpx=Math.round(mainW*this._bleed/this._trimW);const bpy=Math.round(mainH*this._bleed/this._trimH);const w=trimPxW||mainW;const h=trimPxH||mainH;const c=document.createElement("canvas");c.width=w;c.height=h;c.getContext("2d").drawImage(rawCvs,bpx,bpy,w,h,0,0,w,h);return c}_buildViewItems(showBleed=true,showGamut=false,showGuides=false,showGrid=false){const n=this._previewCanvases.length;let pages=showGamut?this._previewCanvases.map((_,i)=>this._gamutCanvas(i)):this._previewCanvases;if(showGuides||showGrid)pages=pages.map((cvs,i)=>this._guideCanvas(i,cvs,{guides:showGuides,grid:showGrid}));const cached=showBleed&&!showGamut&&!showGuides&&!showGrid;const mainW=this._p.canvas.width;const mainH=this._p.canvas.height;const isValidSpread=this._spread&&n>=2&&(n-2)%2===0;const _fmt=this._imageType==="png"?"image/png":"image/jpeg";const toSrc=cvs=>cvs.toDataURL(_fmt,this._jpegQuality);const mayTrim=(cvs,tw,th)=>showBleed?cvs:this._makeTrimCanvas(cvs,tw,th);const added=(...idx)=>idx.some(i=>this._paddedPages.includes(i));if(!isValidSpread){return pages.map((rc,i)=>({src:cached?this._pageImages[i]:toSrc(mayTrim(rc)),label:this._folioOf(i),added:added(i)}))}const items=[];items.push({src:cached?this._pageImages[0]:toSrc(mayTrim(pages[0])),label:"cover"});for(let i=1;i<n-1;i+=2){const[li,ri]=this._rtl?[i+1,i]:[i,i+1];const cvs=this._makeSpreadCanvas(pages[li],pages[ri]);items.push({src:toSrc(mayTrim(cvs,2*mainW,mainH)),label:`pp.\xA0${this._folioOf(i)}\u2013${this._folioOf(i+1)}`,added:added(i,i+1)})}items.push({src:cached?this._pageImages[n-1]:toSrc(mayTrim(pages[n-1])),label:"back cover",added:added(n-1)});return items}_guideCanvas(i,cvs,{guides=true,grid=false}={}){const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const c=document.createElement("canvas");c.width=cvs.width;c.height=cvs.height;const ctx=c.getContext("2d");ctx.drawImage(cvs,0,0);const sx=c.width/(this.bleedWidth*mmPerUnit);const sy=c.height/(this.bleedHeight*mmPerUnit);const rect=(l,t,r,b2)=>ctx.strokeRect(l*sx,t*sy,c.width-(l+r)*sx,c.height-(t+b2)*sy);const b=this._bleed*mmPerUnit;const lw=Math.max(1,Math.round(c.width/600));if(grid&&this._grid){const kx=this._trimW*mmPerUnit*sx/this._p.width;const ky=this._trimH*mmPerUnit*sy/this._p.height;const ox=b*sx,oy=b*sy;const layout=this._gridLayout(i);ctx.fillStyle="rgba(255, 0, 160, 0.12)";for(const cell of layout.cells)ctx.fillRect(ox+cell.x*kx,oy+cell.y*ky,cell.w*kx,cell.h*ky);if(layout.baseline){ctx.strokeStyle="rgba(0, 160, 255, 0.5)";ctx.lineWidth=lw;ctx.beginPath();for(let y=layout.y+layout.baseline;y<=layout.y+layout.h;y+=layout.baseline){ctx.moveTo(ox+layout.x*kx,oy+y*ky);ctx.lineTo(ox+(layout.x+layout.w)*kx,oy+y*ky)}ctx.stroke()}}if(!guides)return c;ctx.lineWidth=lw;const safe=b+this._safeMM();ctx.strokeStyle="rgba(0, 160, 255, 0.9)";ctx.setLineDash([4*lw,3*lw]);rect(safe,safe,safe,safe);if(this._margins){const m=this._pageMarginsMM(i);ctx.strokeStyle="rgba(255, 0, 160, 0.9)";ctx.setLineDash([]);rect(b+m.left,b+m.top,b+m.right,b+m.bottom)}return c}_gamutCanvas(i){if(!this._gamutCanvases[i])this._gamutCanvases[i]=markOutOfGamut(this._previewCanvases[i],this._colorProfile);return this._gamutCanvases[i]}_outOfGamutPages(){const pages=[];this._gamut.forEach((share,i)=>{if(share>.001)pages.push(i+1)});return pages}_showViewer(){showViewer(this)}finish(filename){if(filename)this._filename=filename;this._finished=true;this._p.noLoop();this._complete()}_complete(){if(this._padding&&this._paddedPages.length===0){const known=this.totalPages!=null;if(this._addPadding()>0){if(!known)this._pageQueue.then(()=>this._complete());return}}this._movePaddingBeforeBack();this._pageQueue.then(()=>{if(this._profile)this._profileIssues=this._checkProfile();if(this._preflightOpts)this._preflight=this._runPreflight();this._unwatchImages?.();this._unwatchImages=null;this._recorder?.detach();this._showViewer()})}_addPadding(){const{multiple,fill}=this._padding;const n=this._page;const count=(multiple-n%multiple)%multiple;if(count===0)return 0;if(this.totalPages!=null)this.totalPages+=count;const p=this._p;for(let i=0;i<count;i++){this._recorder?.take();this._textRuns=[];this._links=[];this._imageScale=1;if(this._bleed>0)this.bleed.clear();for(const ink of this._inks.values())ink.gfx.clear();p.push();p.resetMatrix();p.background(255);if(fill)fill(p,i);p.pop();this._paddedPages.push(this._page);this.addPage()}return count}_movePaddingBeforeBack(){const added=this._paddedPages;if(!added.length||this._padding.where!=="beforeBack")return;if(this._paddingPlaced)return;this._paddingPlaced=true;const back=added[0]-1;if(back<1)return;const n=this._rawCanvases.length;const order=[...Array(n).keys()];order.splice(back,1);order.push(back);const reorder=list=>order.map(i=>list[i]);for(const key of["_rawCanvases","_previewCanvases","_pageImages","_pdfCanvases","_pageVectors","_pageTextRuns","_pageLinks","_pageImageScale","_pagePlates","_gamut"])if(this[key].length)this[key]=reorder(this[key]);this._gamutCanvases=[];for(const section of this._sections)section.page=order.indexOf(section.page);this._paddedPages=added.map(i=>i-1);this._pdf=this._buildSpreadsFromPairs(order.map((_,i)=>[i,null]))}save(filename){const name=filename||this._filename;if(this._spread){try{this._buildSpreadPDF().save(name)}catch(e){console.error("[p5.book]",e.message);this._pdf.save(name)}}else{this._pdf.save(name)}}_buildCoverPDF(){const{jsPDF}=window.jspdf;const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const n=this._rawCanvases.length;if(n===0)throw new Error("[p5.book] no pages to export.");const spineU=this._spineMM()/mmPerUnit;const frontCvs=this._pdfCanvases[0];const backCvs=this._pdfCanvases[n-1];const pageW=this._rawCanvases[0].width;const pageH=this._rawCanvases[0].height;const spineWpx=Math.max(4,Math.round(spineU/this.bleedWidth*pageW));const b=this._bleed;const flapW=this._flapW;const pxPerUnit=pageW/this.bleedWidth;const flapPx=flapW>0?Math.round((flapW+b)*pxPerUnit):0;const outerPx=flapW>0?Math.round(b*pxPerUnit):0;const coverPx=pageW-outerPx;const compound=document.createElement("canvas");compound.width=2*flapPx+2*coverPx+spineWpx;compound.height=pageH;const ctx=compound.getContext("2d");const flapCvs=this._flapGfx?[this._flapGfx.back.canvas,this._flapGfx.front.canvas]:[];const bleedY=Math.round(b*pageH/this.bleedHeight);const drawFlap=(cvs,x,outerLeft)=>{const tx=outerLeft?x+outerPx:x;const tw=flapPx-outerPx;const th=pageH-2*bleedY;ctx.drawImage(cvs,0,0,cvs.width,cvs.height,tx,bleedY,tw,th);if(bleedY>0){ctx.drawImage(cvs,0,0,cvs.width,1,tx,0,tw,bleedY);const y=cvs.height-1;ctx.drawImage(cvs,0,y,cvs.width,1,tx,bleedY+th,tw,bleedY)}if(outerPx>0){const edgeX=outerLeft?tx:tx+tw-1;const outX=outerLeft?x:tx+tw;ctx.drawImage(compound,edgeX,0,1,pageH,outX,0,outerPx,pageH)}};if(flapPx&&flapCvs[0])drawFlap(flapCvs[0],0,true);if(backCvs)ctx.drawImage(backCvs,outerPx,0,coverPx,pageH,flapPx,0,coverPx,pageH);const spineX=flapPx+coverPx;if(this._spineGfx){ctx.drawImage(this._spineGfx.canvas,0,0,this._spineGfx.canvas.width,this._spineGfx.canvas.height,spineX,0,spineWpx,pageH)}else{ctx.fillStyle="#1a1a1a";ctx.fillRect(spineX,0,spineWpx,pageH)}const frontPx=spineX+spineWpx;if(frontCvs)ctx.drawImage(frontCvs,0,0,coverPx,pageH,frontPx,0,coverPx,pageH);if(flapPx&&flapCvs[1])drawFlap(flapCvs[1],frontPx+coverPx,false);const m=this._markMargin();const flapU=flapW>0?flapW+b:0;const coverU=flapW>0?this.bleedWidth-b:this.bleedWidth;const wrapW=2*flapU+2*coverU+spineU;const totalW=wrapW+2*m;const totalH=this.bleedHeight+2*m;const pdf=new jsPDF({unit:this._unit,format:[totalW,totalH],orientation:"l"});this._applyMetadata(pdf);pdf.addImage(...this._pdfImage(compound),m,m,wrapW,this.bleedHeight);const coverOf=i=>i===0||i===n-1?1:null;const backX=m+flapU-(flapW>0?b:0);const frontX=m+flapU+coverU+spineU;this._drawPageLayers(pdf,n-1,backX,m);this._drawPageLayers(pdf,0,frontX,m);this._drawLinks(pdf,n-1,backX,m,coverOf);this._drawLinks(pdf,0,frontX,m,coverOf);this._setPageBoxes(pdf,m+b,m+b,wrapW-2*b,this._trimH);const folds=[m+flapU+coverU,frontX];if(flapW>0){folds.unshift(m+flapU);folds.push(frontX+coverU)}if(this._printMarks)this._drawPrintMarksOn(pdf,wrapW-2*b,this._trimH,b,"cover",folds);this._applyOutline(pdf,coverOf);return pdf}_buildCaseWrapPDF({boardThickness,hinge,turnIn,overhang}={}){const{jsPDF}=window.jspdf;const mmPerUnit=MM_PER_UNIT[this._unit]||25.4;const n=this._rawCanvases.length;if(n===0)throw new Error("[p5.book] no pages to export.");boardThickness??=2.5/mmPerUnit;hinge??=8/mmPerUnit;turnIn??=15/mmPerUnit;overhang??=3/mmPerUnit;const spineW=this._blockMM()/mmPerUnit+2*boardThickness;const edge=boardThickness+turnIn;const boardW=this._trimW+overhang;const boardH=this._trimH+2*overhang;const wrapW=2*edge+2*boardW+2*hinge+spineW;const wrapH=2*edge+boardH;const backBoard=edge;const backHinge=backBoard+boardW;const spineX=backHinge+hinge;const frontHinge=spineX+spineW;const frontBoard=frontHinge+hinge;const b=this._bleed;const px=this._rawCanvases[0].width/this.bleedWidth;const compound=document.createElement("canvas");compound.width=Math.round((wrapW+2*b)*px);compound.height=Math.round((wrapH+2*b)*px);const ctx=compound.getContext("2d");const X=u=>(u+b)*px;const boardY=edge+overhang;const cover=(cvs,trimX,from,to)=>{if(!cvs)return;this._drawExtended(ctx,cvs,X(trimX-b),X(boardY-b),this.bleedWidth*px,this.bleedHeight*px,[X(from),0,X(to),compound.height])};cover(this._pdfCanvases[n-1],backBoard+overhang,-b,backHinge);cover(this._pdfCanvases[0],frontBoard,frontBoard,wrapW+b);let spineCvs=this._spineGfx?.canvas;if(!spineCvs){spineCvs=document.createElement("canvas");spineCvs.width=spineCvs.height=1;const sctx=spineCvs.getContext("2d");sctx.fillStyle="#1a1a1a";sctx.fillRect(0,0,1,1)}this._drawExtended(ctx,spineCvs,X(spineX),X(edge),spineW*px,boardH*px,[X(backHinge),0,X(frontBoard),compound.height]);const m=this._markMargin();const pdf=new jsPDF({unit:this._unit,format:[wrapW+2*b+2*m,wrapH+2*b+2*m],orientation:"l"});this._applyMetadata(pdf);pdf.addImage(...this._pdfImage(compound),m,m,wrapW+2*b,wrapH+2*b);const o=m+b;const coverOf=i=>i===0||i===n-1?1:null;this._drawPageLayers(pdf,n-1,o+backBoard+overhang-b,o+boardY-b);this._drawPageLayers(pdf,0,o+frontBoard-b,o+boardY-b);this._drawLinks(pdf,n-1,o+backBoard+overhang-b,o+boardY-b,coverOf);this._drawLinks(pdf,0,o+frontBoard-b,o+boardY-b,coverOf);this._setPageBoxes(pdf,o,o,wrapW,wrapH);const v=x=>[o+x,o,o+x,o+wrapH];const h=y=>[o,o+y,o+wrapW,o+y];drawFoldGuides(pdf,{folds:[v(backBoard),v(backHinge),v(spineX),v(frontHinge),v(frontBoard),v(wrapW-edge),h(edge),h(wrapH-edge)],mmPerUnit});if(this._printMarks)this._drawPrintMarksOn(pdf,wrapW,wrapH,b,"case wrap");this._applyOutline(pdf,coverOf);return pdf}_drawExtended(ctx,src,dx,dy,dw,dh,[x0,y0,x1,y1]){const{width:sw,height:sh}=src;const cols=[[0,1,x0,dx],[0,sw,dx,dx+dw],[sw-1,1,dx+dw,x1]];const rows=[[0,1,y0,dy],[0,sh,dy,dy+dh],[sh-1,1,dy+dh,y1]];ctx.save();ctx.beginPath();ctx.rect(x0,y0,x1-x0,y1-y0);ctx.clip();for(const[sx,sW,ax,bx]of cols)for(const[sy,sH,ay,by]of rows)if(bx>ax&&by>ay)ctx.drawImage(src,sx,sy,sW,sH,ax,ay,bx-ax,by-ay);ctx.restore()}saveCover(filename){const n=this._rawCanvases.length;if(n===0){alert("[p5.book] saveCover(): no pages to export.");return}try{this._buildCoverPDF().save(filename||this._filename.replace(/\.pdf$/i,"-cover.pdf"))}catch(e){alert("[p5.book] saveCover(): "+e.message)}}saveCaseWrap(filename,options){if(filename&&typeof filename==="object")[filename,options]=[void 0,filename];if(this._rawCanvases.length===0){alert("[p5.book] saveCaseWrap(): no pages to export.");return}try{this._buildCaseWrapPDF(options).save(filename||this._filename.replace(/\.pdf$/i,"-casewrap.pdf"))}catch(e){alert("[p5.book] saveCaseWrap(): "+e.message)}}saveSaddleStitch(filename){const n=this._rawCanvases.length;if(n===0){alert("[p5.book] saveSaddleStitch(): no pages to export.");return}if(n%4!==0){alert(`[p5.book] saveSaddleStitch(): page count must be divisible by 4, but you have ${n} pages. Try ${Math.ceil(n/4)*4} pages.`);return}try{this._buildSaddleStitchPDF().save(filename||this._filename.replace(/\.pdf$/i,"-saddle.pdf"))}catch(e){alert("[p5.book] saveSaddleStitch(): "+e.message)}}saveImposed(filename,options){if(filename&&typeof filename==="object")[filename,options]=[void 0,filename];if(this._rawCanvases.length===0){alert("[p5.book] saveImposed(): no pages to export.");return}try{this._buildImposedPDF(options).save(filename||this._filename.replace(/\.pdf$/i,"-imposed.pdf"))}catch(e){alert("[p5.book] saveImposed(): "+e.message)}}saveZine(filename,options){if(filename&&typeof filename==="object")[filename,options]=[void 0,filename];if(this._rawCanvases.length===0){alert("[p5.book] saveZine(): no pages to export.");return}try{this._buildZinePDF(options).save(filename||this._filename.replace(/\.pdf$/i,"-zine.pdf"))}catch(e){alert("[p5.book] saveZine(): "+e.message)}}saveNUp(filename,options){if(filename&&typeof filename==="object")[filename,options]=[void 0,filename];if(this._rawCanvases.length===0){alert("[p5.book] saveNUp(): no pages to export.");return}try{this._buildNUpPDF(options).save(filename||this._filename.replace(/\.pdf$/i,"-nup.pdf"))}catch(e){alert("[p5.book] saveNUp(): "+e.message)}}saveDuplex(filename,options={}){if(filename&&typeof filename==="object")[filename,options]=[void 0,filename];if(this._rawCanvases.length===0){alert("[p5.book] saveDuplex(): no pages to export.");return}const base=(filename||this._filename).replace(/\.pdf$/i,"");try{const[fronts,backs]=this._buildDuplexPDFs(options);if(backs){fronts.save(`${base}-fronts.pdf`);backs.save(`${base}-backs.pdf`)}else{fronts.save(`${base}-duplex.pdf`)}}catch(e){alert("[p5.book] saveDuplex(): "+e.message)}}_buildInkPDF(names){const{jsPDF}=window.jspdf;const u=MM_PER_UNIT[this._unit]||25.4;const marks=resolvePrintMarks({registration:true,slug:true});const m=markMarginMM(marks)/u;const b=this._bleed;const w=this.bleedWidth+2*m;const h=this.bleedHeight+2*m;const orientation=w>h?"l":"p";const pdf=new jsPDF({unit:this._unit,format:[w,h],orientation});this._applyMetadata(pdf);let first=true;this._rawCanvases.forEach((_,i)=>{for(const name of names){if(!first)pdf.addPage([w,h],orientation);first=false;const plate=this._pagePlates[i]?.get(name);if(plate)pdf.addImage(...plate,m,m,this.bleedWidth,this.bleedHeight);this._setPageBoxes(pdf,m+b,m+b,this._trimW,this._trimH);drawPrintMarks(pdf,{marks,x:m+b,y:m+b,w:this._trimW,h:this._trimH,bleed:b,margin:m,mmPerUnit:u,slug:[this._filename,name,`page ${this._folioOf(i)}`].join("  \xB7  ")})}});return pdf}saveInks(filename,options){if(filename&&typeof filename==="object")[filename,options]=[void 0,filename];const{layout="files"}=options||{};if(this._rawCanvases.length===0){alert("[p5.book] saveInks(): no pages to export.");return}if(this._inks.size===0){alert("[p5.book] saveInks(): no ink layers. Draw into book.ink(name).");return}const base=(filename||this._filename).replace(/\.pdf$/i,"");try{if(layout==="pages")this._buildInkPDF([...this._inks.keys()]).save(`${base}-inks.pdf`);else for(const name of this._inks.keys())this._buildInkPDF([name]).save(`${base}-${name}.pdf`)}catch(e){alert("[p5.book] saveInks(): "+e.message)}}async exportFrames(format="png"){if(this._rawCanvases.length===0){console.warn("[p5.book] exportFrames(): no pages captured yet.");return}const isJpeg=format==="jpeg"||format==="jpg";const mime=isJpeg?"image/jpeg":"image/png";const ext=isJpeg?"jpg":"png";const q=isJpeg?this._jpegQuality:void 0;const base=this._filename.replace(/\.pdf$/i,"");for(let i=0;i<this._rawCanvases.length;i++){const a=document.createElement("a");a.href=this._previewCanvases[i].toDataURL(mime,q);a.download=`${base}-${String(i+1).padStart(4,"0")}.${ext}`;document.body.appendChild(a);a.click();document.body.removeChild(a);await new Promise(r=>setTimeout(r,80))}}columnNum(n,gutter){if(n===void 0)return this._columns;this._columns=Math.max(1,Math.floor(n));if(gutter!==void 0)this._columnGutter=gutter;return this}static _isCJK(ch){const c=ch.charCodeAt(0);return c>=19968&&c<=40959||c>=12288&&c<=12351||c>=12352&&c<=12447||c>=12448&&c<=12543||c>=44032&&c<=55215||c>=65280&&c<=65519}static _wrapText(p,str,maxW){const out=[];for(const para of str.split("\n")){if(para===""){out.push("");continue}const hasCJK=Array.from(para).some(_Book._isCJK);if(hasCJK){let line="";for(const char of para){if(char===" "){if(line)line+=char;continue}const candidate=line+char;if(line&&p.textWidth(candidate)>maxW){out.push(line.trimEnd());line=char}else{line=candidate}}if(line.trimEnd())out.push(line.trimEnd())}else{let line="";for(const word of para.split(" ")){if(!word)continue;const candidate=line?line+" "+word:word;if(line&&p.textWidth(candidate)>maxW){out.push(line);line=word}else line=candidate}if(line)out.push(line)}}return out}static _getLeading(p){const raw=p.textLeading();return typeof raw==="number"&&raw>0?raw:p.textSize()*1.25}textBox(str,x,y,w,h){if(!str)return"";const p=this._p;const cols=this._columns;const gutter=this._columnGutter;const colW=(w-gutter*(cols-1))/cols;const ascent=p.textAscent();let leading=_Book._getLeading(p);let first=y+ascent;const grid=this._grid?.baseline?this._grid:null;if(grid){const top=this._contentRect(this._page).y;const step=grid.baseline;leading=Math.max(1,Math.ceil(leading/step-1e-6))*step;first=top+Math.ceil((first-top)/step-1e-6)*step}const maxLines=Math.max(1,Math.floor((y+h-first)/leading)+1);const lines=_Book._wrapText(p,str,colW);let lineIdx=0;const colIndices=this._rtl?Array.from({length:cols},(_,i)=>cols-1-i):Array.from({length:cols},(_,i)=>i);const prevDir=p.drawingContext.direction;if(this._rtl)p.drawingContext.direction="rtl";for(const col of colIndices){if(lineIdx>=lines.length)break;const cx=x+col*(colW+gutter);const tx=this._rtl?cx+colW:cx;for(let i=0;i<maxLines&&lineIdx<lines.length;i++){this._drawText(lines[lineIdx],tx,first+i*leading);lineIdx++}}if(this._rtl)p.drawingContext.direction=prevDir;return lines.slice(lineIdx).join("\n")}text(str,x,y){const p=this._p;const lines=String(str).split("\n");const leading=_Book._getLeading(p);const v=p.textAlign()?.vertical;const blockH=(lines.length-1)*leading;const y0=v==="center"?y-blockH/2:v==="bottom"?y-blockH:y;lines.forEach((line,i)=>this._drawText(line,x,y0+i*leading));return this}_drawText(str,x,y){if(this._recorder?.attached)return this._p.text(str,x,y);const font=this._p.textFont();const blank=str.trim()==="";const record=this._textLayer&&!blank&&_Book._canEmitText(str,font);if(record){this._textRuns.push(captureTextRun(this._p,str,x,y));this._useFontChars(font,str)}else if(!this._textLayer&&!blank&&this._checksText()){const measure=this._profile?.safeMM!=null;this._textRuns.push(checkTextRun(this._p,str,x,y,measure))}if(!record||this._textLayer!=="vector")this._p.text(str,x,y)}_checksText(){return this._profile?.safeMM!=null||!!this._preflightOpts}_vectorTextRun(str,x,y){const font=this._p.textFont();if(!_Book._canEmitText(str,font))return null;this._useFontChars(font,str);return textRunFromContext(this._p,str,x,y)}_useFontChars(font,str){if(!hasFontData(font))return;if(!this._fontChars.has(font))this._fontChars.set(font,new Set);const chars=this._fontChars.get(font);for(const ch of str)chars.add(ch)}static _canEmitText(str,font){if(hasFontData(font))return[...str].every(isEmbeddableChar);return!/[^\u0000-\u00ff]/.test(str)}};if(typeof p5!=="undefined")p5.registerAddon(function(p52,fn){fn.createBook=function(widthOrSize,heightOrPages,totalPagesOrFilename,unitOrFilename,filenameArg){return new Book(this,widthOrSize,heightOrPages,totalPagesOrFilename,unitOrFilename,filenameArg)}});})();
@@ -1,5 +1,40 @@
-import { UNITS, MM_PER_UNIT } from "./constants.js";
+import { UNITS, MM_PER_UNIT, SHEET_SIZES, PAPER_STOCKS } from "./constants.js";
 import { showViewer } from "./viewer.js";
+import {
+  TEXT_LAYER_MODES,
+  captureTextRun,
+  textRunFromContext,
+  checkTextRun,
+  drawTextRuns,
+  paintTextRuns,
+} from "./textlayer.js";
+import { hasFontData, isEmbeddableChar, embedFont } from "./fonts.js";
+import { CAPTURE_MODES, VectorRecorder, drawVectorOps } from "./capture.js";
+import {
+  resolvePrintMarks,
+  markMarginMM,
+  drawPrintMarks,
+  drawFoldGuides,
+  drawGangMarks,
+} from "./marks.js";
+import {
+  inkColor,
+  inkCoverage,
+  bleedCoverage,
+  plateImage,
+  paintInk,
+} from "./inks.js";
+import { resolveProfile, checkProfile } from "./profiles.js";
+import { MIN_SHARE, checkPagePixels, watchImageScale } from "./preflight.js";
+import {
+  COLOR_MODES,
+  resolveCMYKProfile,
+  rgbToCMYK,
+  gamutShare,
+  markOutOfGamut,
+  registerRawImages,
+  cmykImage,
+} from "./color.js";
 import progressStyles from "./progress.css";
 
 export class Book {
@@ -43,6 +78,37 @@ export class Book {
     this._jpegQuality = opts.jpegQuality ?? 0.92;
     const autoCanvas = opts.autoCanvas !== false; // suggestion #1
     this._progressBarOverlay = opts.progressBar === true; // full overlay opt-in; default = transparent corner counter
+    // Text layer for textBox()/text(), opt-in: "overlay" = invisible
+    // searchable text on top of the raster, "vector" = real PDF text instead
+    // of pixels, false (default) = pixels only.
+    this._textLayer = opts.textLayer ?? false;
+    if (this._textLayer && !TEXT_LAYER_MODES.includes(this._textLayer)) {
+      console.warn(
+        `[p5.book] Invalid textLayer "${this._textLayer}". Use "overlay", "vector", or false.`,
+      );
+      this._textLayer = "overlay";
+    }
+    // Page capture: "raster" = canvas pixels (default), "vector" = p5 shapes
+    // and text recorded as PDF paths, with pixels only where needed.
+    this._capture = opts.capture ?? "raster";
+    if (!CAPTURE_MODES.includes(this._capture)) {
+      console.warn(
+        `[p5.book] Invalid capture "${this._capture}". Use "raster" or "vector".`,
+      );
+      this._capture = "raster";
+    }
+    // Output color: "rgb" (default) or "cmyk" = pages separated with
+    // colorProfile (see color.js) and embedded as DeviceCMYK.
+    this._colorMode = opts.colorMode ?? "rgb";
+    if (!COLOR_MODES.includes(this._colorMode)) {
+      console.warn(
+        `[p5.book] Invalid colorMode "${this._colorMode}". Use "rgb" or "cmyk".`,
+      );
+      this._colorMode = "rgb";
+    }
+    this._colorProfile =
+      this._colorMode === "cmyk" ? resolveCMYKProfile(opts.colorProfile) : null;
+    registerRawImages(jsPDF);
 
     let format, unit, totalPages, filename;
 
@@ -104,13 +170,32 @@ export class Book {
       this._p.createCanvas(defaultCanvasW, defaultCanvasH);
     }
     this._filename = filename;
+    this._metadata = {}; // PDF document properties, see setMetadata()
     this._bleed = 0;
-    this._printMarks = false;
+    this._margins = null; // { inside, outside, top, bottom } in mm, see setMargins()
+    this._grid = null; // { columns, rows, gutter, baseline } in px, see grid()
+    this._folio = null; // page number drawn by addPage(), see setFolio()
+    this._runningHead = null; // see setRunningHead()
+    this._numbering = []; // { style, start, from } by from, see setNumbering()
+    this._printMarks = false; // false or the mark set, see setPrintMarks()
+    this._printMarksSet = false; // setPrintMarks() or a profile chose the marks
     this._spread = false;
     this._saddleStitch = false;
+    this._padding = false; // { multiple, where, fill }, see setPadding()
+    this._paddedPages = []; // indices of the pages setPadding() added
+    this._paddingPlaced = false; // "beforeBack" padding was moved into place
     this._rtl = false;
     this._dpi = null;
     this._pageThickMM = 0.1; // mm per leaf (one sheet = two pages)
+    this._coverThickMM = 1; // mm per cover side, see setPaper()
+    this._paper = null; // PAPER_STOCKS name from setPaper()
+    this._flapW = 0; // cover flap width in book units, see setFlaps()
+    this._flapGfx = null; // { front, back } p5.Graphics, see book.flaps
+    this._creep = false; // false, true (from page thickness) or mm, see setCreep()
+    this._profile = null; // resolved print profile, see useProfile()
+    this._profileIssues = []; // checkProfile() result at finish()
+    this._preflightOpts = {}; // false = off, see setPreflight()
+    this._preflight = []; // { check, message, page } found at finish()
     this._3dColors = { bg: null, edge: ["#f0ece4", "#f0ece4", "#f0ece4"] };
     this._3dHideColors = false;
     this._viewerMode = "flipbook";
@@ -135,15 +220,42 @@ export class Book {
     this._spineGfx = null;
     this._pageImages = [];
     this._rawCanvases = [];
+    this._previewCanvases = []; // rawCanvases + vector text, for the viewer
+    this._textRuns = []; // text recorded on the page being drawn
+    this._pageTextRuns = [];
+    this._fontChars = new Map(); // loaded p5.Font → Set of characters set in it
+    this._pdfCanvases = []; // raster part of each page in the PDF (null = none)
+    this._pageVectors = []; // ops recorded by vector capture, per page
+    this._sections = []; // { title, level, page } from section(), in call order
+    this._links = []; // link() areas on the page being drawn
+    this._pageLinks = [];
+    this._linkWarned = new Set(); // unresolved link targets already reported
+    this._gamut = []; // share of out-of-gamut pixels per page (CMYK only)
+    this._gamutCanvases = []; // viewer copies with those pixels marked
+    this._inks = new Map(); // book.ink() layers: name → { color, gfx, proxy }
+    this._pagePlates = []; // per page: Map ink name → plate image for jsPDF
     this._columns = 1;
     this._columnGutter = 20;
     this._page = 0; // backing field — use book.page getter to read (suggestion #14)
     this.totalPages = totalPages != null ? totalPages : null;
     this._progressEl = null;
     this._viewerShown = false;
+    this._finished = false; // finish() was called: the last page is known
     this._pagesProcessed = 0; // increments inside rAF so browser can paint each step
     this._pageQueue = Promise.resolve();
     this._addPageOverflowWarned = false;
+    this._recorder = null;
+    if (this._capture === "vector") {
+      this._recorder = new VectorRecorder(p, (str, x, y) =>
+        this._vectorTextRun(str, x, y),
+      );
+      this._recorder.attach();
+    }
+    this._imageScale = 1; // most an image is enlarged on the page being drawn
+    this._pageImageScale = [];
+    this._imageCtx = null;
+    this._unwatchImages = null;
+    this._watchImages();
     if (this.totalPages != null) this._createProgressUI();
   }
 
@@ -201,10 +313,7 @@ export class Book {
   get spine() {
     if (!this._spineGfx) {
       const trimHmm = this._trimH * (MM_PER_UNIT[this._unit] || 25.4);
-      const spineMM = Math.max(
-        3,
-        Math.ceil((this.totalPages || 1) / 2) * this._pageThickMM + 2,
-      );
+      const spineMM = this._spineMM();
       const spineWpx = Math.max(
         8,
         Math.round((this._p.height * spineMM) / trimHmm),
@@ -218,6 +327,29 @@ export class Book {
     return this._spineGfx;
   }
 
+  /** Buffers for the cover flaps of a dust jacket or French-flap paperback,
+   *  { front, back }. Created lazily on first access, at the setFlaps() width
+   *  (half the trim width if not set) and the canvas height, trim size like
+   *  the pages; saveCover() extends their edges into the bleed. Each has a
+   *  scoped draw(fn) helper like book.spine. */
+  get flaps() {
+    if (!this._flapGfx) {
+      if (!this._flapW) this._flapW = this._trimW / 2;
+      const w = Math.max(
+        8,
+        Math.round((this._p.width * this._flapW) / this._trimW),
+      );
+      const make = () => {
+        const g = this._p.createGraphics(w, this._p.height);
+        g.pixelDensity(this._p.pixelDensity());
+        g.draw = (fn) => fn(g);
+        return g;
+      };
+      this._flapGfx = { front: make(), back: make() };
+    }
+    return this._flapGfx;
+  }
+
   /** Set canvas DPI for print quality. pixelDensity is derived from trim width;
    *  canvas height is resized to match the trim aspect ratio so both axes hit the
    *  exact target DPI. Call in setup() before addPage(). */
@@ -234,6 +366,11 @@ export class Book {
     const logH = Math.round(physH / density);
     this._p.pixelDensity(density);
     if (logH !== this._p.height) this._p.resizeCanvas(this._p.width, logH);
+    // Ink layers follow the canvas (their proxies look the buffer up each time)
+    for (const ink of this._inks.values()) {
+      ink.gfx.remove();
+      ink.gfx = this._makeInkGfx();
+    }
     // Rebuild bleed gfx at correct density if setBleed() was called first
     if (this._bleedGfx) {
       this._bleedGfx.remove();
@@ -278,19 +415,50 @@ export class Book {
     this._3dHideColors = !visible;
   }
 
+  /** Add blank pages when the book is finished so its page count suits the
+   *  binding: spreads need an even count, saddle stitch a multiple of 4.
+   *  @param {string|false} policy  "spread", "saddle", "signature16" (any signatureN:
+   *                                a multiple of N pages), or false to turn it off
+   *  @param {object} [opts]
+   *  @param {string} [opts.where="beforeBack"]  "beforeBack" (before the back cover) or "end"
+   *  @param {function} [opts.fill]  draws each added page instead of leaving it blank:
+   *                                 fill(p, i), i = 0, 1, … among the added pages */
+  setPadding(policy, { where = "beforeBack", fill = null } = {}) {
+    if (!policy) {
+      this._padding = false;
+      return;
+    }
+    const sig = /^signature(\d+)$/.exec(policy);
+    const multiple =
+      policy === "spread" ? 2 : policy === "saddle" ? 4 : sig ? +sig[1] : 0;
+    if (!multiple) {
+      console.warn(
+        `[p5.book] setPadding(): unknown policy "${policy}". Use "spread", "saddle", or "signature16".`,
+      );
+      return;
+    }
+    if (where !== "beforeBack" && where !== "end") {
+      console.warn(
+        `[p5.book] setPadding(): unknown where "${where}". Use "beforeBack" or "end".`,
+      );
+      where = "beforeBack";
+    }
+    this._padding = { multiple, where, fill };
+  }
+
   /** Enable saddle-stitch imposition button in the viewer. Page count must be divisible by 4. */
   setSaddleStitch(enabled) {
     this._saddleStitch = !!enabled;
   }
 
   /** Set the default viewer mode when the viewer opens.
-   *  @param {string} mode  "flipbook" (default), "grid", or "3d" */
+   *  @param {string} mode  "flipbook" (default), "grid", "3d", or "preflight" */
   setViewerMode(mode) {
-    if (["flipbook", "grid", "3d"].includes(mode)) {
+    if (["flipbook", "grid", "3d", "preflight"].includes(mode)) {
       this._viewerMode = mode;
     } else {
       console.warn(
-        `[p5.book] Invalid viewer mode "${mode}". Use "flipbook", "grid", or "3d".`,
+        `[p5.book] Invalid viewer mode "${mode}". Use "flipbook", "grid", "3d", or "preflight".`,
       );
     }
   }
@@ -302,6 +470,265 @@ export class Book {
     this._pageThickMM = thickness * (MM_PER_UNIT[unit] || 1);
   }
 
+  /** Set the paper for spine width from a table of common stocks: leaf
+   *  caliper for the pages plus the cover stock, used by book.spine, the 3D
+   *  viewer and saveCover(). saveCaseWrap() takes only the leaf caliper from
+   *  it; a hardcover's boards are its own boardThickness option.
+   *  @param {string|object} stock  A stock name such as "uncoated-80gsm", "coated-130gsm" or
+   *    "pod-cream", or { caliper } (mm per leaf) or { ppi } (pages per inch), with an optional
+   *    { cover } in mm. */
+  setPaper(stock) {
+    const paper = typeof stock === "string" ? PAPER_STOCKS[stock] : stock;
+    if (!paper || !(paper.caliper > 0 || paper.ppi > 0)) {
+      console.warn(
+        `[p5.book] setPaper(): unknown paper ${JSON.stringify(stock)}. Use ${Object.keys(PAPER_STOCKS).join(", ")}, or { caliper } / { ppi }.`,
+      );
+      return;
+    }
+    // Two pages per leaf: caliper = 2 × 25.4 mm / PPI
+    this._pageThickMM = paper.caliper || 50.8 / paper.ppi;
+    if (paper.cover != null) this._coverThickMM = paper.cover;
+    this._paper = typeof stock === "string" ? stock : "custom";
+  }
+
+  /** Follow a print specification: sets the trim size, bleed, DPI and paper
+   *  from the profile, and checks page count, spine and safe margin when
+   *  the book is finished. Problems are logged and shown in the viewer.
+   *  Call in setup() before addPage(); later setBleed()/setDPI() calls
+   *  still apply, and are checked against the profile.
+   *  @param {string|object} profile  a built-in profile such as "pod-6x9-paperback", or
+   *    your own { trim, unit, bleed, safe, dpi, minPages, maxPages, pageMultiple,
+   *    spineTextMinPages, paper }, optionally { extends: "<built-in>" } */
+  useProfile(profile) {
+    if (this.page > 0)
+      throw new Error("[p5.book] useProfile() must be called before addPage()");
+    const spec = resolveProfile(profile);
+    if (!spec) return;
+    this._profile = spec;
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const [w, h] = spec.trimMM.map((v) => v / mmPerUnit);
+    if (Math.abs(w - this._trimW) > 1e-6 || Math.abs(h - this._trimH) > 1e-6) {
+      this._trimW = w;
+      this._trimH = h;
+      this._p.resizeCanvas(this._p.width, Math.round((this._p.width * h) / w));
+      this._rebuildPDF();
+    }
+    if (spec.bleedMM) this.setBleed(spec.bleedMM, "mm");
+    else if (this._bleed > 0) this.setBleed(this._bleed);
+    if (spec.marks !== undefined) this.setPrintMarks(spec.marks);
+    if (spec.dpi || this._dpi) this.setDPI(spec.dpi || this._dpi);
+    if (spec.paper) this.setPaper(spec.paper);
+  }
+
+  /** Choose what the preflight pass checks when the book is finished. It
+   *  runs by default; its warnings are logged and listed in the viewer's
+   *  "preflight" mode.
+   *  @param {object|false} options  false turns preflight off
+   *  @param {number} [options.safe]      safe margin inside the trim (default: the
+   *                                      useProfile() margin, or 5 mm)
+   *  @param {string} [options.unit]      unit of `safe`, defaults to book unit
+   *  @param {number} [options.totalInk]  total ink limit, 3 = 300 % (default: the
+   *                                      colorProfile's, or 300 %) */
+  setPreflight(options = {}) {
+    this._preflightOpts = options ? { ...options } : false;
+  }
+
+  // Follow the sketch's 2D context (createCanvas() can replace it) and note
+  // how far the images drawn on each page are enlarged, for the dpi check.
+  _watchImages() {
+    const ctx = this._p.drawingContext;
+    if (ctx === this._imageCtx) return;
+    this._unwatchImages?.();
+    this._imageCtx = ctx;
+    this._unwatchImages =
+      typeof ctx?.drawImage === "function" &&
+      typeof ctx.getTransform === "function"
+        ? watchImageScale(ctx, (s) => {
+            this._imageScale = Math.max(this._imageScale, s);
+          })
+        : null;
+  }
+
+  // Safe margin inside the trim in mm: setPreflight()'s, the profile's, or 5 mm.
+  _safeMM() {
+    const { safe, unit } = this._preflightOpts || {};
+    if (safe != null) return safe * (MM_PER_UNIT[unit || this._unit] || 25.4);
+    return this._profile?.safeMM ?? 5;
+  }
+
+  // Preflight pass: resolution, page count, bleed, safe margin, blacks, ink.
+  _runPreflight() {
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const { totalInk } = this._preflightOpts;
+    const found = [];
+    const warn = (check, message, page = null) =>
+      found.push({ check, message, page });
+    const n = this._rawCanvases.length;
+
+    // Resolution against setDPI(), or print's usual 300: of the page images
+    // when setDPI() didn't set it, and of images drawn larger than their own
+    // pixels on any page
+    const target = this._dpi || 300;
+    const bleedWin = (this.bleedWidth * mmPerUnit) / 25.4;
+    const dpi = this._rawCanvases.map((c) => c.width / bleedWin);
+    if (!this._dpi) {
+      const low = dpi.flatMap((d, i) => (d < target - 1 ? [i] : []));
+      const why = "print usually needs 300; use setDPI(300)";
+      if (low.length === n && new Set(dpi.map(Math.round)).size === 1)
+        warn("dpi", `Pages are ${Math.round(dpi[0])} dpi, ${why}.`);
+      else
+        for (const i of low)
+          warn("dpi", `Page ${i + 1} is ${Math.round(dpi[i])} dpi, ${why}.`, i);
+    }
+    const below = this._dpi ? `setDPI(${this._dpi})` : target;
+    for (let i = 0; i < n; i++) {
+      const scale = this._pageImageScale[i] || 1;
+      const d = dpi[i] / scale;
+      if (scale > 1 && d < target - 1)
+        warn(
+          "dpi",
+          `Page ${i + 1} has an image enlarged to ${Math.round(d)} dpi, below ${below}: draw it from a larger source, or smaller.`,
+          i,
+        );
+    }
+
+    // Page count the binding can take
+    if (this._saddleStitch && n % 4 !== 0)
+      warn(
+        "pages",
+        `${n} pages: saddle stitch needs a multiple of 4. See setPadding("saddle").`,
+      );
+    else if (this._spread && n % 2 !== 0)
+      warn(
+        "pages",
+        `${n} pages: spreads need an even count (cover, pairs, back cover). See setPadding("spread").`,
+      );
+
+    // Pixels of every page
+    const profile = this._colorProfile || resolveCMYKProfile();
+    const limit = totalInk ?? profile.totalInk;
+    // RGB pages are separated by the printer: measure before any ink limit
+    const measure = this._colorProfile
+      ? profile
+      : { ...profile, totalInk: Infinity };
+    const safeMM = this._safeMM();
+    const pureRich = [];
+    for (let i = 0; i < n; i++) {
+      const cvs = this._rawCanvases[i];
+      const pxPerMM = cvs.width / (this.bleedWidth * mmPerUnit);
+      const r = checkPagePixels(cvs, {
+        bleedX: Math.round((cvs.width * this._bleed) / this.bleedWidth),
+        bleedY: Math.round((cvs.height * this._bleed) / this.bleedHeight),
+        safeX: safeMM * pxPerMM,
+        safeY: (safeMM * cvs.height) / (this.bleedHeight * mmPerUnit),
+        profile: measure,
+        totalInk: limit,
+      });
+      if (r.bleed.length)
+        warn(
+          "bleed",
+          `Page ${i + 1}: artwork stops at the trim with the bleed empty (${r.bleed.join(", ")}). Extend it into book.bleed.`,
+          i,
+        );
+      if (r.safe)
+        warn(
+          "safe",
+          `Page ${i + 1}: artwork within ${safeMM.toFixed(1)} mm of the trim may be cut off.`,
+          i,
+        );
+      if (r.pure > MIN_SHARE && r.rich > MIN_SHARE) pureRich.push(i);
+      if (r.ink > MIN_SHARE)
+        warn(
+          "ink",
+          `Page ${i + 1}: ${(r.ink * 100).toFixed(1)} % of the page is over ${Math.round(limit * 100)} % total ink.`,
+          i,
+        );
+      // Small text in rich black blurs when the plates don't line up
+      const ptPerPx = (this._trimW * mmPerUnit * 72) / 25.4 / this._p.width;
+      const richText = (this._pageTextRuns[i] || []).some((t) => {
+        const [cr, cg, cb] = t.color;
+        if (0.299 * cr + 0.587 * cg + 0.114 * cb >= 40) return false;
+        const [c, m, y] = rgbToCMYK(cr, cg, cb, measure);
+        return c + m + y >= 0.05 && t.size * ptPerPx < 12;
+      });
+      if (richText)
+        warn(
+          "black",
+          `Page ${i + 1}: small text in rich black; use pure black (r = g = b) for text.`,
+          i,
+        );
+    }
+    for (const i of pureRich)
+      warn(
+        "black",
+        `Page ${i + 1}: pure and rich black side by side will print as two different blacks.`,
+        i,
+      );
+
+    if (found.length)
+      console.warn(
+        `[p5.book] Preflight: ${found.length} warning${found.length > 1 ? "s" : ""}. Choose "preflight" in the viewer to see where.\n` +
+          found.map((f) => `  ${f.message}`).join("\n"),
+      );
+    return found;
+  }
+
+  // useProfile() checks, run once every page is in.
+  _checkProfile() {
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const p = this._p;
+    const trimWin = (this._trimW * mmPerUnit) / 25.4;
+    const issues = checkProfile(this._profile, {
+      pages: this._rawCanvases.length,
+      bleedMM: this._bleed * mmPerUnit,
+      dpi: (p.width * p.pixelDensity()) / trimWin,
+      spineMM: this._spineMM(),
+      spineDrawn: !!this._spineGfx,
+      safePx: ((this._profile.safeMM || 0) / mmPerUnit / this._trimW) * p.width,
+      width: p.width,
+      height: p.height,
+      textRuns: this._pageTextRuns,
+    });
+    for (const { message } of issues)
+      console.warn(`[p5.book] useProfile(): ${message}`);
+    return issues;
+  }
+
+  // Thickness of the book block in mm: one caliper per leaf.
+  _blockMM() {
+    const pages = this.totalPages || this._rawCanvases.length || 1;
+    return Math.ceil(pages / 2) * this._pageThickMM;
+  }
+
+  // Spine width in mm, the same for book.spine, the 3D viewer and the cover:
+  // the book block plus the cover on both sides, at least 3 mm.
+  _spineMM() {
+    return Math.max(3, this._blockMM() + 2 * this._coverThickMM);
+  }
+
+  /** Shift artwork toward the spine in saddle-stitch and imposed exports to
+   *  make up for creep: inner sheets of a folded signature stick out further
+   *  and lose more at the trim.
+   *  @param {boolean|number} [creep]  true (default) computes it from setPageThickness(),
+   *                                   a number is the shift of the innermost sheet, false turns it off.
+   *  @param {string} [unit]           Unit of a number: 'mm' (default), 'in', or 'pt'. */
+  setCreep(creep = true, unit = "mm") {
+    this._creep =
+      typeof creep === "number" ? creep * (MM_PER_UNIT[unit] || 1) : !!creep;
+  }
+
+  /** Add flaps to the cover: saveCover() then lays out
+   *  back flap | back | spine | front | front flap, with fold marks.
+   *  @param {number|false} width  Flap width in book units, or false for no flaps. */
+  setFlaps(width) {
+    this._flapW = width > 0 ? width : 0;
+    if (this._flapGfx) {
+      this._flapGfx.front.remove();
+      this._flapGfx.back.remove();
+      this._flapGfx = null;
+    }
+  }
+
   /** Enable spread layout: cover + back cover are solo pages; inner pages pair
    *  as two-page spreads in the preview, PDF export, and print.
    *  Total page count must be even. Call in setup() before addPage(). */
@@ -332,7 +759,9 @@ export class Book {
     const srcUnit = unit || this._unit;
     const amountMM = amount * (MM_PER_UNIT[srcUnit] || 25.4);
     this._bleed = amountMM / (MM_PER_UNIT[this._unit] || 25.4);
-    this._printMarks = true;
+    // Trim marks by default, unless the sketch or a profile chose the marks
+    if (!this._printMarks && !this._printMarksSet)
+      this._printMarks = resolvePrintMarks(true);
     this._rebuildPDF();
 
     const gfx = this._p.createGraphics(this._p.width, this._p.height);
@@ -357,9 +786,151 @@ export class Book {
     this._offCtx = this._offCanvas.getContext("2d");
   }
 
-  /** Show or hide crop marks. setBleed() enables them automatically. */
-  setPrintMarks(enabled) {
-    this._printMarks = !!enabled;
+  /** Set the page margins. `inside` is the binding side: it is on the left
+   *  of right-hand pages and on the right of left-hand pages (the other way
+   *  round with setDirection("rtl")), so margins mirror across every spread.
+   *  Pages that are neither (every page without setSpread(true), and the
+   *  covers) have `outside` on both sides, see isLeftPage(). Read them back
+   *  per page from book.content.
+   *  @param {number|object|false} margins  one value for all four sides, or
+   *    { inside, outside, top, bottom } (missing sides are 0); false removes them
+   *  @param {string} [unit]  "in", "cm", "mm", "px", "pt" — defaults to book unit */
+  setMargins(margins, unit) {
+    if (!margins) {
+      this._margins = null;
+      return;
+    }
+    const sides = ["inside", "outside", "top", "bottom"];
+    if (typeof margins === "number")
+      margins = Object.fromEntries(sides.map((k) => [k, margins]));
+    for (const k of Object.keys(margins))
+      if (!sides.includes(k))
+        console.warn(
+          `[p5.book] setMargins(): unknown side "${k}". Use ${sides.join(", ")}.`,
+        );
+    const mmPerUnit = MM_PER_UNIT[unit || this._unit] || 25.4;
+    this._margins = Object.fromEntries(
+      sides.map((k) => [k, (margins[k] || 0) * mmPerUnit]),
+    );
+  }
+
+  // "left" or "right" for the pages of a spread (binding on the right or on
+  // the left), null for the covers and for every page without setSpread():
+  // the rule behind isLeftPage()/isRightPage().
+  _sideOf(i) {
+    if (!this._spread) return null;
+    // Cover (page 0) and back cover (last page) are neither left nor right
+    if (this._isCover(i)) return null;
+    // LTR: pairs are [1,2],[3,4]... — odd indices are on the left
+    // RTL: pairs are [2,1],[4,3]... — even indices are on the left
+    return (this._rtl ? i % 2 === 0 : i % 2 === 1) ? "left" : "right";
+  }
+
+  // Whether page i is the cover or the back cover. The back cover is the
+  // last page drawn before setPadding() pages (until "beforeBack" moves it
+  // to the end), else the last page: known from totalPages, or once
+  // finish() is called.
+  _isCover(i) {
+    if (i === 0) return true;
+    const added = this._paddedPages;
+    if (added.length && !this._paddingPlaced) return i === added[0] - 1;
+    if (added.length && this._padding.where === "beforeBack")
+      return i === this._page - 1;
+    if (this._finished) return i === this._page - 1;
+    return this.totalPages != null && i === this.totalPages - 1;
+  }
+
+  // setMargins() of page i in mm, mirrored: { left, right, top, bottom }.
+  // Pages without a side have no binding, so `outside` on both sides.
+  _pageMarginsMM(i) {
+    const { inside, outside, top, bottom } = this._margins || {
+      inside: 0,
+      outside: 0,
+      top: 0,
+      bottom: 0,
+    };
+    const side = this._sideOf(i);
+    if (!side) return { left: outside, right: outside, top, bottom };
+    return side === "left"
+      ? { left: outside, right: inside, top, bottom }
+      : { left: inside, right: outside, top, bottom };
+  }
+
+  /**
+   * Choose the printer's marks drawn on every exported page. setBleed() turns
+   * on trim marks unless marks were already chosen here or by useProfile();
+   * true/false shows or hides them. Any mark besides trim marks
+   * adds a margin outside the bleed, so call this before addPage().
+   * @param {boolean|object} marks
+   * @param {boolean} [marks.trim=true]       crop marks at the trim corners
+   * @param {boolean} [marks.bleed]           dashed marks at the bleed edge
+   * @param {boolean} [marks.registration]    registration targets on each side
+   * @param {boolean} [marks.colorBars]       CMYK color bars and black tints
+   * @param {boolean} [marks.centerMarks]     marks at the middle of each edge
+   * @param {boolean|object} [marks.slug]     file, page, date line; { seed } adds the seed
+   */
+  setPrintMarks(marks) {
+    const next = resolvePrintMarks(marks);
+    const resize = markMarginMM(next) !== markMarginMM(this._printMarks);
+    if (resize && this.page > 0)
+      throw new Error(
+        "[p5.book] setPrintMarks() must be called before addPage() to add or remove the mark margin",
+      );
+    this._printMarks = next;
+    this._printMarksSet = true;
+    if (resize) this._rebuildPDF();
+  }
+
+  /**
+   * A p5.Graphics layer for one risograph or spot ink, the same size as the
+   * canvas. Draw in grayscale — darker means more ink. Every addPage() turns
+   * each layer into a plate and clears it; the viewer shows the plates
+   * overprinted in their ink colors, and saveInks() exports them.
+   * @param {string} name  an ink such as "fluorescentPink" or "blue", or your own
+   * @param {string|number[]} [color]  preview color ("#rrggbb" or [r, g, b]),
+   *                                   required for inks p5.book doesn't know
+   */
+  ink(name, color) {
+    let ink = this._inks.get(name);
+    if (ink) {
+      if (color) ink.color = inkColor(name, color);
+      return ink.proxy;
+    }
+    let rgb = inkColor(name, color);
+    if (!rgb) {
+      console.warn(
+        `[p5.book] ink("${name}"): unknown ink, previewing it in black. Pass its color, e.g. book.ink("${name}", "#ff48b0").`,
+      );
+      rgb = [0, 0, 0];
+    }
+    ink = { color: rgb, gfx: this._makeInkGfx(), proxy: null };
+    ink.proxy = new Proxy(
+      {},
+      {
+        get: (_, prop) => {
+          if (prop === "draw") return (fn) => fn(ink.gfx);
+          const val = ink.gfx[prop];
+          return typeof val === "function" ? val.bind(ink.gfx) : val;
+        },
+        set: (_, prop, val) => {
+          ink.gfx[prop] = val;
+          return true;
+        },
+      },
+    );
+    this._inks.set(name, ink);
+    return ink.proxy;
+  }
+
+  _makeInkGfx() {
+    const gfx = this._p.createGraphics(this._p.width, this._p.height);
+    gfx.pixelDensity(this._p.pixelDensity());
+    return gfx;
+  }
+
+  // Room for printer's marks outside the bleed on every side, in book units
+  _markMargin() {
+    return markMarginMM(this._printMarks) / (MM_PER_UNIT[this._unit] || 25.4);
   }
 
   /**
@@ -384,18 +955,260 @@ export class Book {
 
   _rebuildPDF() {
     const { jsPDF } = window.jspdf;
-    // Page size = trim + bleed only — crop marks live within the bleed area
+    // Page size = trim + bleed — trim marks live within the bleed area, any
+    // other marks in a margin around it
+    const m = this._markMargin();
     this._pdf = new jsPDF({
       unit: this._unit,
-      format: [this.bleedWidth, this.bleedHeight],
+      format: [this.bleedWidth + 2 * m, this.bleedHeight + 2 * m],
       orientation: this.bleedWidth > this.bleedHeight ? "l" : "p",
     });
+    this._applyMetadata(this._pdf);
+  }
+
+  /** Set the PDF document properties written into every export (save(),
+   *  saveCover(), saveSaddleStitch(), print). Can be called at any time;
+   *  later calls only change the fields they pass.
+   *  @param {object} meta
+   *  @param {string} [meta.title]
+   *  @param {string} [meta.author]
+   *  @param {string} [meta.subject]
+   *  @param {string|string[]} [meta.keywords]  string or array of keywords
+   *  @param {string} [meta.creator]   application/sketch that made the book
+   *  @param {string} [meta.language]  e.g. "en-US", "de", "ja" */
+  setMetadata(meta = {}) {
+    const fields = [
+      "title",
+      "author",
+      "subject",
+      "keywords",
+      "creator",
+      "language",
+    ];
+    for (const [key, value] of Object.entries(meta)) {
+      if (!fields.includes(key)) {
+        console.warn(
+          `[p5.book] Unknown metadata field "${key}". Use ${fields.join(", ")}.`,
+        );
+        continue;
+      }
+      this._metadata[key] =
+        key === "keywords" && Array.isArray(value)
+          ? value.join(", ")
+          : String(value ?? "");
+    }
+    this._applyMetadata(this._pdf);
+    return this;
+  }
+
+  // Write the stored document properties into a jsPDF document.
+  _applyMetadata(pdf) {
+    const { language, ...props } = this._metadata;
+    const encoded = {};
+    for (const [key, value] of Object.entries(props))
+      encoded[key] = Book._pdfTextString(value);
+    pdf.setDocumentProperties(encoded);
+    if (language) {
+      pdf.setLanguage(language);
+      if (pdf.internal.languageSettings?.languageCode !== language)
+        console.warn(`[p5.book] Unsupported PDF language code "${language}".`);
+    }
+  }
+
+  // Info dictionary strings are PDFDocEncoding unless they start with a
+  // UTF-16BE byte-order mark, which is what non-Latin-1 titles need.
+  static _pdfTextString(str) {
+    if (!/[^\u0000-\u00ff]/.test(str)) return str;
+    let out = "\u00fe\u00ff";
+    for (let i = 0; i < str.length; i++) {
+      const c = str.charCodeAt(i);
+      out += String.fromCharCode(c >> 8, c & 255);
+    }
+    return out;
   }
 
   get pageNumber() {
     return this._page + 1;
   }
 
+  /** The page number printed on the page being drawn, as set by
+   *  setNumbering(): "iii", "12", … Read-only. */
+  get folio() {
+    return this._folioOf(this._page);
+  }
+
+  /** Number pages from here on in a style of their own, e.g. roman numerals
+   *  for the front matter and arabic from 1 where the body starts. Used by
+   *  book.folio, setFolio(), the viewer's page labels and the slug line.
+   *  Pages before the first call count 1, 2, 3, …
+   *  @param {object|false} numbering  false goes back to 1, 2, 3, … throughout
+   *  @param {string} [numbering.style="arabic"]  "arabic", "roman" (i, ii, …),
+   *                  "ROMAN" (I, II, …), "alpha" (a, b, …) or "ALPHA" (A, B, …)
+   *  @param {number} [numbering.start=1]  number of the first page
+   *  @param {number} [numbering.from]     page index it applies from, default
+   *                                       the page about to be drawn */
+  setNumbering(numbering) {
+    if (!numbering) {
+      this._numbering = [];
+      return;
+    }
+    const { style = "arabic", start = 1, from = this._page } = numbering;
+    const styles = ["arabic", "roman", "ROMAN", "alpha", "ALPHA"];
+    if (!styles.includes(style)) {
+      console.warn(
+        `[p5.book] setNumbering(): unknown style "${style}". Use ${styles.join(", ")}.`,
+      );
+      return;
+    }
+    this._numbering = this._numbering
+      .filter((n) => n.from !== from)
+      .concat({ style, start: Math.floor(start), from })
+      .sort((a, b) => a.from - b.from);
+  }
+
+  // Folio of page i under setNumbering().
+  _folioOf(i) {
+    let style = "arabic",
+      n = i + 1;
+    for (const set of this._numbering) {
+      if (set.from > i) break;
+      style = set.style;
+      n = set.start + i - set.from;
+    }
+    if (n < 1 || style === "arabic") return String(n);
+    if (style === "roman" || style === "ROMAN") {
+      const numerals = [
+        [1000, "m"],
+        [900, "cm"],
+        [500, "d"],
+        [400, "cd"],
+        [100, "c"],
+        [90, "xc"],
+        [50, "l"],
+        [40, "xl"],
+        [10, "x"],
+        [9, "ix"],
+        [5, "v"],
+        [4, "iv"],
+        [1, "i"],
+      ];
+      let out = "";
+      for (const [value, numeral] of numerals)
+        for (; n >= value; n -= value) out += numeral;
+      return style === "ROMAN" ? out.toUpperCase() : out;
+    }
+    // a … z, aa, ab, …
+    let out = "";
+    for (; n > 0; n = Math.floor((n - 1) / 26))
+      out = String.fromCharCode(97 + ((n - 1) % 26)) + out;
+    return style === "ALPHA" ? out.toUpperCase() : out;
+  }
+
+  /** Preflight warnings found when the book was finished, as
+   *  { check, message, page } (page is 0-based, null for the whole book),
+   *  including useProfile() problems. Empty until then. Read-only. */
+  get preflight() {
+    return [...this._profileIssues, ...this._preflight];
+  }
+
+  /** The area inside setMargins() on the page being drawn, as { x, y, w, h }
+   *  in canvas pixels. Mirrors with the page's side of the spread; the whole
+   *  canvas without margins. Read-only. */
+  get content() {
+    return this._contentRect(this._page);
+  }
+
+  // book.content of page i.
+  _contentRect(i) {
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const { width, height } = this._p;
+    const sx = width / (this._trimW * mmPerUnit);
+    const sy = height / (this._trimH * mmPerUnit);
+    const m = this._pageMarginsMM(i);
+    return {
+      x: m.left * sx,
+      y: m.top * sy,
+      w: width - (m.left + m.right) * sx,
+      h: height - (m.top + m.bottom) * sy,
+    };
+  }
+
+  /**
+   * Set up a layout grid inside the margins (see setMargins()), or read it
+   * back for the page being drawn. Like book.content the grid mirrors with
+   * the page's side, and in a right-to-left book column 0 is on the right.
+   * With a baseline, textBox() puts its lines on the baseline grid.
+   * @param {object|false} [options]  false removes the grid
+   * @param {number} [options.columns=1]
+   * @param {number} [options.rows=1]
+   * @param {number} [options.gutter=0]   space between cells, in canvas pixels
+   * @param {number} [options.baseline]   baseline grid spacing in canvas pixels,
+   *                                      counted from the top margin
+   * @returns {object|null}  { x, y, w, h, columns, rows, gutter, baseline, cells,
+   *   cell(col, row, [colSpan], [rowSpan]) } in canvas pixels; cells are
+   *   { x, y, w, h, col, row }, row by row
+   */
+  grid(options) {
+    if (options === false) {
+      this._grid = null;
+      return null;
+    }
+    if (options) {
+      const keys = ["columns", "rows", "gutter", "baseline"];
+      for (const k of Object.keys(options))
+        if (!keys.includes(k))
+          console.warn(
+            `[p5.book] grid(): unknown option "${k}". Use ${keys.join(", ")}.`,
+          );
+      const { columns = 1, rows = 1, gutter = 0, baseline = 0 } = options;
+      this._grid = {
+        columns: Math.max(1, Math.floor(columns)),
+        rows: Math.max(1, Math.floor(rows)),
+        gutter,
+        baseline: baseline > 0 ? baseline : 0,
+      };
+    }
+    return this._grid ? this._gridLayout(this._page) : null;
+  }
+
+  // book.grid() of page i.
+  _gridLayout(i) {
+    const { columns, rows, gutter, baseline } = this._grid;
+    const area = this._contentRect(i);
+    const cw = (area.w - gutter * (columns - 1)) / columns;
+    const ch = (area.h - gutter * (rows - 1)) / rows;
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const k = this._rtl ? columns - 1 - col : col;
+        cells.push({
+          x: area.x + k * (cw + gutter),
+          y: area.y + row * (ch + gutter),
+          w: cw,
+          h: ch,
+          col,
+          row,
+        });
+      }
+    }
+    // A block of cells, from the first cell's corner to the last one's
+    const cell = (col, row, colSpan = 1, rowSpan = 1) => {
+      const a = cells[row * columns + col];
+      const b = cells[(row + rowSpan - 1) * columns + col + colSpan - 1];
+      if (!a || !b) return null;
+      const x = Math.min(a.x, b.x);
+      return {
+        x,
+        y: a.y,
+        w: Math.max(a.x, b.x) + cw - x,
+        h: b.y + ch - a.y,
+        col,
+        row,
+      };
+    };
+    return { ...area, columns, rows, gutter, baseline, cells, cell };
+  }
+
   get progress() {
     return this.totalPages > 1 ? this._page / (this.totalPages - 1) : 1;
   }
@@ -414,13 +1227,7 @@ export class Book {
       );
       return false;
     }
-    // Cover (page 0) and back cover (last page) are neither left nor right
-    if (this._page === 0 || this._page === this.totalPages - 1) {
-      return false;
-    }
-    // LTR: pairs are [1,2],[3,4]... — odd indices are on the left
-    // RTL: pairs are [2,1],[4,3]... — even indices are on the left
-    return this._rtl ? this._page % 2 === 0 : this._page % 2 === 1;
+    return this._sideOf(this._page) === "left";
   }
 
   isRightPage() {
@@ -430,12 +1237,250 @@ export class Book {
       );
       return false;
     }
-    // Cover (page 0) and back cover (last page) are neither left nor right
-    if (this._page === 0 || this._page === this.totalPages - 1) {
-      return false;
+    return this._sideOf(this._page) === "right";
+  }
+
+  /** Start a named section on the page about to be drawn. Sections become
+   *  the bookmarks (outline) of every exported PDF. Call before addPage().
+   *  @param {string} title
+   *  @param {object} [opts]
+   *  @param {number} [opts.level]  1 (default) = top level, 2 = nested under
+   *                                the previous level-1 section, and so on */
+  section(title, { level = 1 } = {}) {
+    if (this.totalPages != null && this._page >= this.totalPages) return this;
+    this._sections.push({
+      title: String(title),
+      level: Math.max(1, Math.floor(level) || 1),
+      page: this._page,
+    });
+    return this;
+  }
+
+  // (Re)write the PDF outline from the recorded sections. pageOf maps a book
+  // page index to a 1-based page of `pdf`, or null when it isn't in there.
+  _applyOutline(pdf, pageOf) {
+    pdf.outline.root.children = [];
+    const open = []; // [level, node] chain of the current nesting
+    for (const { title, level, page } of this._sections) {
+      const pageNumber = pageOf(page);
+      if (!pageNumber) continue;
+      while (open.length && open[open.length - 1][0] >= level) open.pop();
+      const parent = open.length ? open[open.length - 1][1] : null;
+      const node = pdf.outline.add(parent, Book._pdfTextString(title), {
+        pageNumber,
+      });
+      open.push([level, node]);
+    }
+  }
+
+  /** Number every page automatically: addPage() draws the folio onto the
+   *  canvas just before it captures the page, on the outside edge of left
+   *  and right pages (mirrored for right-to-left books), in the middle of the
+   *  margin when setMargins() is set. Without setSpread(true) pages have no
+   *  side, and "outside" is the right edge. The covers are skipped by default.
+   *  @param {function|object|false} folio  fn(p, info) draws it, or returns the
+   *    text for p5.book to set; or options; false turns folios off
+   *  @param {string} [folio.position="bottom-outside"]  "top" or "bottom",
+   *    then "-outside", "-center" or "-inside"
+   *  @param {string|function} [folio.format="{n}"]  "{n}" is the page number
+   *    (see setNumbering()), e.g. "— {n} —"; or fn(info) returning the text
+   *  @param {number|number[]|function} [folio.skip]  the first N pages, a list
+   *    of page indices, or fn(info) returning true to skip
+   *  @param {number} [folio.size]   text size in canvas pixels (default 9 pt)
+   *  @param {*} [folio.color=0]     any p5 fill() color */
+  setFolio(folio) {
+    this._folio = this._pageMark("setFolio", folio, {
+      position: "bottom-outside",
+      format: "{n}",
+      skip: (info) => info.cover,
+    });
+  }
+
+  /** Set a running head, drawn by addPage() like setFolio(): fn(p, info)
+   *  returns the line for p5.book to set at the top outside corner, or draws
+   *  it itself. info.section is the current section() title and info.left
+   *  tells the side, e.g. the book title on the left, the chapter on the
+   *  right. The covers and pages that start a section are skipped by default.
+   *  @param {function|object|false} head  fn(p, info), or { format, position,
+   *    skip, size, color } as in setFolio(); false turns it off */
+  setRunningHead(head) {
+    this._runningHead = this._pageMark("setRunningHead", head, {
+      position: "top-outside",
+      format: (info) => info.section || "",
+      skip: (info) => info.cover || info.sectionStart,
+    });
+  }
+
+  // setFolio()/setRunningHead() argument → { draw(p, info), position, skip,
+  // size, color }, or null.
+  _pageMark(name, arg, defaults) {
+    if (!arg) return null;
+    const o = typeof arg === "function" ? { draw: arg } : { ...arg };
+    const [edge, across = "outside"] = String(
+      o.position || defaults.position,
+    ).split("-");
+    if (
+      !["top", "bottom"].includes(edge) ||
+      !["outside", "center", "inside"].includes(across)
+    ) {
+      console.warn(
+        `[p5.book] ${name}(): unknown position "${o.position}". Use top-outside, bottom-center, … ("top" or "bottom", then "outside", "center" or "inside").`,
+      );
+      return null;
+    }
+    const format = o.format ?? defaults.format;
+    const text =
+      typeof format === "function"
+        ? format
+        : (info) => String(format).replaceAll("{n}", info.folio);
+    const skip = o.skip ?? defaults.skip;
+    return {
+      draw: o.draw || ((p, info) => text(info)),
+      edge,
+      across,
+      skip:
+        typeof skip === "function"
+          ? skip
+          : typeof skip === "number"
+            ? (info) => info.page < skip
+            : Array.isArray(skip)
+              ? (info) => skip.includes(info.page)
+              : () => false,
+      size: o.size,
+      color: o.color ?? 0,
+    };
+  }
+
+  // What folios and running heads know about the page being drawn.
+  _pageInfo() {
+    const i = this._page;
+    let section = null,
+      chapter = null;
+    for (const s of this._sections) {
+      if (s.page > i) break;
+      section = s.title;
+      if (s.level === 1) chapter = s.title;
+    }
+    const side = this._sideOf(i);
+    return {
+      page: i,
+      number: i + 1,
+      folio: this._folioOf(i),
+      left: side === "left",
+      right: side === "right",
+      rtl: this._rtl,
+      cover: this._isCover(i),
+      section,
+      chapter,
+      sectionStart: this._sections.some((s) => s.page === i),
+      content: this._contentRect(i),
+    };
+  }
+
+  // Called by addPage() before it captures the canvas: draw the folio and
+  // running head in trim coordinates (the bleed layer is left alone).
+  _drawPageMarks() {
+    const marks = [this._folio, this._runningHead].filter(Boolean);
+    if (!marks.length) return;
+    const info = this._pageInfo();
+    // Pages setPadding() leaves blank get no folio either
+    const padded = this._paddedPages.includes(info.page) && !this._padding.fill;
+    const p = this._p;
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const pxPerMM = p.width / (this._trimW * mmPerUnit);
+    const inset = 12 * pxPerMM; // from the trim without margins
+    // Never closer to the trim than the safe margin, which the profile and
+    // preflight checks hold all text to
+    const safe = Math.max(this._safeMM(), this._profile?.safeMM ?? 0) * pxPerMM;
+    const { x, y, w, h } = info.content;
+    const margins = !!this._margins;
+    for (const mark of marks) {
+      if (padded || mark.skip(info)) continue;
+      p.push();
+      p.resetMatrix();
+      p.noStroke();
+      p.fill(mark.color);
+      p.textSize(mark.size ?? (9 / 72) * 25.4 * pxPerMM);
+      const str = mark.draw(p, info);
+      if (typeof str === "string" && str !== "") {
+        // Outside is the left edge on left pages, else the right edge
+        const side =
+          mark.across === "center"
+            ? "center"
+            : (mark.across === "outside") === info.left
+              ? "left"
+              : "right";
+        const tx =
+          side === "center"
+            ? x + w / 2
+            : side === "left"
+              ? margins
+                ? x
+                : inset
+              : margins
+                ? x + w
+                : p.width - inset;
+        const ty =
+          mark.edge === "top"
+            ? margins && y > 0
+              ? y / 2
+              : inset
+            : margins && y + h < p.height
+              ? (y + h + p.height) / 2
+              : p.height - inset;
+        p.textAlign(
+          side === "center" ? p.CENTER : side === "left" ? p.LEFT : p.RIGHT,
+          p.CENTER,
+        );
+        const half = 0.8 * p.textSize(); // centre line to the glyph edges, generously
+        this.text(
+          str,
+          side === "left"
+            ? Math.max(tx, safe)
+            : side === "right"
+              ? Math.min(tx, p.width - safe)
+              : tx,
+          mark.edge === "top"
+            ? Math.max(ty, safe + half)
+            : Math.min(ty, p.height - safe - half),
+        );
+      }
+      p.pop();
+    }
+  }
+
+  /** Make an area of the current page clickable in the exported PDF.
+   *  Coordinates are canvas pixels, like rect(); the current transform applies.
+   *  @param {number} x
+   *  @param {number} y
+   *  @param {number} w
+   *  @param {number} h
+   *  @param {string|number} target  a URL ("https://…", "mailto:…"), a page
+   *    index (0 = cover, same numbering as book.page), or a section() title */
+  link(x, y, w, h, target) {
+    let box = { x, y, w, h };
+    const ctx = this._p.drawingContext;
+    if (typeof ctx.getTransform === "function") {
+      // Bounding box of the transformed rectangle, in canvas pixels
+      const m = ctx.getTransform();
+      const d = this._p.pixelDensity();
+      const xs = [],
+        ys = [];
+      for (const [px, py] of [
+        [x, y],
+        [x + w, y],
+        [x, y + h],
+        [x + w, y + h],
+      ]) {
+        xs.push((m.a * px + m.c * py + m.e) / d);
+        ys.push((m.b * px + m.d * py + m.f) / d);
+      }
+      const x0 = Math.min(...xs),
+        y0 = Math.min(...ys);
+      box = { x: x0, y: y0, w: Math.max(...xs) - x0, h: Math.max(...ys) - y0 };
     }
-    // LTR: even indices are on the right; RTL: odd indices are on the right
-    return this._rtl ? this._page % 2 === 1 : this._page % 2 === 0;
+    this._links.push({ ...box, target });
+    return this;
   }
 
   addPage() {
@@ -451,10 +1496,19 @@ export class Book {
       return this._pageQueue;
     }
 
+    this._drawPageMarks();
+
     // ── Capture canvas pixels SYNCHRONOUSLY before the user draws the next page ──
     const b = this._bleed;
     const mainCvs = this._p.canvas;
     let rawCanvas;
+    let offX = 0,
+      offY = 0;
+    // Vector capture: only what couldn't be recorded as paths goes in the
+    // PDF as pixels (pdfCanvas); by default that's the whole page.
+    const captured = this._recorder ? this._recorder.take() : null;
+    const partial = captured && !captured.full;
+    let pdfCanvas;
 
     if (b > 0) {
       const neededW = Math.round(
@@ -470,8 +1524,8 @@ export class Book {
         this._offCanvas.width = neededW;
         this._offCanvas.height = neededH;
       }
-      const offX = Math.round(mainCvs.width * (b / this._trimW));
-      const offY = Math.round(mainCvs.height * (b / this._trimH));
+      offX = Math.round(mainCvs.width * (b / this._trimW));
+      offY = Math.round(mainCvs.height * (b / this._trimH));
       this._offCtx.clearRect(
         0,
         0,
@@ -485,6 +1539,14 @@ export class Book {
         this._offCanvas.width,
         this._offCanvas.height,
       );
+      if (partial) {
+        pdfCanvas = document.createElement("canvas");
+        pdfCanvas.width = this._offCanvas.width;
+        pdfCanvas.height = this._offCanvas.height;
+        const pctx = pdfCanvas.getContext("2d");
+        pctx.drawImage(this._offCanvas, 0, 0);
+        if (captured.raster) pctx.drawImage(captured.raster, offX, offY);
+      }
       this._offCtx.drawImage(mainCvs, offX, offY);
       rawCanvas = document.createElement("canvas");
       rawCanvas.width = this._offCanvas.width;
@@ -496,10 +1558,44 @@ export class Book {
       rawCanvas.width = mainCvs.width;
       rawCanvas.height = mainCvs.height;
       rawCanvas.getContext("2d").drawImage(mainCvs, 0, 0);
+      if (partial) pdfCanvas = captured.raster;
+    }
+    if (!partial) pdfCanvas = rawCanvas;
+
+    // Ink layers: keep a copy of each, then clear it for the next page
+    const inkLayers = [];
+    for (const [name, ink] of this._inks) {
+      const c = document.createElement("canvas");
+      c.width = ink.gfx.canvas.width;
+      c.height = ink.gfx.canvas.height;
+      c.getContext("2d").drawImage(ink.gfx.canvas, 0, 0);
+      inkLayers.push({ name, color: ink.color, canvas: c });
+      ink.gfx.clear();
     }
 
     const pageIndex = this._page;
     this._page++;
+    this._pdfCanvases[pageIndex] = pdfCanvas;
+    this._pageVectors[pageIndex] = captured ? captured.ops : [];
+
+    // Vector text is kept off the raster; paint it onto a copy for the viewer.
+    const textRuns = this._textRuns;
+    this._textRuns = [];
+    this._pageTextRuns[pageIndex] = textRuns;
+    this._pageLinks[pageIndex] = this._links;
+    this._links = [];
+    this._pageImageScale[pageIndex] = this._imageScale;
+    this._imageScale = 1;
+    this._watchImages();
+    let previewCanvas = rawCanvas;
+    if (this._textLayer === "vector" && textRuns.length > 0) {
+      previewCanvas = document.createElement("canvas");
+      previewCanvas.width = rawCanvas.width;
+      previewCanvas.height = rawCanvas.height;
+      const pctx = previewCanvas.getContext("2d");
+      pctx.drawImage(rawCanvas, 0, 0);
+      paintTextRuns(pctx, textRuns, offX, offY);
+    }
     // NOTE: do NOT call _updateProgressUI() here — _page increments synchronously
     // for all pages before the browser paints even once. Progress is updated inside rAF.
 
@@ -513,31 +1609,82 @@ export class Book {
     });
     prevTail.then(() => {
       requestAnimationFrame(() => {
+        const m = this._markMargin();
         if (pageIndex > 0)
           this._pdf.addPage(
-            [this.bleedWidth, this.bleedHeight],
+            [this.bleedWidth + 2 * m, this.bleedHeight + 2 * m],
             this.bleedWidth > this.bleedHeight ? "l" : "p",
           );
+        // Turn ink layers into plates (grown into the bleed like the page)
+        // and overprint them on the preview
+        const plates = new Map();
+        for (const { name, color, canvas } of inkLayers) {
+          const trimCover = inkCoverage(canvas);
+          if (!trimCover) continue;
+          if (previewCanvas === rawCanvas) {
+            previewCanvas = document.createElement("canvas");
+            previewCanvas.width = rawCanvas.width;
+            previewCanvas.height = rawCanvas.height;
+            previewCanvas.getContext("2d").drawImage(rawCanvas, 0, 0);
+          }
+          const width = canvas.width + 2 * offX;
+          const height = canvas.height + 2 * offY;
+          const cover = bleedCoverage(
+            trimCover,
+            canvas.width,
+            canvas.height,
+            offX,
+            offY,
+          );
+          paintInk(previewCanvas.getContext("2d"), cover, width, height, color);
+          plates.set(
+            name,
+            plateImage(window.jspdf.jsPDF, cover, width, height),
+          );
+        }
+        this._pagePlates[pageIndex] = plates;
         this._rawCanvases.push(rawCanvas);
+        this._previewCanvases.push(previewCanvas);
         const fmt = this._imageType === "png" ? "image/png" : "image/jpeg";
         const pdfFmt = this._imageType === "png" ? "PNG" : "JPEG";
         const pageImg = rawCanvas.toDataURL(fmt, this._jpegQuality);
-        this._pageImages.push(pageImg);
-        this._pdf.addImage(
-          pageImg,
-          pdfFmt,
-          0,
-          0,
-          b > 0 ? this.bleedWidth : this._trimW,
-          b > 0 ? this.bleedHeight : this._trimH,
+        this._pageImages.push(
+          previewCanvas === rawCanvas
+            ? pageImg
+            : previewCanvas.toDataURL(fmt, this._jpegQuality),
         );
+        if (pdfCanvas)
+          this._pdf.addImage(
+            ...(pdfCanvas === rawCanvas && !this._colorProfile
+              ? [pageImg, pdfFmt]
+              : this._pdfImage(pdfCanvas)),
+            m,
+            m,
+            b > 0 ? this.bleedWidth : this._trimW,
+            b > 0 ? this.bleedHeight : this._trimH,
+          );
+        this._drawPageLayers(this._pdf, pageIndex, m, m);
+        this._drawLinks(this._pdf, pageIndex, m, m, (i) => i + 1);
+        this._setPageBoxes(this._pdf, m + b, m + b, this._trimW, this._trimH);
         if (this._printMarks)
-          this._drawPrintMarksOn(this._pdf, this._trimW, this._trimH, b);
+          this._drawPrintMarksOn(
+            this._pdf,
+            this._trimW,
+            this._trimH,
+            b,
+            `page ${this._folioOf(pageIndex)}`,
+          );
+        this._applyOutline(this._pdf, (i) => (i <= pageIndex ? i + 1 : null));
+        if (this._colorProfile)
+          this._gamut[pageIndex] = gamutShare(
+            previewCanvas,
+            this._colorProfile,
+          );
         this._pagesProcessed++;
         this._updateProgressUI();
         if (this.totalPages != null && pageIndex === this.totalPages - 1) {
           this._p.noLoop();
-          this._showViewer();
+          this._complete();
         }
         _resolveThisPage();
       });
@@ -545,42 +1692,167 @@ export class Book {
     return this._pageQueue;
   }
 
-  // Draw crop marks inward from the bleed edges.
-  // Page size = trim + bleed; mark arms go from the page edge to just before the trim line.
-  _drawPrintMarksOn(pdf, trimW, trimH, b) {
-    if (b <= 0) return;
-    const u = MM_PER_UNIT[this._unit] || 25.4;
-    const gap = 1 / u;
-    const hair = 0.3 / u;
+  // Write what was recorded on one page on top of its image in `pdf`: vector
+  // capture ops, then the textBox()/text() runs. (ox, oy) is where that page's
+  // bleed box sits, in book units.
+  _drawPageLayers(pdf, pageIndex, ox, oy) {
+    const o = {
+      ox,
+      oy,
+      sx: this._trimW / this._p.width,
+      sy: this._trimH / this._p.height,
+      bleed: this._bleed,
+      ptPerUnit: (MM_PER_UNIT[this._unit] || 25.4) / MM_PER_UNIT.pt,
+      fontFor: (run) =>
+        hasFontData(run.font)
+          ? [
+              embedFont(this._p, pdf, run.font, this._fontChars.get(run.font)),
+              "normal",
+            ]
+          : null,
+      toColor: this._colorProfile
+        ? (r, g, b) => rgbToCMYK(r, g, b, this._colorProfile)
+        : null,
+    };
+    drawVectorOps(pdf, this._pageVectors[pageIndex], o);
+    if (this._textLayer)
+      drawTextRuns(pdf, this._pageTextRuns[pageIndex], {
+        ...o,
+        visible: this._textLayer === "vector",
+      });
+  }
 
-    const x0 = b,
-      y0 = b;
-    const x1 = b + trimW,
-      y1 = b + trimH;
-    const pw = 2 * b + trimW; // page width
-    const ph = 2 * b + trimH; // page height
+  // Turn one page's link() areas into link annotations. pageOf maps a book
+  // page index to a page of `pdf` (see _applyOutline). Internal targets are
+  // resolved when the PDF is written, so links may point at pages and
+  // sections that don't exist yet while the book is being drawn.
+  _drawLinks(pdf, pageIndex, ox, oy, pageOf) {
+    const links = this._pageLinks[pageIndex];
+    if (!links || links.length === 0) return;
+    const sx = this._trimW / this._p.width;
+    const sy = this._trimH / this._p.height;
+    for (const { x, y, w, h, target } of links) {
+      const book = this;
+      const options = Book._isURL(target)
+        ? { url: target }
+        : {
+            get pageNumber() {
+              const i = book._resolveLinkTarget(target);
+              const n = i == null ? null : pageOf(i);
+              return n && n <= pdf.getNumberOfPages() ? n : undefined;
+            },
+          };
+      pdf.link(
+        ox + this._bleed + x * sx,
+        oy + this._bleed + y * sy,
+        w * sx,
+        h * sy,
+        options,
+      );
+    }
+  }
 
-    const lines = [
-      [0, y0, x0 - gap, y0],
-      [x0, 0, x0, y0 - gap], // TL
-      [pw, y0, x1 + gap, y0],
-      [x1, 0, x1, y0 - gap], // TR
-      [0, y1, x0 - gap, y1],
-      [x0, ph, x0, y1 + gap], // BL
-      [pw, y1, x1 + gap, y1],
-      [x1, ph, x1, y1 + gap], // BR
+  // Page index for a link() target: a page index, or a section() title.
+  _resolveLinkTarget(target) {
+    const n = this._rawCanvases.length;
+    if (typeof target === "number")
+      return Number.isInteger(target) && target >= 0 && target < n
+        ? target
+        : null;
+    const section = this._sections.find((s) => s.title === target);
+    if (section && section.page < n) return section.page;
+    if (!this._linkWarned.has(target)) {
+      this._linkWarned.add(target);
+      console.warn(`[p5.book] link() target "${target}" not found.`);
+    }
+    return null;
+  }
+
+  static _isURL(target) {
+    return typeof target === "string" && /^[a-z][a-z0-9+.-]*:/i.test(target);
+  }
+
+  // [dataURL, jsPDF format] for a page image in a rebuilt PDF. The rasters
+  // vector capture leaves behind are mostly transparent, so they stay PNG.
+  // In CMYK mode it's separated pixel data instead (see color.js).
+  _pdfImage(cvs) {
+    if (this._colorProfile)
+      return cmykImage(window.jspdf.jsPDF, cvs, this._colorProfile);
+    if (this._imageType === "png" || this._capture === "vector")
+      return [cvs.toDataURL("image/png"), "PNG"];
+    return [cvs.toDataURL("image/jpeg", this._jpegQuality), "JPEG"];
+  }
+
+  // Transparent stand-in for a page whose PDF raster part is empty.
+  _blankLike(cvs) {
+    const c = document.createElement("canvas");
+    c.width = cvs.width;
+    c.height = cvs.height;
+    return c;
+  }
+
+  // Draw the printer's marks around a trimW × trimH trim. Page = trim + bleed
+  // + mark margin; without a margin, trim mark arms run inward from the page
+  // edge to just before the trim line. `label` names the page in the slug.
+  _drawPrintMarksOn(pdf, trimW, trimH, b, label, folds) {
+    const m = this._markMargin();
+    if (b <= 0 && m <= 0) return;
+    const { slug } = this._printMarks;
+    const info = [
+      this._filename,
+      label,
+      new Date().toLocaleDateString("en-CA"),
     ];
+    if (slug?.seed != null) info.push(`seed ${slug.seed}`);
+    const text = info.join("  \u00b7  ");
+    // A name outside Latin-1 needs the sketch's loaded font, if it has one
+    let slugFont;
+    const font = this._p.textFont();
+    if (
+      slug &&
+      /[^\u0000-\u00ff]/.test(text) &&
+      Book._canEmitText(text, font)
+    ) {
+      this._useFontChars(font, text);
+      slugFont = embedFont(this._p, pdf, font, this._fontChars.get(font));
+    }
+    drawPrintMarks(pdf, {
+      marks: this._printMarks,
+      x: m + b,
+      y: m + b,
+      w: trimW,
+      h: trimH,
+      bleed: b,
+      margin: m,
+      mmPerUnit: MM_PER_UNIT[this._unit] || 25.4,
+      folds,
+      slug: text,
+      slugFont,
+    });
+  }
 
-    // Draw hairlines in Difference blend mode (white inverts any background)
-    pdf.setGState(new pdf.GState({ "blend-mode": "Difference" }));
-    pdf.setDrawColor(255, 255, 255);
-    pdf.setLineWidth(hair);
-    lines.forEach(([ax, ay, bx, by]) => pdf.line(ax, ay, bx, by));
-    pdf.setGState(new pdf.GState({ "blend-mode": "Normal" }));
+  // Declare the trim on the current page of `pdf` so printers and imposition
+  // software don't have to guess it: TrimBox is the w×h rectangle at (x, y)
+  // in book units, BleedBox extends it by the bleed on every side.
+  _setPageBoxes(pdf, x, y, w, h) {
+    const k = pdf.internal.scaleFactor; // points per unit
+    const pageH = pdf.internal.pageSize.getHeight();
+    // PDF boxes are in points with the origin at the bottom-left
+    const box = (bx, by, bw, bh) => ({
+      bottomLeftX: bx * k,
+      bottomLeftY: (pageH - by - bh) * k,
+      topRightX: (bx + bw) * k,
+      topRightY: (pageH - by) * k,
+    });
+    const b = this._bleed;
+    const page = pdf.internal.getCurrentPageInfo().pageContext;
+    page.trimBox = box(x, y, w, h);
+    page.bleedBox = box(x - b, y - b, w + 2 * b, h + 2 * b);
   }
 
   // Composite two raw page canvases side-by-side; removes the inner bleed gutter.
-  _makeSpreadCanvas(leftCvs, rightCvs) {
+  // shiftPx moves both pages toward the gutter (creep), cropping at the fold.
+  _makeSpreadCanvas(leftCvs, rightCvs, shiftPx = 0) {
     const b = this._bleed;
     const mainW = this._p.canvas.width;
     const mainH = this._p.canvas.height;
@@ -600,90 +1872,141 @@ export class Book {
         leftCvs,
         0,
         0,
-        trimPlusBleed,
+        trimPlusBleed - shiftPx,
         spread.height,
+        shiftPx,
         0,
-        0,
-        trimPlusBleed,
+        trimPlusBleed - shiftPx,
         spread.height,
       );
       // Right page: skip its left bleed strip, draw [trim | bleedPx]
       ctx.drawImage(
         rightCvs,
-        bleedPx,
+        bleedPx + shiftPx,
         0,
-        trimPlusBleed,
+        trimPlusBleed - shiftPx,
         spread.height,
         trimPlusBleed,
         0,
-        trimPlusBleed,
+        trimPlusBleed - shiftPx,
         spread.height,
       );
     } else {
       spread.width = mainW * 2;
       spread.height = mainH;
       const ctx = spread.getContext("2d");
-      ctx.drawImage(leftCvs, 0, 0, mainW, mainH, 0, 0, mainW, mainH);
-      ctx.drawImage(rightCvs, 0, 0, mainW, mainH, mainW, 0, mainW, mainH);
+      const w = mainW - shiftPx;
+      ctx.drawImage(leftCvs, 0, 0, w, mainH, shiftPx, 0, w, mainH);
+      ctx.drawImage(rightCvs, shiftPx, 0, w, mainH, mainW, 0, w, mainH);
     }
     return spread;
   }
 
-  // Build a PDF from [leftIdx, rightIdx] pairs. null rightIdx = solo page.
+  // Build a PDF from [leftIdx, rightIdx] pairs. null rightIdx = solo page,
+  // a null pair = blank page the size of the one before it.
   // Solo pages: trimW + 2b wide. Spread pages: 2*trimW + 2b wide (no inner bleed).
-  _buildSpreadsFromPairs(pairs) {
+  // shifts[i] moves pair i's pages toward the gutter, see _creepShifts().
+  _buildSpreadsFromPairs(pairs, shifts = []) {
     const { jsPDF } = window.jspdf;
     const b = this._bleed;
-    const soloW = this.bleedWidth; // trimW + 2b
-    const soloH = this.bleedHeight; // trimH + 2b
-    const spreadW = 2 * this._trimW + 2 * b; // no inner bleed at gutter
+    const m = this._markMargin();
+    const soloW = this.bleedWidth + 2 * m; // trimW + 2b (+ mark margin)
+    const soloH = this.bleedHeight + 2 * m; // trimH + 2b (+ mark margin)
+    const spreadW = 2 * this._trimW + 2 * b + 2 * m; // no inner bleed at gutter
     const orientationFor = (w, h) => (w > h ? "l" : "p");
 
-    const firstIsSolo = pairs[0][1] === null;
+    const firstIsSolo = !pairs[0] || pairs[0][1] === null;
     const firstW = firstIsSolo ? soloW : spreadW;
     const pdf = new jsPDF({
       unit: this._unit,
       format: [firstW, soloH],
       orientation: orientationFor(firstW, soloH),
     });
+    this._applyMetadata(pdf);
+    // Bookmarks and page links point at the spread/sheet holding each page
+    const sheetOf = new Map();
+    pairs.forEach((pair, i) => {
+      if (pair) for (const pi of pair) if (pi !== null) sheetOf.set(pi, i + 1);
+    });
+    const pageOf = (i) => sheetOf.get(i) ?? null;
 
-    pairs.forEach(([li, ri], i) => {
+    pairs.forEach((pair, i) => {
+      const [li, ri] = pair || pairs[i - 1] || [null, null];
       const isSolo = ri === null;
       const pageW = isSolo ? soloW : spreadW;
       if (i > 0)
         pdf.addPage([pageW, soloH], orientationFor(pageW, soloH));
+      if (!pair) return;
 
-      const _fmt = this._imageType === "png" ? "image/png" : "image/jpeg";
-      const _pdfFmt = this._imageType === "png" ? "PNG" : "JPEG";
       if (isSolo) {
-        pdf.addImage(
-          this._rawCanvases[li].toDataURL(_fmt, this._jpegQuality),
-          _pdfFmt,
-          0,
-          0,
-          soloW,
-          soloH,
-        );
+        if (this._pdfCanvases[li])
+          pdf.addImage(
+            ...this._pdfImage(this._pdfCanvases[li]),
+            m,
+            m,
+            this.bleedWidth,
+            this.bleedHeight,
+          );
+        this._drawPageLayers(pdf, li, m, m);
+        this._drawLinks(pdf, li, m, m, pageOf);
+        this._setPageBoxes(pdf, m + b, m + b, this._trimW, this._trimH);
         if (this._printMarks)
-          this._drawPrintMarksOn(pdf, this._trimW, this._trimH, b);
+          this._drawPrintMarksOn(
+            pdf,
+            this._trimW,
+            this._trimH,
+            b,
+            `page ${this._folioOf(li)}`,
+          );
       } else {
-        const spreadCvs = this._makeSpreadCanvas(
-          this._rawCanvases[li],
-          this._rawCanvases[ri],
-        );
-        pdf.addImage(
-          spreadCvs.toDataURL(_fmt, this._jpegQuality),
-          _pdfFmt,
-          0,
-          0,
-          spreadW,
-          soloH,
+        const s = shifts[i] || 0;
+        if (this._pdfCanvases[li] || this._pdfCanvases[ri]) {
+          const leftCvs =
+            this._pdfCanvases[li] || this._blankLike(this._rawCanvases[li]);
+          const spreadCvs = this._makeSpreadCanvas(
+            leftCvs,
+            this._pdfCanvases[ri] || this._blankLike(this._rawCanvases[ri]),
+            Math.round((s * leftCvs.width) / this.bleedWidth),
+          );
+          pdf.addImage(
+            ...this._pdfImage(spreadCvs),
+            m,
+            m,
+            spreadW - 2 * m,
+            this.bleedHeight,
+          );
+        }
+        // Right page starts where its (removed) inner bleed would have been
+        const gutter = m + b + this._trimW;
+        const clipped = (x, w, draw) => {
+          if (s === 0) return draw();
+          pdf.saveGraphicsState();
+          pdf.rect(x, 0, w, soloH, null);
+          pdf.clip();
+          pdf.discardPath();
+          draw();
+          pdf.restoreGraphicsState();
+        };
+        clipped(0, gutter, () => this._drawPageLayers(pdf, li, m + s, m));
+        clipped(gutter, spreadW - gutter, () =>
+          this._drawPageLayers(pdf, ri, m + this._trimW - s, m),
         );
+        this._drawLinks(pdf, li, m + s, m, pageOf);
+        this._drawLinks(pdf, ri, m + this._trimW - s, m, pageOf);
+        this._setPageBoxes(pdf, m + b, m + b, 2 * this._trimW, this._trimH);
         if (this._printMarks)
-          this._drawPrintMarksOn(pdf, 2 * this._trimW, this._trimH, b);
+          this._drawPrintMarksOn(
+            pdf,
+            2 * this._trimW,
+            this._trimH,
+            b,
+            `pages ${this._folioOf(li)}, ${this._folioOf(ri)}`,
+          );
       }
     });
 
+    this._applyOutline(pdf, pageOf);
+
     return pdf;
   }
 
@@ -710,12 +2033,420 @@ export class Book {
           n,
       );
 
+    return this._buildSpreadsFromPairs(
+      this._signaturePairs(0, n),
+      this._creepShifts(n),
+    );
+  }
+
+  // Printer spread pairs for one folded signature of `count` pages starting at
+  // page `first`: outside of the outer sheet first, then inwards.
+  // For 8 pages: [8,1], [2,7], [6,3], [4,5]
+  _signaturePairs(first, count) {
     const pairs = [];
-    for (let k = 0; k < n / 2; k++) {
-      const pair = k % 2 === 0 ? [n - 1 - k, k] : [k, n - 1 - k];
+    for (let k = 0; k < count / 2; k++) {
+      const outer = first + count - 1 - k;
+      const inner = first + k;
+      const pair = k % 2 === 0 ? [outer, inner] : [inner, outer];
       pairs.push(this._rtl ? [pair[1], pair[0]] : pair);
     }
-    return this._buildSpreadsFromPairs(pairs);
+    return pairs;
+  }
+
+  // Creep per pair of _signaturePairs() for a signature of `count` pages, in
+  // PDF units: each sheet sits one paper thickness further out than the one
+  // wrapped around it, or setCreep()'s amount is spread up to the center sheet.
+  _creepShifts(count) {
+    if (!this._creep) return [];
+    const sheets = count / 4;
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const stepMM =
+      this._creep === true
+        ? this._pageThickMM
+        : sheets > 1
+          ? this._creep / (sheets - 1)
+          : 0;
+    return Array.from(
+      { length: count / 2 },
+      (_, k) => (Math.floor(k / 2) * stepMM) / mmPerUnit,
+    );
+  }
+
+  // Split the book into folded signatures: [first, count] per signature.
+  // "perfect" stacks signatures of signatureSize pages (the last one may be
+  // shorter); "saddle" nests every sheet into a single signature.
+  _signatures({ signatureSize = 16, sheetsPerSignature, binding = "perfect" }) {
+    const n = this._rawCanvases.length;
+    if (n % 4 !== 0)
+      throw new Error(
+        `page count must be divisible by 4, but you have ${n} pages. Try ${Math.ceil(n / 4) * 4} pages.`,
+      );
+    if (binding === "saddle") return [[0, n]];
+    if (binding !== "perfect")
+      throw new Error(
+        `unknown binding "${binding}". Use "perfect" or "saddle".`,
+      );
+    const size = sheetsPerSignature ? sheetsPerSignature * 4 : signatureSize;
+    if (!(size > 0) || size % 4 !== 0)
+      throw new Error(
+        `signatureSize must be a multiple of 4 (one folded sheet = 4 pages), got ${size}.`,
+      );
+    const sigs = [];
+    for (let first = 0; first < n; first += size)
+      sigs.push([first, Math.min(size, n - first)]);
+    return sigs;
+  }
+
+  // Multi-signature imposition: every signature's printer spreads in turn.
+  _buildImposedPDF(options = {}) {
+    const sigs = this._signatures(options);
+    return this._buildSpreadsFromPairs(
+      sigs.flatMap(([first, count]) => this._signaturePairs(first, count)),
+      sigs.flatMap(([, count]) => this._creepShifts(count)),
+    );
+  }
+
+  // Sheet size in PDF units: a SHEET_SIZES name, or [w, h] in PDF units.
+  _sheetSize(sheet) {
+    if (Array.isArray(sheet)) return sheet;
+    const mm = SHEET_SIZES[String(sheet).toLowerCase()];
+    if (!mm)
+      throw new Error(
+        `unknown sheet "${sheet}". Use ${Object.keys(SHEET_SIZES).join(", ")}, or [width, height].`,
+      );
+    const u = MM_PER_UNIT[this._unit] || 25.4;
+    return mm.map((v) => v / u);
+  }
+
+  // One-sheet zine: 8 pages on a landscape sheet, top row upside down
+  // (mirrored for RTL). Fold in half lengthwise, cut the middle of the fold,
+  // then fold into a booklet.
+  //   [5][4][3][2]   rotated 180°
+  //   [6][7][8][1]
+  _buildZinePDF({ sheet } = {}) {
+    const n = this._rawCanvases.length;
+    if (n !== 8)
+      throw new Error(`a one-sheet zine has 8 pages, but you have ${n} pages.`);
+    const { jsPDF } = window.jspdf;
+    const [sw, sh] = this._sheetSize(
+      sheet ?? (this._unit === "in" ? "letter" : "a4"),
+    );
+    const sheetW = Math.max(sw, sh);
+    const sheetH = Math.min(sw, sh);
+    const cellW = sheetW / 4;
+    const cellH = sheetH / 2;
+    const pdf = new jsPDF({
+      unit: this._unit,
+      format: [sheetW, sheetH],
+      orientation: "l",
+    });
+    this._applyMetadata(pdf);
+
+    // Pages are scaled to fit their cell and clipped at the trim
+    const k = pdf.internal.scaleFactor;
+    const b = this._bleed;
+    const s = Math.min(cellW / this._trimW, cellH / this._trimH);
+    const w = s * this._trimW;
+    const h = s * this._trimH;
+    const rows = [
+      [4, 3, 2, 1],
+      [5, 6, 7, 0],
+    ];
+    rows.forEach((row, r) =>
+      row.forEach((i, c) => {
+        const col = this._rtl ? 3 - c : c;
+        const x = col * cellW + (cellW - w) / 2;
+        const y = r * cellH + (cellH - h) / 2;
+        // Map page units onto the cell; jsPDF output is in points, y up
+        pdf.saveGraphicsState();
+        pdf.setCurrentTransformationMatrix(
+          r === 0
+            ? new pdf.Matrix(
+                -s,
+                0,
+                0,
+                -s,
+                k * (x + w),
+                k * (sheetH - y - h + s * sheetH),
+              )
+            : new pdf.Matrix(s, 0, 0, s, k * x, k * (sheetH - y - s * sheetH)),
+        );
+        pdf.rect(0, 0, this._trimW, this._trimH, null);
+        pdf.clip();
+        pdf.discardPath();
+        if (this._pdfCanvases[i])
+          pdf.addImage(
+            ...this._pdfImage(this._pdfCanvases[i]),
+            -b,
+            -b,
+            this.bleedWidth,
+            this.bleedHeight,
+          );
+        this._drawPageLayers(pdf, i, -b, -b);
+        pdf.restoreGraphicsState();
+      }),
+    );
+
+    drawFoldGuides(pdf, {
+      folds: [
+        [0, cellH, sheetW, cellH],
+        ...[1, 2, 3].map((c) => [c * cellW, 0, c * cellW, sheetH]),
+      ],
+      cuts: [[cellW, cellH, 3 * cellW, cellH]],
+      mmPerUnit: MM_PER_UNIT[this._unit] || 25.4,
+    });
+    return pdf;
+  }
+
+  // N-up press sheets: pages at bleed size in a grid on `sheet`, turned
+  // whichever way fits more. Pages run in order, N per sheet, or with `repeat`
+  // each sheet is filled with one page. With `duplex` pages pair up as front
+  // and back; every front is followed by its back, its columns mirrored so
+  // each back lands behind its front when the sheet is turned over side to
+  // side (about its vertical axis, whichever way the sheet was turned).
+  _buildNUpPDF({
+    sheet = "a3",
+    gutter = 0,
+    margin,
+    repeat = false,
+    duplex = false,
+  } = {}) {
+    const n = this._rawCanvases.length;
+    if (duplex && n % 2 !== 0)
+      throw new Error(
+        `duplex pairs fronts and backs, but you have ${n} pages. Try ${n + 1} pages.`,
+      );
+    const { jsPDF } = window.jspdf;
+    const u = MM_PER_UNIT[this._unit] || 25.4;
+    const b = this._bleed;
+    margin ??= 10 / u; // room for the press grippers and the outer marks
+    const cellW = this.bleedWidth;
+    const cellH = this.bleedHeight;
+    const [sw, sh] = this._sheetSize(sheet);
+    const fit = (len, cell) =>
+      Math.floor((len - 2 * margin + gutter) / (cell + gutter));
+    const [long, short] = [Math.max(sw, sh), Math.min(sw, sh)];
+    const [sheetW, sheetH] =
+      fit(long, cellW) * fit(short, cellH) >
+      fit(short, cellW) * fit(long, cellH)
+        ? [long, short]
+        : [short, long];
+    const cols = fit(sheetW, cellW);
+    const rows = fit(sheetH, cellH);
+    if (cols < 1 || rows < 1)
+      throw new Error(
+        `a ${+cellW.toFixed(3)} × ${+cellH.toFixed(3)} ${this._unit} page doesn't fit on the sheet.`,
+      );
+    const perSheet = cols * rows;
+    const gridX = (sheetW - cols * cellW - (cols - 1) * gutter) / 2;
+    const gridY = (sheetH - rows * cellH - (rows - 1) * gutter) / 2;
+
+    // Book page in each cell of each sheet side
+    const fronts = [];
+    for (let i = 0; i < n; i += duplex ? 2 : 1) fronts.push(i);
+    const groups = repeat
+      ? fronts.map((i) => new Array(perSheet).fill(i))
+      : Array.from({ length: Math.ceil(fronts.length / perSheet) }, (_, k) =>
+          fronts.slice(k * perSheet, (k + 1) * perSheet),
+        );
+    const sides = groups.flatMap((cells) =>
+      duplex
+        ? [
+            { cells, back: false },
+            { cells: cells.map((i) => i + 1), back: true },
+          ]
+        : [{ cells, back: false }],
+    );
+
+    // Crop marks per cell in the gutter when there is room for them, else
+    // only around the outside of the grid so they stay off the other pages
+    const marks = resolvePrintMarks(true);
+    const perCell = gutter / 2 >= 3 / u;
+    const orientation = sheetW > sheetH ? "l" : "p";
+    const pdf = new jsPDF({
+      unit: this._unit,
+      format: [sheetW, sheetH],
+      orientation,
+    });
+    this._applyMetadata(pdf);
+    sides.forEach(({ cells, back }, k) => {
+      if (k > 0) pdf.addPage([sheetW, sheetH], orientation);
+      const images = new Map(); // one conversion per page and side
+      cells.forEach((i, j) => {
+        const r = Math.floor(j / cols);
+        const c = back ? cols - 1 - (j % cols) : j % cols;
+        const x = gridX + c * (cellW + gutter);
+        const y = gridY + r * (cellH + gutter);
+        if (this._pdfCanvases[i]) {
+          if (!images.has(i))
+            images.set(i, this._pdfImage(this._pdfCanvases[i]));
+          pdf.addImage(...images.get(i), x, y, cellW, cellH);
+        }
+        this._drawPageLayers(pdf, i, x, y);
+        if (perCell)
+          drawPrintMarks(pdf, {
+            marks,
+            x: x + b,
+            y: y + b,
+            w: this._trimW,
+            h: this._trimH,
+            bleed: b,
+            margin: gutter / 2,
+            mmPerUnit: u,
+          });
+      });
+      if (!perCell) {
+        const used = Math.min(cells.length, perSheet);
+        const usedRows = Math.ceil(used / cols);
+        const usedCols = usedRows > 1 ? cols : used;
+        // Mirrored backs fill their columns from the right
+        const c0 = back ? cols - usedCols : 0;
+        const xs = [],
+          ys = [];
+        for (let c = c0; c < c0 + usedCols; c++) {
+          const x = gridX + c * (cellW + gutter) + b;
+          xs.push(x, x + this._trimW);
+        }
+        for (let r = 0; r < usedRows; r++) {
+          const y = gridY + r * (cellH + gutter) + b;
+          ys.push(y, y + this._trimH);
+        }
+        drawGangMarks(pdf, {
+          xs,
+          ys,
+          block: [
+            gridX + c0 * (cellW + gutter),
+            gridY,
+            gridX + (c0 + usedCols) * (cellW + gutter) - gutter,
+            gridY + usedRows * (cellH + gutter) - gutter,
+          ],
+          margin: Math.min(gridX, gridY),
+          mmPerUnit: u,
+        });
+      }
+    });
+    return pdf;
+  }
+
+  // Manual duplex: the sides of every sheet, fronts first, then backs. Plain
+  // order prints one page per side; saddle order prints the saddle-stitch
+  // spreads, outside of each sheet first. Backs are turned 180° when the
+  // stack is flipped across the top edge of the artwork, and come last-first
+  // with reverseBacks for printers that stack face up. Returns one PDF per
+  // side, or one PDF with a page of instructions between fronts and backs.
+  _buildDuplexPDFs({
+    order = "pages",
+    flip = "long",
+    layout = "files",
+    reverseBacks = false,
+  } = {}) {
+    const n = this._rawCanvases.length;
+    let pairs, shifts;
+    if (order === "saddle") {
+      if (n % 4 !== 0)
+        throw new Error(
+          `saddle order needs a page count divisible by 4, but you have ${n} pages. Try ${Math.ceil(n / 4) * 4} pages.`,
+        );
+      pairs = this._signaturePairs(0, n);
+      shifts = this._creepShifts(n);
+    } else if (order === "pages") {
+      if (n % 2 !== 0)
+        throw new Error(
+          `every sheet needs a front and a back, but you have ${n} pages. Try ${n + 1} pages.`,
+        );
+      pairs = this._rawCanvases.map((_, i) => [i, null]);
+      shifts = [];
+    } else {
+      throw new Error(`unknown order "${order}". Use "pages" or "saddle".`);
+    }
+    if (flip !== "long" && flip !== "short")
+      throw new Error(`unknown flip "${flip}". Use "long" or "short".`);
+
+    const sides = (back) => {
+      const idx = pairs.map((_, k) => k).filter((k) => k % 2 === +back);
+      if (back && reverseBacks) idx.reverse();
+      return [idx.map((k) => pairs[k]), idx.map((k) => shifts[k] || 0)];
+    };
+    const [frontPairs, frontShifts] = sides(false);
+    const [backPairs, backShifts] = sides(true);
+    const turnBacks = (pdf, from) => {
+      for (let p = from; p <= pdf.getNumberOfPages(); p++) {
+        const box = pdf.getPageInfo(p).pageContext.mediaBox;
+        const portrait = box.topRightY >= box.topRightX;
+        if ((flip === "short") === portrait) this._turnPage(pdf, p);
+      }
+    };
+
+    if (layout === "interleaved") {
+      const pdf = this._buildSpreadsFromPairs(
+        [...frontPairs, null, ...backPairs],
+        [...frontShifts, 0, ...backShifts],
+      );
+      const f = frontPairs.length;
+      turnBacks(pdf, f + 2);
+      pdf.setPage(f + 1);
+      this._drawDuplexNote(pdf, f, flip);
+      return [pdf];
+    }
+    if (layout !== "files")
+      throw new Error(
+        `unknown layout "${layout}". Use "files" or "interleaved".`,
+      );
+    const fronts = this._buildSpreadsFromPairs(frontPairs, frontShifts);
+    const backs = this._buildSpreadsFromPairs(backPairs, backShifts);
+    turnBacks(backs, 1);
+    return [fronts, backs];
+  }
+
+  // Turn a finished page of `pdf` by 180° by wrapping its content stream,
+  // and turn its trim/bleed boxes and link areas with it.
+  _turnPage(pdf, pageNumber) {
+    const page = pdf.getPageInfo(pageNumber).pageContext;
+    const { topRightX: w, topRightY: h } = page.mediaBox;
+    const content = pdf.internal.pages[pageNumber];
+    content.unshift("q", `-1 0 0 -1 ${w} ${h} cm`);
+    content.push("Q");
+    for (const key of ["trimBox", "bleedBox"]) {
+      const box = page[key];
+      if (!box) continue;
+      page[key] = {
+        bottomLeftX: w - box.topRightX,
+        bottomLeftY: h - box.topRightY,
+        topRightX: w - box.bottomLeftX,
+        topRightY: h - box.bottomLeftY,
+      };
+    }
+    // Link rects are in points, as two opposite corners
+    const turn = (v, size) => (size - parseFloat(v)).toFixed(2);
+    for (const anno of page.annotations || []) {
+      const r = anno.finalBounds;
+      if (!r) continue;
+      anno.finalBounds = {
+        x: turn(r.x, w),
+        y: turn(r.y, h),
+        w: turn(r.w, w),
+        h: turn(r.h, h),
+      };
+    }
+  }
+
+  // The page between fronts and backs of an interleaved duplex PDF.
+  _drawDuplexNote(pdf, fronts, flip) {
+    const u = MM_PER_UNIT[this._unit] || 25.4;
+    const lines = [
+      "Manual duplex - skip this page when printing",
+      "",
+      `1. Print pages 1-${fronts} (the fronts).`,
+      `2. Put the printed stack back in the paper tray, flipped over its ${flip} edge.`,
+      `3. Print pages ${fronts + 2}-${pdf.getNumberOfPages()} (the backs).`,
+    ];
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(12);
+    pdf.setTextColor(0, 0, 0);
+    pdf.text(lines, 15 / u, 20 / u, {
+      baseline: "top",
+      maxWidth: pdf.internal.pageSize.getWidth() - 30 / u,
+    });
   }
 
   // Crop bleed strips off a canvas, returning a trim-area-only canvas.
@@ -739,8 +2470,25 @@ export class Book {
   // With setSpread(true): cover solo, inner page pairs composited, back cover solo.
   // Without: every raw page individually.
   // showBleed: if true use full bleed canvas; if false crop to trim area.
-  _buildViewItems(showBleed = true) {
-    const n = this._rawCanvases.length;
+  // showGamut: mark out-of-gamut pixels (CMYK mode).
+  // showGuides: draw the margins and the safe zone.
+  // showGrid: draw the grid() cells and baselines.
+  _buildViewItems(
+    showBleed = true,
+    showGamut = false,
+    showGuides = false,
+    showGrid = false,
+  ) {
+    const n = this._previewCanvases.length;
+    let pages = showGamut
+      ? this._previewCanvases.map((_, i) => this._gamutCanvas(i))
+      : this._previewCanvases;
+    if (showGuides || showGrid)
+      pages = pages.map((cvs, i) =>
+        this._guideCanvas(i, cvs, { guides: showGuides, grid: showGrid }),
+      );
+    // Cached page images only exist for the unmarked pages
+    const cached = showBleed && !showGamut && !showGuides && !showGrid;
     const mainW = this._p.canvas.width;
     const mainH = this._p.canvas.height;
     const isValidSpread = this._spread && n >= 2 && (n - 2) % 2 === 0;
@@ -749,40 +2497,125 @@ export class Book {
     const mayTrim = (cvs, tw, th) =>
       showBleed ? cvs : this._makeTrimCanvas(cvs, tw, th);
 
+    // setPadding() pages are flagged for the viewer
+    const added = (...idx) => idx.some((i) => this._paddedPages.includes(i));
+
     if (!isValidSpread) {
-      return this._rawCanvases.map((rc, i) => ({
-        src: showBleed ? this._pageImages[i] : toSrc(mayTrim(rc)),
-        label: String(i + 1),
+      return pages.map((rc, i) => ({
+        src: cached ? this._pageImages[i] : toSrc(mayTrim(rc)),
+        label: this._folioOf(i),
+        added: added(i),
       }));
     }
 
     const items = [];
     items.push({
-      src: showBleed
-        ? this._pageImages[0]
-        : toSrc(mayTrim(this._rawCanvases[0])),
+      src: cached ? this._pageImages[0] : toSrc(mayTrim(pages[0])),
       label: "cover",
     });
     for (let i = 1; i < n - 1; i += 2) {
       const [li, ri] = this._rtl ? [i + 1, i] : [i, i + 1];
-      const cvs = this._makeSpreadCanvas(
-        this._rawCanvases[li],
-        this._rawCanvases[ri],
-      );
+      const cvs = this._makeSpreadCanvas(pages[li], pages[ri]);
       items.push({
         src: toSrc(mayTrim(cvs, 2 * mainW, mainH)),
-        label: `pp.\u00a0${i + 1}–${i + 2}`,
+        label: `pp.\u00a0${this._folioOf(i)}–${this._folioOf(i + 1)}`,
+        added: added(i, i + 1),
       });
     }
     items.push({
-      src: showBleed
-        ? this._pageImages[n - 1]
-        : toSrc(mayTrim(this._rawCanvases[n - 1])),
+      src: cached ? this._pageImages[n - 1] : toSrc(mayTrim(pages[n - 1])),
       label: "back cover",
+      added: added(n - 1),
     });
     return items;
   }
 
+  // Copy of page i's preview with guides: the safe zone dashed in cyan, the
+  // setMargins() area in magenta; with grid, the grid() cells tinted and
+  // the baselines ruled.
+  _guideCanvas(i, cvs, { guides = true, grid = false } = {}) {
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const c = document.createElement("canvas");
+    c.width = cvs.width;
+    c.height = cvs.height;
+    const ctx = c.getContext("2d");
+    ctx.drawImage(cvs, 0, 0);
+    const sx = c.width / (this.bleedWidth * mmPerUnit);
+    const sy = c.height / (this.bleedHeight * mmPerUnit);
+    // Insets from the bleed edge in mm
+    const rect = (l, t, r, b) =>
+      ctx.strokeRect(
+        l * sx,
+        t * sy,
+        c.width - (l + r) * sx,
+        c.height - (t + b) * sy,
+      );
+    const b = this._bleed * mmPerUnit;
+    const lw = Math.max(1, Math.round(c.width / 600));
+    if (grid && this._grid) {
+      // Canvas pixels → preview pixels
+      const kx = (this._trimW * mmPerUnit * sx) / this._p.width;
+      const ky = (this._trimH * mmPerUnit * sy) / this._p.height;
+      const ox = b * sx,
+        oy = b * sy;
+      const layout = this._gridLayout(i);
+      ctx.fillStyle = "rgba(255, 0, 160, 0.12)";
+      for (const cell of layout.cells)
+        ctx.fillRect(
+          ox + cell.x * kx,
+          oy + cell.y * ky,
+          cell.w * kx,
+          cell.h * ky,
+        );
+      if (layout.baseline) {
+        ctx.strokeStyle = "rgba(0, 160, 255, 0.5)";
+        ctx.lineWidth = lw;
+        ctx.beginPath();
+        for (
+          let y = layout.y + layout.baseline;
+          y <= layout.y + layout.h;
+          y += layout.baseline
+        ) {
+          ctx.moveTo(ox + layout.x * kx, oy + y * ky);
+          ctx.lineTo(ox + (layout.x + layout.w) * kx, oy + y * ky);
+        }
+        ctx.stroke();
+      }
+    }
+    if (!guides) return c;
+    ctx.lineWidth = lw;
+    const safe = b + this._safeMM();
+    ctx.strokeStyle = "rgba(0, 160, 255, 0.9)";
+    ctx.setLineDash([4 * lw, 3 * lw]);
+    rect(safe, safe, safe, safe);
+    if (this._margins) {
+      const m = this._pageMarginsMM(i);
+      ctx.strokeStyle = "rgba(255, 0, 160, 0.9)";
+      ctx.setLineDash([]);
+      rect(b + m.left, b + m.top, b + m.right, b + m.bottom);
+    }
+    return c;
+  }
+
+  // Preview of one page with its out-of-gamut pixels marked, built on demand.
+  _gamutCanvas(i) {
+    if (!this._gamutCanvases[i])
+      this._gamutCanvases[i] = markOutOfGamut(
+        this._previewCanvases[i],
+        this._colorProfile,
+      );
+    return this._gamutCanvases[i];
+  }
+
+  // 1-based numbers of the pages with visible out-of-gamut areas.
+  _outOfGamutPages() {
+    const pages = [];
+    this._gamut.forEach((share, i) => {
+      if (share > 0.001) pages.push(i + 1);
+    });
+    return pages;
+  }
+
   // ── viewer ─────────────────────────────────────────────────
   _showViewer() {
     showViewer(this);
@@ -791,8 +2624,97 @@ export class Book {
   /** Show the viewer and stop the loop. Use when page count is unknown upfront. */
   finish(filename) {
     if (filename) this._filename = filename;
+    this._finished = true;
     this._p.noLoop();
-    this._showViewer();
+    this._complete();
+  }
+
+  // Every page is drawn: add the setPadding() pages, then show the viewer.
+  // With totalPages the last padding page comes back here from addPage().
+  _complete() {
+    if (this._padding && this._paddedPages.length === 0) {
+      const known = this.totalPages != null;
+      if (this._addPadding() > 0) {
+        if (!known) this._pageQueue.then(() => this._complete());
+        return;
+      }
+    }
+    this._movePaddingBeforeBack();
+    // finish() comes straight after the last addPage(), whose page is still
+    // in the queue: check and show the book once every page is in
+    this._pageQueue.then(() => {
+      if (this._profile) this._profileIssues = this._checkProfile();
+      if (this._preflightOpts) this._preflight = this._runPreflight();
+      // Every page is in: stop instrumenting the sketch's canvas (the image
+      // watch first, it sits on top of the recorder's hooks)
+      this._unwatchImages?.();
+      this._unwatchImages = null;
+      this._recorder?.detach();
+      this._showViewer();
+    });
+  }
+
+  // Capture the padding pages: blank, or drawn by setPadding()'s fill.
+  _addPadding() {
+    const { multiple, fill } = this._padding;
+    const n = this._page;
+    const count = (multiple - (n % multiple)) % multiple;
+    if (count === 0) return 0;
+    if (this.totalPages != null) this.totalPages += count;
+    const p = this._p;
+    for (let i = 0; i < count; i++) {
+      // Drop anything drawn since the last page
+      this._recorder?.take();
+      this._textRuns = [];
+      this._links = [];
+      this._imageScale = 1;
+      if (this._bleed > 0) this.bleed.clear();
+      for (const ink of this._inks.values()) ink.gfx.clear();
+      p.push();
+      p.resetMatrix();
+      p.background(255);
+      if (fill) fill(p, i);
+      p.pop();
+      this._paddedPages.push(this._page);
+      this.addPage();
+    }
+    return count;
+  }
+
+  // where: "beforeBack" — padding was added after the back cover; move the
+  // back cover behind it in every per-page list and rebuild the PDF. Runs
+  // once: _complete() can be reached again (totalPages and finish()), and by
+  // then the page before the padding is no longer the back cover.
+  _movePaddingBeforeBack() {
+    const added = this._paddedPages;
+    if (!added.length || this._padding.where !== "beforeBack") return;
+    if (this._paddingPlaced) return;
+    this._paddingPlaced = true;
+    const back = added[0] - 1;
+    if (back < 1) return; // a one-page book has no back cover
+    const n = this._rawCanvases.length;
+    const order = [...Array(n).keys()];
+    order.splice(back, 1);
+    order.push(back);
+    const reorder = (list) => order.map((i) => list[i]);
+    for (const key of [
+      "_rawCanvases",
+      "_previewCanvases",
+      "_pageImages",
+      "_pdfCanvases",
+      "_pageVectors",
+      "_pageTextRuns",
+      "_pageLinks",
+      "_pageImageScale",
+      "_pagePlates",
+      "_gamut",
+    ])
+      if (this[key].length) this[key] = reorder(this[key]);
+    this._gamutCanvases = [];
+    for (const section of this._sections)
+      section.page = order.indexOf(section.page);
+    this._paddedPages = added.map((i) => i - 1);
+    this._pdf = this._buildSpreadsFromPairs(order.map((_, i) => [i, null]));
   }
 
   /** Download the PDF. When setSpread(true), exports the spread-format PDF. */
@@ -817,33 +2739,71 @@ export class Book {
     const n = this._rawCanvases.length;
     if (n === 0) throw new Error("[p5.book] no pages to export.");
 
-    // Spine thickness (same formula as render3D)
-    const spineMM = Math.max(
-      3,
-      Math.ceil((this.totalPages || 1) / 2) * this._pageThickMM + 2,
-    );
-    const spineU = spineMM / mmPerUnit;
+    const spineU = this._spineMM() / mmPerUnit;
 
-    const frontCvs = this._rawCanvases[0];
-    const backCvs = this._rawCanvases[n - 1];
-    const pageW = frontCvs.width;
-    const pageH = frontCvs.height;
+    const frontCvs = this._pdfCanvases[0];
+    const backCvs = this._pdfCanvases[n - 1];
+    const pageW = this._rawCanvases[0].width;
+    const pageH = this._rawCanvases[0].height;
     // Spine pixel width proportional to book units
     const spineWpx = Math.max(
       4,
       Math.round((spineU / this.bleedWidth) * pageW),
     );
 
-    // Composite canvas: [back cover | spine | front cover]
+    // Composite canvas: [back flap | back cover | spine | front cover | front flap]
+    // With flaps, each cover's outer bleed gives way to its flap, which
+    // carries the bleed instead.
+    const b = this._bleed;
+    const flapW = this._flapW;
+    const pxPerUnit = pageW / this.bleedWidth;
+    const flapPx = flapW > 0 ? Math.round((flapW + b) * pxPerUnit) : 0;
+    const outerPx = flapW > 0 ? Math.round(b * pxPerUnit) : 0;
+    const coverPx = pageW - outerPx;
     const compound = document.createElement("canvas");
-    compound.width = pageW * 2 + spineWpx;
+    compound.width = 2 * flapPx + 2 * coverPx + spineWpx;
     compound.height = pageH;
     const ctx = compound.getContext("2d");
+    const flapCvs = this._flapGfx
+      ? [this._flapGfx.back.canvas, this._flapGfx.front.canvas]
+      : [];
+    // Flaps are drawn at trim size; the bleed around them (top, bottom and
+    // the outer edge) repeats their edge pixels
+    const bleedY = Math.round((b * pageH) / this.bleedHeight);
+    const drawFlap = (cvs, x, outerLeft) => {
+      const tx = outerLeft ? x + outerPx : x;
+      const tw = flapPx - outerPx;
+      const th = pageH - 2 * bleedY;
+      ctx.drawImage(cvs, 0, 0, cvs.width, cvs.height, tx, bleedY, tw, th);
+      if (bleedY > 0) {
+        ctx.drawImage(cvs, 0, 0, cvs.width, 1, tx, 0, tw, bleedY);
+        const y = cvs.height - 1;
+        ctx.drawImage(cvs, 0, y, cvs.width, 1, tx, bleedY + th, tw, bleedY);
+      }
+      if (outerPx > 0) {
+        const edgeX = outerLeft ? tx : tx + tw - 1;
+        const outX = outerLeft ? x : tx + tw;
+        ctx.drawImage(compound, edgeX, 0, 1, pageH, outX, 0, outerPx, pageH);
+      }
+    };
 
-    // Back cover on the left
-    ctx.drawImage(backCvs, 0, 0);
+    // Back flap and back cover on the left
+    if (flapPx && flapCvs[0]) drawFlap(flapCvs[0], 0, true);
+    if (backCvs)
+      ctx.drawImage(
+        backCvs,
+        outerPx,
+        0,
+        coverPx,
+        pageH,
+        flapPx,
+        0,
+        coverPx,
+        pageH,
+      );
 
     // Spine in the middle — use canvas.width/height (physical px) not .width/.height (logical)
+    const spineX = flapPx + coverPx;
     if (this._spineGfx) {
       ctx.drawImage(
         this._spineGfx.canvas,
@@ -851,81 +2811,218 @@ export class Book {
         0,
         this._spineGfx.canvas.width,
         this._spineGfx.canvas.height,
-        pageW,
+        spineX,
         0,
         spineWpx,
         pageH,
       );
     } else {
       ctx.fillStyle = "#1a1a1a";
-      ctx.fillRect(pageW, 0, spineWpx, pageH);
+      ctx.fillRect(spineX, 0, spineWpx, pageH);
     }
 
-    // Front cover on the right
-    ctx.drawImage(frontCvs, pageW + spineWpx, 0);
-
-    const b = this._bleed;
-    const totalW = 2 * this.bleedWidth + spineU;
-    const totalH = this.bleedHeight;
+    // Front cover and front flap on the right
+    const frontPx = spineX + spineWpx;
+    if (frontCvs)
+      ctx.drawImage(frontCvs, 0, 0, coverPx, pageH, frontPx, 0, coverPx, pageH);
+    if (flapPx && flapCvs[1]) drawFlap(flapCvs[1], frontPx + coverPx, false);
+
+    const m = this._markMargin();
+    const flapU = flapW > 0 ? flapW + b : 0;
+    const coverU = flapW > 0 ? this.bleedWidth - b : this.bleedWidth;
+    const wrapW = 2 * flapU + 2 * coverU + spineU;
+    const totalW = wrapW + 2 * m;
+    const totalH = this.bleedHeight + 2 * m;
     const pdf = new jsPDF({
       unit: this._unit,
       format: [totalW, totalH],
       orientation: "l",
     });
-    const _fmt = this._imageType === "png" ? "image/png" : "image/jpeg";
-    const _pdfFmt = this._imageType === "png" ? "PNG" : "JPEG";
-    pdf.addImage(
-      compound.toDataURL(_fmt, this._jpegQuality),
-      _pdfFmt,
-      0,
-      0,
-      totalW,
-      totalH,
-    );
+    this._applyMetadata(pdf);
+    pdf.addImage(...this._pdfImage(compound), m, m, wrapW, this.bleedHeight);
+    const coverOf = (i) => (i === 0 || i === n - 1 ? 1 : null);
+    // Where each cover's (bleed-size) page sits
+    const backX = m + flapU - (flapW > 0 ? b : 0);
+    const frontX = m + flapU + coverU + spineU;
+    this._drawPageLayers(pdf, n - 1, backX, m);
+    this._drawPageLayers(pdf, 0, frontX, m);
+    this._drawLinks(pdf, n - 1, backX, m, coverOf);
+    this._drawLinks(pdf, 0, frontX, m, coverOf);
+    this._setPageBoxes(pdf, m + b, m + b, wrapW - 2 * b, this._trimH);
+
+    // Print marks: crop corners + fold lines at the spine (and flaps)
+    const folds = [m + flapU + coverU, frontX];
+    if (flapW > 0) {
+      folds.unshift(m + flapU);
+      folds.push(frontX + coverU);
+    }
+    if (this._printMarks)
+      this._drawPrintMarksOn(
+        pdf,
+        wrapW - 2 * b,
+        this._trimH,
+        b,
+        "cover",
+        folds,
+      );
+    this._applyOutline(pdf, coverOf);
 
-    // Print marks: crop corners + fold lines
-    if (this._printMarks && b > 0) {
-      const gap = 1 / mmPerUnit; // 1 mm gap before trim line
-      const hair = 0.3 / mmPerUnit; // 0.3 mm hairline
-      const y0 = b,
-        y1 = b + this._trimH,
-        ph = totalH;
-      // Back-cover trim edges
-      const bx0 = b;
-      // Front-cover trim edges
-      const fx1 = totalW - b;
-      // Spine fold positions
-      const sf0 = this.bleedWidth;
-      const sf1 = this.bleedWidth + spineU;
-
-      const lines = [
-        // Back cover outer-left corners (TL + BL)
-        [0, y0, bx0 - gap, y0],
-        [bx0, 0, bx0, y0 - gap],
-        [0, y1, bx0 - gap, y1],
-        [bx0, ph, bx0, y1 + gap],
-        // Front cover outer-right corners (TR + BR)
-        [totalW, y0, fx1 + gap, y0],
-        [fx1, 0, fx1, y0 - gap],
-        [totalW, y1, fx1 + gap, y1],
-        [fx1, ph, fx1, y1 + gap],
-        // Spine fold marks — top & bottom only (fold, not crop)
-        [sf0, 0, sf0, y0 - gap],
-        [sf0, ph, sf0, y1 + gap],
-        [sf1, 0, sf1, y0 - gap],
-        [sf1, ph, sf1, y1 + gap],
-      ];
-      pdf.setGState(new pdf.GState({ "blend-mode": "Difference" }));
-      pdf.setDrawColor(255, 255, 255);
-      pdf.setLineWidth(hair);
-      lines.forEach(([ax, ay, bx, by]) => pdf.line(ax, ay, bx, by));
-      pdf.setGState(new pdf.GState({ "blend-mode": "Normal" }));
+    return pdf;
+  }
+
+  // Hardcover case wrap: the cover printed to wrap around the boards.
+  //   [turn-in | back board | hinge | spine | hinge | front board | turn-in]
+  // Boards overhang the trim at head, tail and fore-edge; the spine board is
+  // the book block plus both boards thick. Artwork is extended outwards from
+  // its edges to cover the board edges and turn-ins.
+  _buildCaseWrapPDF({ boardThickness, hinge, turnIn, overhang } = {}) {
+    const { jsPDF } = window.jspdf;
+    const mmPerUnit = MM_PER_UNIT[this._unit] || 25.4;
+    const n = this._rawCanvases.length;
+    if (n === 0) throw new Error("[p5.book] no pages to export.");
+    boardThickness ??= 2.5 / mmPerUnit;
+    hinge ??= 8 / mmPerUnit;
+    turnIn ??= 15 / mmPerUnit;
+    overhang ??= 3 / mmPerUnit;
+
+    // Book block plus the boards
+    const spineW = this._blockMM() / mmPerUnit + 2 * boardThickness;
+    const edge = boardThickness + turnIn; // wraps around each board edge
+    const boardW = this._trimW + overhang;
+    const boardH = this._trimH + 2 * overhang;
+    const wrapW = 2 * edge + 2 * boardW + 2 * hinge + spineW;
+    const wrapH = 2 * edge + boardH;
+    // x of the board and spine edges, left to right
+    const backBoard = edge;
+    const backHinge = backBoard + boardW;
+    const spineX = backHinge + hinge;
+    const frontHinge = spineX + spineW;
+    const frontBoard = frontHinge + hinge;
+
+    // Composite in page pixels; the canvas covers the wrap plus its bleed
+    const b = this._bleed;
+    const px = this._rawCanvases[0].width / this.bleedWidth;
+    const compound = document.createElement("canvas");
+    compound.width = Math.round((wrapW + 2 * b) * px);
+    compound.height = Math.round((wrapH + 2 * b) * px);
+    const ctx = compound.getContext("2d");
+    const X = (u) => (u + b) * px; // wrap units → canvas px
+    const boardY = edge + overhang; // top of the cover trim on the boards
+    const cover = (cvs, trimX, from, to) => {
+      if (!cvs) return;
+      this._drawExtended(
+        ctx,
+        cvs,
+        X(trimX - b),
+        X(boardY - b),
+        this.bleedWidth * px,
+        this.bleedHeight * px,
+        [X(from), 0, X(to), compound.height],
+      );
+    };
+    cover(this._pdfCanvases[n - 1], backBoard + overhang, -b, backHinge);
+    cover(this._pdfCanvases[0], frontBoard, frontBoard, wrapW + b);
+    let spineCvs = this._spineGfx?.canvas;
+    if (!spineCvs) {
+      spineCvs = document.createElement("canvas");
+      spineCvs.width = spineCvs.height = 1;
+      const sctx = spineCvs.getContext("2d");
+      sctx.fillStyle = "#1a1a1a";
+      sctx.fillRect(0, 0, 1, 1);
     }
+    this._drawExtended(
+      ctx,
+      spineCvs,
+      X(spineX),
+      X(edge),
+      spineW * px,
+      boardH * px,
+      [X(backHinge), 0, X(frontBoard), compound.height],
+    );
 
+    const m = this._markMargin();
+    const pdf = new jsPDF({
+      unit: this._unit,
+      format: [wrapW + 2 * b + 2 * m, wrapH + 2 * b + 2 * m],
+      orientation: "l",
+    });
+    this._applyMetadata(pdf);
+    pdf.addImage(
+      ...this._pdfImage(compound),
+      m,
+      m,
+      wrapW + 2 * b,
+      wrapH + 2 * b,
+    );
+    const o = m + b; // wrap origin on the PDF page
+    const coverOf = (i) => (i === 0 || i === n - 1 ? 1 : null);
+    this._drawPageLayers(
+      pdf,
+      n - 1,
+      o + backBoard + overhang - b,
+      o + boardY - b,
+    );
+    this._drawPageLayers(pdf, 0, o + frontBoard - b, o + boardY - b);
+    this._drawLinks(
+      pdf,
+      n - 1,
+      o + backBoard + overhang - b,
+      o + boardY - b,
+      coverOf,
+    );
+    this._drawLinks(pdf, 0, o + frontBoard - b, o + boardY - b, coverOf);
+    this._setPageBoxes(pdf, o, o, wrapW, wrapH);
+
+    // Fold marks at the board edges, hinge marks either side of each hinge
+    const v = (x) => [o + x, o, o + x, o + wrapH];
+    const h = (y) => [o, o + y, o + wrapW, o + y];
+    drawFoldGuides(pdf, {
+      folds: [
+        v(backBoard),
+        v(backHinge),
+        v(spineX),
+        v(frontHinge),
+        v(frontBoard),
+        v(wrapW - edge),
+        h(edge),
+        h(wrapH - edge),
+      ],
+      mmPerUnit,
+    });
+    if (this._printMarks)
+      this._drawPrintMarksOn(pdf, wrapW, wrapH, b, "case wrap");
+    this._applyOutline(pdf, coverOf);
     return pdf;
   }
 
-  /** Download a cover-spread PDF (back cover + spine + front cover). */
+  // Draw `src` at (dx, dy, dw, dh), clipped to `rect` [x0, y0, x1, y1], and
+  // stretch its outermost rows and columns of pixels over the rest of the rect.
+  _drawExtended(ctx, src, dx, dy, dw, dh, [x0, y0, x1, y1]) {
+    const { width: sw, height: sh } = src;
+    // [source start, source size, destination from, destination to]
+    const cols = [
+      [0, 1, x0, dx],
+      [0, sw, dx, dx + dw],
+      [sw - 1, 1, dx + dw, x1],
+    ];
+    const rows = [
+      [0, 1, y0, dy],
+      [0, sh, dy, dy + dh],
+      [sh - 1, 1, dy + dh, y1],
+    ];
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x0, y0, x1 - x0, y1 - y0);
+    ctx.clip();
+    for (const [sx, sW, ax, bx] of cols)
+      for (const [sy, sH, ay, by] of rows)
+        if (bx > ax && by > ay)
+          ctx.drawImage(src, sx, sy, sW, sH, ax, ay, bx - ax, by - ay);
+    ctx.restore();
+  }
+
+  /** Download a cover-spread PDF (back cover + spine + front cover, between
+   *  the flaps when setFlaps() is on). */
   saveCover(filename) {
     const n = this._rawCanvases.length;
     if (n === 0) {
@@ -941,6 +3038,30 @@ export class Book {
     }
   }
 
+  /** Download a hardcover case wrap: the cover laid out around the boards,
+   *  with artwork extended into the turn-ins and fold and hinge marks.
+   *  @param {string} [filename]
+   *  @param {object} [options]  all in book units
+   *  @param {number} [options.boardThickness]  board thickness (default 2.5 mm)
+   *  @param {number} [options.hinge]           gap between each board and the spine (default 8 mm)
+   *  @param {number} [options.turnIn]          material folded over the inside of the boards (default 15 mm)
+   *  @param {number} [options.overhang]        board overhang past the trim at head, tail and fore-edge (default 3 mm) */
+  saveCaseWrap(filename, options) {
+    if (filename && typeof filename === "object")
+      [filename, options] = [undefined, filename];
+    if (this._rawCanvases.length === 0) {
+      alert("[p5.book] saveCaseWrap(): no pages to export.");
+      return;
+    }
+    try {
+      this._buildCaseWrapPDF(options).save(
+        filename || this._filename.replace(/\.pdf$/i, "-casewrap.pdf"),
+      );
+    } catch (e) {
+      alert("[p5.book] saveCaseWrap(): " + e.message);
+    }
+  }
+
   /** Download a saddle-stitch imposition PDF. Page count must be divisible by 4. */
   saveSaddleStitch(filename) {
     const n = this._rawCanvases.length;
@@ -963,6 +3084,177 @@ export class Book {
     }
   }
 
+  /** Download a printer-spread PDF imposed into folded signatures.
+   *  @param {string} [filename]
+   *  @param {object} [options]
+   *  @param {number} [options.signatureSize=16]     pages per signature, a multiple of 4
+   *  @param {number} [options.sheetsPerSignature]   or sheets per signature (4 pages each)
+   *  @param {string} [options.binding="perfect"]    "perfect" (stacked signatures) or "saddle" (nested) */
+  saveImposed(filename, options) {
+    if (filename && typeof filename === "object")
+      [filename, options] = [undefined, filename];
+    if (this._rawCanvases.length === 0) {
+      alert("[p5.book] saveImposed(): no pages to export.");
+      return;
+    }
+    try {
+      this._buildImposedPDF(options).save(
+        filename || this._filename.replace(/\.pdf$/i, "-imposed.pdf"),
+      );
+    } catch (e) {
+      alert("[p5.book] saveImposed(): " + e.message);
+    }
+  }
+
+  /** Download an 8-page book imposed on one sheet, to fold into a zine with a
+   *  single cut. Fold and cut guides are drawn on the sheet.
+   *  @param {string} [filename]
+   *  @param {object} [options]
+   *  @param {string|number[]} [options.sheet]  "letter", "a4", ... or [width, height] in the
+   *                                            book's unit. Default: letter for inches, else A4. */
+  saveZine(filename, options) {
+    if (filename && typeof filename === "object")
+      [filename, options] = [undefined, filename];
+    if (this._rawCanvases.length === 0) {
+      alert("[p5.book] saveZine(): no pages to export.");
+      return;
+    }
+    try {
+      this._buildZinePDF(options).save(
+        filename || this._filename.replace(/\.pdf$/i, "-zine.pdf"),
+      );
+    } catch (e) {
+      alert("[p5.book] saveZine(): " + e.message);
+    }
+  }
+
+  /** Download press sheets with the pages ganged N-up: as many pages as fit
+   *  on each sheet, with crop marks around every cell.
+   *  @param {string} [filename]
+   *  @param {object} [options]
+   *  @param {string|number[]} [options.sheet="a3"]  "a3", "tabloid", ... or [width, height] in the book's unit
+   *  @param {number} [options.gutter=0]    space between cells, in the book's unit
+   *  @param {number} [options.margin]      space around the grid, in the book's unit (default 10 mm)
+   *  @param {boolean} [options.repeat]     fill each sheet with copies of one page (step and repeat)
+   *  @param {boolean} [options.duplex]     pages pair up as front and back; backs print on the next sheet */
+  saveNUp(filename, options) {
+    if (filename && typeof filename === "object")
+      [filename, options] = [undefined, filename];
+    if (this._rawCanvases.length === 0) {
+      alert("[p5.book] saveNUp(): no pages to export.");
+      return;
+    }
+    try {
+      this._buildNUpPDF(options).save(
+        filename || this._filename.replace(/\.pdf$/i, "-nup.pdf"),
+      );
+    } catch (e) {
+      alert("[p5.book] saveNUp(): " + e.message);
+    }
+  }
+
+  /** Download a book for printing double-sided on a printer without a
+   *  duplex unit: the fronts of all sheets, then the backs, in the order and
+   *  rotation that lines them up after the stack is flipped.
+   *  @param {string} [filename]
+   *  @param {object} [options]
+   *  @param {string} [options.order="pages"]    "pages" (one page per side) or "saddle" (saddle-stitch spreads)
+   *  @param {string} [options.flip="long"]      edge of the paper the stack is flipped over: "long" or "short"
+   *  @param {string} [options.layout="files"]   "files" (-fronts.pdf and -backs.pdf) or "interleaved" (one PDF with instructions)
+   *  @param {boolean} [options.reverseBacks]    print the backs last sheet first */
+  saveDuplex(filename, options = {}) {
+    if (filename && typeof filename === "object")
+      [filename, options] = [undefined, filename];
+    if (this._rawCanvases.length === 0) {
+      alert("[p5.book] saveDuplex(): no pages to export.");
+      return;
+    }
+    const base = (filename || this._filename).replace(/\.pdf$/i, "");
+    try {
+      const [fronts, backs] = this._buildDuplexPDFs(options);
+      if (backs) {
+        fronts.save(`${base}-fronts.pdf`);
+        backs.save(`${base}-backs.pdf`);
+      } else {
+        fronts.save(`${base}-duplex.pdf`);
+      }
+    } catch (e) {
+      alert("[p5.book] saveDuplex(): " + e.message);
+    }
+  }
+
+  // Risograph plates for the given inks: one page per book page and ink, laid
+  // out like the pages (plate over trim and bleed), each with trim and
+  // registration marks and a slug naming the ink.
+  _buildInkPDF(names) {
+    const { jsPDF } = window.jspdf;
+    const u = MM_PER_UNIT[this._unit] || 25.4;
+    const marks = resolvePrintMarks({ registration: true, slug: true });
+    const m = markMarginMM(marks) / u;
+    const b = this._bleed;
+    const w = this.bleedWidth + 2 * m;
+    const h = this.bleedHeight + 2 * m;
+    const orientation = w > h ? "l" : "p";
+    const pdf = new jsPDF({ unit: this._unit, format: [w, h], orientation });
+    this._applyMetadata(pdf);
+    let first = true;
+    this._rawCanvases.forEach((_, i) => {
+      for (const name of names) {
+        if (!first) pdf.addPage([w, h], orientation);
+        first = false;
+        // Pages where an ink wasn't used get an empty plate, so every ink
+        // runs through the same number of sheets
+        const plate = this._pagePlates[i]?.get(name);
+        if (plate)
+          pdf.addImage(...plate, m, m, this.bleedWidth, this.bleedHeight);
+        this._setPageBoxes(pdf, m + b, m + b, this._trimW, this._trimH);
+        drawPrintMarks(pdf, {
+          marks,
+          x: m + b,
+          y: m + b,
+          w: this._trimW,
+          h: this._trimH,
+          bleed: b,
+          margin: m,
+          mmPerUnit: u,
+          slug: [this._filename, name, `page ${this._folioOf(i)}`].join(
+            "  \u00b7  ",
+          ),
+        });
+      }
+    });
+    return pdf;
+  }
+
+  /** Download the book.ink() plates for risograph printing: one grayscale PDF
+   *  per ink (<name>-<ink>.pdf), or every plate in one PDF with
+   *  { layout: "pages" } (<name>-inks.pdf, page by page, ink by ink). The
+   *  filename can be left out: saveInks({ layout: "pages" }). Plates run into
+   *  the bleed like the pages. */
+  saveInks(filename, options) {
+    if (filename && typeof filename === "object")
+      [filename, options] = [undefined, filename];
+    const { layout = "files" } = options || {};
+    if (this._rawCanvases.length === 0) {
+      alert("[p5.book] saveInks(): no pages to export.");
+      return;
+    }
+    if (this._inks.size === 0) {
+      alert("[p5.book] saveInks(): no ink layers. Draw into book.ink(name).");
+      return;
+    }
+    const base = (filename || this._filename).replace(/\.pdf$/i, "");
+    try {
+      if (layout === "pages")
+        this._buildInkPDF([...this._inks.keys()]).save(`${base}-inks.pdf`);
+      else
+        for (const name of this._inks.keys())
+          this._buildInkPDF([name]).save(`${base}-${name}.pdf`);
+    } catch (e) {
+      alert("[p5.book] saveInks(): " + e.message);
+    }
+  }
+
   /** Download every captured page as an individual image file.
    *  @param {"png"|"jpeg"} format  Image format (default: "png")
    *  Files are named  <basename>-0001.png, -0002.png, …
@@ -979,7 +3271,7 @@ export class Book {
     const base = this._filename.replace(/\.pdf$/i, "");
     for (let i = 0; i < this._rawCanvases.length; i++) {
       const a = document.createElement("a");
-      a.href = this._rawCanvases[i].toDataURL(mime, q);
+      a.href = this._previewCanvases[i].toDataURL(mime, q);
       a.download = `${base}-${String(i + 1).padStart(4, "0")}.${ext}`;
       document.body.appendChild(a);
       a.click();
@@ -1064,9 +3356,18 @@ export class Book {
     const cols = this._columns;
     const gutter = this._columnGutter;
     const colW = (w - gutter * (cols - 1)) / cols;
-    const leading = Book._getLeading(p);
     const ascent = p.textAscent();
-    const maxLines = Math.max(1, Math.floor((h - ascent) / leading) + 1);
+    let leading = Book._getLeading(p);
+    let first = y + ascent; // baseline of the first line
+    // Baseline grid: lines sit on it, leading rounds up to whole steps
+    const grid = this._grid?.baseline ? this._grid : null;
+    if (grid) {
+      const top = this._contentRect(this._page).y;
+      const step = grid.baseline;
+      leading = Math.max(1, Math.ceil(leading / step - 1e-6)) * step;
+      first = top + Math.ceil((first - top) / step - 1e-6) * step;
+    }
+    const maxLines = Math.max(1, Math.floor((y + h - first) / leading) + 1);
     const lines = Book._wrapText(p, str, colW);
     let lineIdx = 0;
 
@@ -1084,7 +3385,7 @@ export class Book {
       // In RTL, text() anchors at the right edge of the cell
       const tx = this._rtl ? cx + colW : cx;
       for (let i = 0; i < maxLines && lineIdx < lines.length; i++) {
-        p.text(lines[lineIdx], tx, y + ascent + i * leading);
+        this._drawText(lines[lineIdx], tx, first + i * leading);
         lineIdx++;
       }
     }
@@ -1093,4 +3394,71 @@ export class Book {
 
     return lines.slice(lineIdx).join("\n");
   }
+
+  /** Draw text like p5's text(), and record it for the PDF text layer so it
+   *  stays searchable and selectable. Lines split on "\n" use textLeading(). */
+  text(str, x, y) {
+    const p = this._p;
+    const lines = String(str).split("\n");
+    const leading = Book._getLeading(p);
+    // Mirror p5's block alignment for multi-line strings
+    const v = p.textAlign()?.vertical;
+    const blockH = (lines.length - 1) * leading;
+    const y0 =
+      v === "center" ? y - blockH / 2 : v === "bottom" ? y - blockH : y;
+    lines.forEach((line, i) => this._drawText(line, x, y0 + i * leading));
+    return this;
+  }
+
+  // Draw one line on the canvas and/or record it for the PDF text layer.
+  // "vector" mode records only; the line is painted onto the viewer preview.
+  // Without a text layer only what the profile and preflight checks read is
+  // recorded, and only while they are on.
+  _drawText(str, x, y) {
+    // Vector capture already records text as p5 draws it
+    if (this._recorder?.attached) return this._p.text(str, x, y);
+    const font = this._p.textFont();
+    const blank = str.trim() === "";
+    const record = this._textLayer && !blank && Book._canEmitText(str, font);
+    if (record) {
+      this._textRuns.push(captureTextRun(this._p, str, x, y));
+      this._useFontChars(font, str);
+    } else if (!this._textLayer && !blank && this._checksText()) {
+      const measure = this._profile?.safeMM != null;
+      this._textRuns.push(checkTextRun(this._p, str, x, y, measure));
+    }
+    if (!record || this._textLayer !== "vector") this._p.text(str, x, y);
+  }
+
+  // Whether a check reads the text runs: the profile's safe margin, or the
+  // preflight rich-black text check.
+  _checksText() {
+    return this._profile?.safeMM != null || !!this._preflightOpts;
+  }
+
+  // Vector capture's fillText() hook: a run for text that can be written as
+  // PDF text, or null to leave it in the raster.
+  _vectorTextRun(str, x, y) {
+    const font = this._p.textFont();
+    if (!Book._canEmitText(str, font)) return null;
+    this._useFontChars(font, str);
+    return textRunFromContext(this._p, str, x, y);
+  }
+
+  // Remember which characters a loaded font is used for, so the embedded
+  // subset covers them.
+  _useFontChars(font, str) {
+    if (!hasFontData(font)) return;
+    if (!this._fontChars.has(font)) this._fontChars.set(font, new Set());
+    const chars = this._fontChars.get(font);
+    for (const ch of str) chars.add(ch);
+  }
+
+  // Fonts from loadFont() are embedded, so any BMP character works. The
+  // standard PDF fonts used otherwise only encode Latin-1; other scripts stay
+  // raster-only.
+  static _canEmitText(str, font) {
+    if (hasFontData(font)) return [...str].every(isEmbeddableChar);
+    return !/[^\u0000-\u00ff]/.test(str);
+  }
 }
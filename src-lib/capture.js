@@ -0,0 +1,588 @@
+// Vector capture for p5.book
+// With createBook(..., { capture: "vector" }) the main canvas' 2D context is
+// instrumented: every path p5 fills or strokes (rect, ellipse, line, arc,
+// beginShape/vertex, bezier, curves…) and every line of text is recorded with
+// its transform and style, then replayed into the PDF as vector paths and text.
+// Anything that only exists as pixels (image(), pixels[], filter(), erase(),
+// gradients, clipping, blend modes, shadows) stays on the canvas and is
+// exported as a raster underneath the vectors drawn after it.
+
+import { parseCSSColor, drawTextRuns } from "./textlayer.js";
+
+const CAPTURE_MODES = ["raster", "vector"];
+
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+// ── paths ──────────────────────────────────────────────────────────────────
+// Canvas path calls, flattened to M/L/C/Z commands. Every method takes the
+// matrix to apply first (the context transform, or IDENTITY for Path2D),
+// followed by the usual canvas arguments.
+class PathRecorder {
+  constructor() {
+    this.cmds = [];
+    this.start = null; // first point of the current subpath (untransformed)
+    this.last = null; // current point (untransformed)
+  }
+
+  _pt(m, x, y) {
+    return [m.a * x + m.c * y + m.e, m.b * x + m.d * y + m.f];
+  }
+
+  moveTo(m, x, y) {
+    this.cmds.push(["M", ...this._pt(m, x, y)]);
+    this.start = this.last = [x, y];
+  }
+
+  lineTo(m, x, y) {
+    if (!this.last) return this.moveTo(m, x, y);
+    this.cmds.push(["L", ...this._pt(m, x, y)]);
+    this.last = [x, y];
+  }
+
+  bezierCurveTo(m, x1, y1, x2, y2, x, y) {
+    if (!this.last) this.moveTo(m, x1, y1);
+    this.cmds.push([
+      "C",
+      ...this._pt(m, x1, y1),
+      ...this._pt(m, x2, y2),
+      ...this._pt(m, x, y),
+    ]);
+    this.last = [x, y];
+  }
+
+  quadraticCurveTo(m, cx, cy, x, y) {
+    if (!this.last) this.moveTo(m, cx, cy);
+    const [x0, y0] = this.last;
+    this.bezierCurveTo(
+      m,
+      x0 + (2 / 3) * (cx - x0),
+      y0 + (2 / 3) * (cy - y0),
+      x + (2 / 3) * (cx - x),
+      y + (2 / 3) * (cy - y),
+      x,
+      y,
+    );
+  }
+
+  closePath() {
+    if (!this.last) return;
+    this.cmds.push(["Z"]);
+    this.last = this.start;
+  }
+
+  rect(m, x, y, w, h) {
+    this.moveTo(m, x, y);
+    this.lineTo(m, x + w, y);
+    this.lineTo(m, x + w, y + h);
+    this.lineTo(m, x, y + h);
+    this.closePath();
+  }
+
+  // Elliptical arc as cubic Béziers of at most 90° each.
+  ellipse(m, cx, cy, rx, ry, rotation, start, end, ccw = false) {
+    const full = 2 * Math.PI;
+    let sweep = end - start;
+    if (!ccw && sweep >= full) sweep = full;
+    else if (ccw && -sweep >= full) sweep = -full;
+    else if (!ccw) sweep = ((sweep % full) + full) % full;
+    else sweep = -(((-sweep % full) + full) % full);
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const at = (t) => {
+      const x = rx * Math.cos(t);
+      const y = ry * Math.sin(t);
+      return [cx + x * cos - y * sin, cy + x * sin + y * cos];
+    };
+    const tangent = (t) => {
+      const x = -rx * Math.sin(t);
+      const y = ry * Math.cos(t);
+      return [x * cos - y * sin, x * sin + y * cos];
+    };
+
+    const p0 = at(start);
+    if (this.last) this.lineTo(m, ...p0);
+    else this.moveTo(m, ...p0);
+    const n = Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9);
+    if (n === 0) return;
+    const step = sweep / n;
+    const k = (4 / 3) * Math.tan(step / 4);
+    for (let i = 0; i < n; i++) {
+      const t0 = start + i * step;
+      const t1 = t0 + step;
+      const a = at(t0),
+        b = at(t1);
+      const da = tangent(t0),
+        db = tangent(t1);
+      this.bezierCurveTo(
+        m,
+        a[0] + k * da[0],
+        a[1] + k * da[1],
+        b[0] - k * db[0],
+        b[1] - k * db[1],
+        b[0],
+        b[1],
+      );
+    }
+  }
+
+  arc(m, cx, cy, r, start, end, ccw = false) {
+    this.ellipse(m, cx, cy, r, r, 0, start, end, ccw);
+  }
+
+  arcTo(m, x1, y1, x2, y2, r) {
+    if (!this.last) this.moveTo(m, x1, y1);
+    const [x0, y0] = this.last;
+    const v1 = [x0 - x1, y0 - y1];
+    const v2 = [x2 - x1, y2 - y1];
+    const l1 = Math.hypot(v1[0], v1[1]);
+    const l2 = Math.hypot(v2[0], v2[1]);
+    const cross = v1[0] * v2[1] - v1[1] * v2[0];
+    if (r === 0 || l1 === 0 || l2 === 0 || Math.abs(cross) < 1e-9)
+      return this.lineTo(m, x1, y1);
+    const cosA = (v1[0] * v2[0] + v1[1] * v2[1]) / (l1 * l2);
+    const angle = Math.acos(Math.max(-1, Math.min(1, cosA)));
+    const dist = r / Math.tan(angle / 2);
+    const t1 = [x1 + (v1[0] / l1) * dist, y1 + (v1[1] / l1) * dist];
+    const t2 = [x1 + (v2[0] / l2) * dist, y1 + (v2[1] / l2) * dist];
+    const bis = [v1[0] / l1 + v2[0] / l2, v1[1] / l1 + v2[1] / l2];
+    const bl = Math.hypot(bis[0], bis[1]);
+    const h = r / Math.sin(angle / 2);
+    const c = [x1 + (bis[0] / bl) * h, y1 + (bis[1] / bl) * h];
+    const a0 = Math.atan2(t1[1] - c[1], t1[0] - c[0]);
+    const a1 = Math.atan2(t2[1] - c[1], t2[0] - c[0]);
+    let sweep = a1 - a0;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+    this.ellipse(m, c[0], c[1], r, r, 0, a0, a0 + sweep, sweep < 0);
+  }
+
+  roundRect(m, x, y, w, h, radii = 0) {
+    const list = (Array.isArray(radii) ? radii : [radii]).map((r) =>
+      typeof r === "number" ? r : r?.x || 0,
+    );
+    const [a, b = a, c = a, d = b] = list;
+    let [tl, tr, br, bl] = list.length === 3 ? [a, b, c, b] : [a, b, c, d];
+    const f = Math.min(
+      1,
+      Math.abs(w) / (tl + tr || 1),
+      Math.abs(w) / (bl + br || 1),
+      Math.abs(h) / (tl + bl || 1),
+      Math.abs(h) / (tr + br || 1),
+    );
+    [tl, tr, br, bl] = [tl * f, tr * f, br * f, bl * f];
+    const q = Math.PI / 2;
+    this.moveTo(m, x + tl, y);
+    this.ellipse(m, x + w - tr, y + tr, tr, tr, 0, -q, 0);
+    this.ellipse(m, x + w - br, y + h - br, br, br, 0, 0, q);
+    this.ellipse(m, x + bl, y + h - bl, bl, bl, 0, q, 2 * q);
+    this.ellipse(m, x + tl, y + tl, tl, tl, 0, 2 * q, 3 * q);
+    this.closePath();
+  }
+
+  addPath(other, m = IDENTITY) {
+    for (const cmd of other.cmds) this.cmds.push(mapCmd(cmd, m, 1));
+    this.last = this.start = null;
+  }
+}
+
+const PATH_METHODS = [
+  "moveTo",
+  "lineTo",
+  "bezierCurveTo",
+  "quadraticCurveTo",
+  "closePath",
+  "rect",
+  "roundRect",
+  "ellipse",
+  "arc",
+  "arcTo",
+];
+
+// One command through matrix m, then scaled by s.
+function mapCmd([type, ...xy], m, s) {
+  const out = [type];
+  for (let i = 0; i < xy.length; i += 2) {
+    const x = xy[i],
+      y = xy[i + 1];
+    out.push((m.a * x + m.c * y + m.e) * s, (m.b * x + m.d * y + m.f) * s);
+  }
+  return out;
+}
+
+// Path2D objects are opaque, so record what is drawn into them. Installed
+// while at least one recorder is attached; the last detach() puts the
+// original methods back.
+const _pathData = new WeakMap(); // Path2D → PathRecorder
+const _path2DOriginals = new Map(); // method name → original
+let _path2DUsers = 0;
+
+function patchPath2D() {
+  if (typeof Path2D === "undefined") return;
+  if (_path2DUsers++ > 0) return;
+  const recorderFor = (path) => {
+    if (!_pathData.has(path)) _pathData.set(path, new PathRecorder());
+    return _pathData.get(path);
+  };
+  for (const name of [...PATH_METHODS, "addPath"]) {
+    const orig = Path2D.prototype[name];
+    if (!orig) continue;
+    _path2DOriginals.set(name, orig);
+    Path2D.prototype[name] = function (...args) {
+      if (name === "addPath") {
+        const other = _pathData.get(args[0]);
+        if (other) recorderFor(this).addPath(other, args[1] || IDENTITY);
+      } else {
+        recorderFor(this)[name](IDENTITY, ...args);
+      }
+      return orig.apply(this, args);
+    };
+  }
+}
+
+function unpatchPath2D() {
+  if (typeof Path2D === "undefined" || _path2DUsers === 0) return;
+  if (--_path2DUsers > 0) return;
+  for (const [name, orig] of _path2DOriginals) Path2D.prototype[name] = orig;
+  _path2DOriginals.clear();
+}
+
+// ── recorder ───────────────────────────────────────────────────────────────
+/** Records what the sketch draws on its main canvas between two addPage()
+ *  calls. Ops are stored in canvas pixels (pixel density removed):
+ *    { type: "fill",   cmds, color, rule }
+ *    { type: "stroke", cmds, color, width, cap, join, miter, dash, dashOffset }
+ *    { type: "text",   run }   (see textlayer.js)
+ *  @param {object} p5 instance
+ *  @param {function} textRun  (str, x, y) → text run, or null to keep that
+ *                             text in the raster */
+class VectorRecorder {
+  constructor(p, textRun) {
+    this._p = p;
+    this._textRun = textRun;
+    this.ctx = null;
+    this._warned = false;
+    this._clipped = false;
+    this._clipStack = [];
+    this._path = new PathRecorder();
+    this._hooked = []; // context methods attach() replaced
+    this._path2D = false; // this recorder holds the Path2D patch
+    this._renderer = null; // { value } while _renderer is watched
+    this._newPage();
+    this._watchRenderer();
+  }
+
+  // createCanvas() swaps the sketch's renderer, and with it the context to
+  // record: with autoCanvas: false createBook() runs before the sketch's
+  // createCanvas(). Follow the new canvas right away instead of losing the
+  // first page to the raster.
+  _watchRenderer() {
+    const p = this._p;
+    const desc = Object.getOwnPropertyDescriptor(p, "_renderer");
+    if (desc && (!desc.configurable || desc.get)) return;
+    const rec = this;
+    const box = { value: p._renderer };
+    this._renderer = box;
+    Object.defineProperty(p, "_renderer", {
+      configurable: true,
+      enumerable: true,
+      get: () => box.value,
+      set(value) {
+        box.value = value;
+        if (rec._renderer === box && value?.drawingContext) rec.attach();
+      },
+    });
+  }
+
+  _newPage() {
+    this.ops = [];
+    this.snapshot = null; // canvas copy holding everything before `ops`
+    this.dirty = false; // pixels were drawn since the last vector op
+  }
+
+  get attached() {
+    return this.ctx !== null && this.ctx === this._p.drawingContext;
+  }
+
+  /** Hook the sketch's current 2D context. WEBGL canvases can't be recorded
+   *  and are captured as images. */
+  attach() {
+    const ctx = this._p.drawingContext;
+    if (!ctx || typeof ctx.getTransform !== "function") {
+      if (!this._warned) {
+        this._warned = true;
+        console.warn(
+          '[p5.book] capture: "vector" needs a 2D canvas; pages are captured as images.',
+        );
+      }
+      return false;
+    }
+    if (ctx === this.ctx) return true;
+    this._unhook();
+    this.ctx = ctx;
+    if (!this._path2D) {
+      this._path2D = true;
+      patchPath2D();
+    }
+    const rec = this;
+    const proto = Object.getPrototypeOf(ctx);
+    const hook = (name, before) => {
+      const orig = proto[name];
+      this._hooked.push(name);
+      ctx[name] = function (...args) {
+        if (rec.ctx === ctx) before.apply(rec, args);
+        return orig.apply(this, args);
+      };
+    };
+
+    for (const name of PATH_METHODS)
+      hook(name, function (...args) {
+        this._path[name](this.ctx.getTransform(), ...args);
+      });
+    hook("beginPath", function () {
+      this._path = new PathRecorder();
+    });
+    hook("fill", function (a, b) {
+      const path = typeof a === "object" ? a : null;
+      this._paint("fill", path, (path ? b : a) || "nonzero");
+    });
+    hook("stroke", function (path) {
+      this._paint("stroke", path || null);
+    });
+    hook("fillRect", function (x, y, w, h) {
+      this._paintRect("fill", x, y, w, h);
+    });
+    hook("strokeRect", function (x, y, w, h) {
+      this._paintRect("stroke", x, y, w, h);
+    });
+    hook("clearRect", function (x, y, w, h) {
+      if (this._coversCanvas(x, y, w, h)) this._newPage();
+      else this.dirty = true;
+    });
+    hook("fillText", function (str, x, y, maxWidth) {
+      const run =
+        maxWidth === undefined && this._canPaint("fill")
+          ? this._textRun(String(str), x, y)
+          : null;
+      if (run) this._vector({ type: "text", run });
+      else this.dirty = true;
+    });
+    for (const name of ["drawImage", "putImageData", "strokeText"])
+      hook(name, function () {
+        this.dirty = true;
+      });
+    hook("clip", function () {
+      this._clipped = true;
+    });
+    hook("save", function () {
+      this._clipStack.push(this._clipped);
+    });
+    hook("restore", function () {
+      if (this._clipStack.length) this._clipped = this._clipStack.pop();
+    });
+    return true;
+  }
+
+  /** Stop recording: the context, Path2D and the sketch get their own
+   *  methods back. A later take() attaches again. */
+  detach() {
+    this._unhook();
+    this.ctx = null;
+    if (this._path2D) {
+      this._path2D = false;
+      unpatchPath2D();
+    }
+    if (this._renderer) {
+      const p = this._p;
+      const { value } = this._renderer;
+      delete p._renderer;
+      p._renderer = value;
+      this._renderer = null;
+    }
+  }
+
+  // Give the recorded context its own methods back.
+  _unhook() {
+    for (const name of this._hooked) delete this.ctx[name];
+    this._hooked = [];
+  }
+
+  /** Hand over the page just drawn and start a new one.
+   *  @returns {{ ops: object[], raster: HTMLCanvasElement|null, full: boolean }}
+   *  full = the whole page has to stay raster (pixels drawn last, or the
+   *  recorder was not attached while the page was drawn). */
+  take() {
+    const live = this.attached;
+    const page =
+      live && !this.dirty
+        ? { ops: this.ops, raster: this.snapshot, full: false }
+        : { ops: [], raster: null, full: true };
+    this._newPage();
+    if (!live) this.attach();
+    return page;
+  }
+
+  // Vector ops after pixel ops: freeze the canvas so far as the page's
+  // raster layer; everything recorded before is part of it.
+  _vector(op) {
+    if (this.dirty) {
+      const src = this.ctx.canvas;
+      const snap = document.createElement("canvas");
+      snap.width = src.width;
+      snap.height = src.height;
+      snap.getContext("2d").drawImage(src, 0, 0);
+      this.snapshot = snap;
+      this.ops = [];
+      this.dirty = false;
+    }
+    this.ops.push(op);
+  }
+
+  // Can the current fill/stroke style be written as a plain PDF color?
+  _canPaint(kind) {
+    const ctx = this.ctx;
+    const style = kind === "fill" ? ctx.fillStyle : ctx.strokeStyle;
+    return (
+      !this._clipped &&
+      typeof style === "string" &&
+      ctx.globalCompositeOperation === "source-over" &&
+      (!ctx.filter || ctx.filter === "none") &&
+      (parseCSSColor(ctx.shadowColor)[3] === 0 ||
+        (ctx.shadowBlur === 0 &&
+          ctx.shadowOffsetX === 0 &&
+          ctx.shadowOffsetY === 0))
+    );
+  }
+
+  _paint(kind, path, rule) {
+    let cmds;
+    if (path) {
+      const data = _pathData.get(path);
+      if (data)
+        cmds = data.cmds.map((c) => mapCmd(c, this.ctx.getTransform(), 1));
+    } else {
+      cmds = this._path.cmds;
+    }
+    if (!cmds || !this._canPaint(kind)) {
+      this.dirty = true;
+      return;
+    }
+    this._push(kind, cmds, rule);
+  }
+
+  _paintRect(kind, x, y, w, h) {
+    const rect = new PathRecorder();
+    rect.rect(this.ctx.getTransform(), x, y, w, h);
+    if (this._canPaint(kind)) this._push(kind, rect.cmds, "nonzero");
+    else this.dirty = true;
+  }
+
+  // cmds are in device pixels here
+  _push(kind, cmds, rule) {
+    const ctx = this.ctx;
+    const d = this._p.pixelDensity();
+    const m = ctx.getTransform();
+    const color = parseCSSColor(
+      kind === "fill" ? ctx.fillStyle : ctx.strokeStyle,
+    );
+    color[3] *= ctx.globalAlpha;
+    if (color[3] === 0) return;
+    const px = cmds.map((c) => mapCmd(c, IDENTITY, 1 / d));
+    if (kind === "fill") {
+      this._vector({ type: "fill", cmds: px, color, rule });
+      return;
+    }
+    // Stroke widths follow the transform's average scale
+    const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c)) / d;
+    this._vector({
+      type: "stroke",
+      cmds: px,
+      color,
+      width: ctx.lineWidth * scale,
+      cap: ctx.lineCap,
+      join: ctx.lineJoin,
+      miter: ctx.miterLimit,
+      dash: ctx.getLineDash().map((v) => v * scale),
+      dashOffset: ctx.lineDashOffset * scale,
+    });
+  }
+
+  _coversCanvas(x, y, w, h) {
+    const m = this.ctx.getTransform();
+    const { width, height } = this.ctx.canvas;
+    const xs = [],
+      ys = [];
+    for (const [px, py] of [
+      [x, y],
+      [x + w, y],
+      [x, y + h],
+      [x + w, y + h],
+    ]) {
+      xs.push(m.a * px + m.c * py + m.e);
+      ys.push(m.b * px + m.d * py + m.f);
+    }
+    return (
+      m.b === 0 &&
+      m.c === 0 &&
+      Math.min(...xs) <= 0 &&
+      Math.min(...ys) <= 0 &&
+      Math.max(...xs) >= width &&
+      Math.max(...ys) >= height
+    );
+  }
+}
+
+// ── PDF output ─────────────────────────────────────────────────────────────
+function tracePath(pdf, cmds, o) {
+  const X = (x) => o.ox + o.bleed + x * o.sx;
+  const Y = (y) => o.oy + o.bleed + y * o.sy;
+  for (const [type, ...v] of cmds) {
+    if (type === "M") pdf.moveTo(X(v[0]), Y(v[1]));
+    else if (type === "L") pdf.lineTo(X(v[0]), Y(v[1]));
+    else if (type === "C")
+      pdf.curveTo(X(v[0]), Y(v[1]), X(v[2]), Y(v[3]), X(v[4]), Y(v[5]));
+    else pdf.close();
+  }
+}
+
+/** Replay recorded ops into the current page of a jsPDF document. Takes the
+ *  same options as drawTextRuns(); text ops are always drawn visible. */
+function drawVectorOps(pdf, ops, o) {
+  if (!ops || ops.length === 0) return;
+  for (const op of ops) {
+    if (op.type === "text") {
+      drawTextRuns(pdf, [op.run], { ...o, visible: true });
+      continue;
+    }
+    const [r, g, b, a] = op.color;
+    const color = o.toColor ? o.toColor(r, g, b) : [r, g, b];
+    pdf.saveGraphicsState();
+    if (a < 1)
+      pdf.setGState(
+        new pdf.GState(
+          op.type === "fill" ? { opacity: a } : { "stroke-opacity": a },
+        ),
+      );
+    tracePath(pdf, op.cmds, o);
+    if (op.type === "fill") {
+      pdf.setFillColor(...color);
+      if (op.rule === "evenodd") pdf.fillEvenOdd();
+      else pdf.fill();
+    } else {
+      pdf.setDrawColor(...color);
+      pdf.setLineWidth(op.width * o.sx);
+      pdf.setLineCap(op.cap);
+      pdf.setLineJoin(op.join);
+      pdf.setLineMiterLimit(op.miter);
+      if (op.dash.length)
+        pdf.setLineDashPattern(
+          op.dash.map((v) => v * o.sx),
+          op.dashOffset * o.sx,
+        );
+      pdf.stroke();
+    }
+    pdf.restoreGraphicsState();
+  }
+}
+
+export { CAPTURE_MODES, VectorRecorder, drawVectorOps };
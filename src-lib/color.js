@@ -0,0 +1,219 @@
+// CMYK output for p5.book
+// With createBook(..., { colorMode: "cmyk" }) page images are separated into
+// cyan, magenta, yellow and black and embedded as DeviceCMYK, vector shapes and
+// text get CMYK colors, and the viewer can flag colors the press can't reach.
+
+const COLOR_MODES = ["rgb", "cmyk"];
+
+// Approximate printed color of each chromatic process ink on white paper,
+// used to soft-proof separations. Black is treated as ideal so tone doesn't
+// count as a gamut problem.
+const PROCESS_INKS = {
+  c: [0, 174, 239],
+  m: [236, 0, 140],
+  y: [255, 242, 0],
+};
+
+/** Built-in conversion profiles.
+ *  blackGeneration  share of the gray component printed with black (GCR), 0–1
+ *  totalInk         total area coverage limit, 1 = 100 %
+ *  grayToK          neutral grays (r = g = b) print with black ink only
+ *  gamutTolerance   soft-proof distance (RGB, 0–255) above which a color is
+ *                   reported as out of gamut */
+const CMYK_PROFILES = {
+  coated: {
+    blackGeneration: 0.7,
+    totalInk: 3.0,
+    grayToK: true,
+    gamutTolerance: 40,
+  },
+  uncoated: {
+    blackGeneration: 0.8,
+    totalInk: 2.6,
+    grayToK: true,
+    gamutTolerance: 40,
+  },
+  newsprint: {
+    blackGeneration: 1,
+    totalInk: 2.4,
+    grayToK: true,
+    gamutTolerance: 40,
+  },
+};
+
+/** colorProfile option → full profile. A string picks a built-in profile; an
+ *  object overrides fields of "coated" and may bring its own `inks` or a
+ *  `convert(r, g, b)` returning [c, m, y, k] in 0–1. */
+function resolveCMYKProfile(profile = "coated") {
+  if (typeof profile === "string") {
+    if (CMYK_PROFILES[profile])
+      return { ...CMYK_PROFILES[profile], inks: PROCESS_INKS };
+    console.warn(
+      `[p5.book] Unknown colorProfile "${profile}". Use ${Object.keys(CMYK_PROFILES).join(", ")}, or an object.`,
+    );
+    return resolveCMYKProfile();
+  }
+  return {
+    ...CMYK_PROFILES.coated,
+    ...profile,
+    inks: { ...PROCESS_INKS, ...profile.inks },
+  };
+}
+
+/** 0–255 RGB → [c, m, y, k] in 0–1. */
+function rgbToCMYK(r, g, b, p) {
+  if (p.convert) return p.convert(r, g, b);
+  const c0 = 1 - r / 255,
+    m0 = 1 - g / 255,
+    y0 = 1 - b / 255;
+  if (p.grayToK && r === g && g === b) return [0, 0, 0, c0];
+  const k = Math.min(c0, m0, y0) * p.blackGeneration;
+  if (k >= 1) return [0, 0, 0, 1];
+  let c = (c0 - k) / (1 - k),
+    m = (m0 - k) / (1 - k),
+    y = (y0 - k) / (1 - k);
+  const cmy = c + m + y;
+  if (cmy + k > p.totalInk && cmy > 0) {
+    const s = Math.max(0, p.totalInk - k) / cmy;
+    c *= s;
+    m *= s;
+    y *= s;
+  }
+  return [c, m, y, k];
+}
+
+// Soft proof: how a CMYK mix prints, as 0–255 RGB.
+function proofCMYK(c, m, y, k, p) {
+  const out = [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    out[i] =
+      255 *
+      (1 - k) *
+      (1 - c * (1 - p.inks.c[i] / 255)) *
+      (1 - m * (1 - p.inks.m[i] / 255)) *
+      (1 - y * (1 - p.inks.y[i] / 255));
+  }
+  return out;
+}
+
+function isOutOfGamut(r, g, b, p) {
+  const [c, m, y, k] = rgbToCMYK(r, g, b, p);
+  const [pr, pg, pb] = proofCMYK(c, m, y, k, p);
+  return (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2 > p.gamutTolerance ** 2;
+}
+
+/** Share (0–1) of a canvas's visible pixels that are out of gamut, from a
+ *  sample of at most ~250k pixels. */
+function gamutShare(cvs, p) {
+  const { width, height } = cvs;
+  if (width === 0 || height === 0) return 0;
+  const px = cvs.getContext("2d").getImageData(0, 0, width, height).data;
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / 250000)));
+  let seen = 0,
+    out = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      if (px[i + 3] === 0) continue;
+      seen++;
+      if (isOutOfGamut(px[i], px[i + 1], px[i + 2], p)) out++;
+    }
+  }
+  return seen ? out / seen : 0;
+}
+
+/** Copy of a canvas with out-of-gamut pixels painted gray, for the viewer. */
+function markOutOfGamut(cvs, p) {
+  const c = document.createElement("canvas");
+  c.width = cvs.width;
+  c.height = cvs.height;
+  const ctx = c.getContext("2d");
+  ctx.drawImage(cvs, 0, 0);
+  if (c.width === 0 || c.height === 0) return c;
+  const img = ctx.getImageData(0, 0, c.width, c.height);
+  const px = img.data;
+  for (let i = 0; i < px.length; i += 4) {
+    if (px[i + 3] === 0 || !isOutOfGamut(px[i], px[i + 1], px[i + 2], p))
+      continue;
+    px[i] = px[i + 1] = px[i + 2] = 128;
+    px[i + 3] = 255;
+  }
+  ctx.putImageData(img, 0, 0);
+  return c;
+}
+
+// jsPDF looks up API.process<FORMAT>() for every image format it embeds.
+// rawImage() hands over pixel data that is already encoded and compressed.
+const RAW_FORMAT = "P5BOOKRAW";
+
+function registerRawImages(jsPDF) {
+  jsPDF.API["process" + RAW_FORMAT] ??= function (data, index, alias) {
+    return {
+      ...data.image,
+      data: this.__addimage__.arrayBufferToBinaryString(data),
+      index,
+      alias,
+    };
+  };
+}
+
+/** [imageData, format] for jsPDF addImage() from 8-bit samples in a PDF
+ *  color space ("DeviceGray" or "DeviceCMYK"), plus optional alpha bytes
+ *  written as a soft mask. */
+function rawImage(jsPDF, { width, height, colorSpace, samples, alpha }) {
+  const flate = (bytes) =>
+    jsPDF.API.processDataByFilters(
+      jsPDF.API.__addimage__.arrayBufferToBinaryString(bytes),
+      ["FlateEncode"],
+    ).data;
+  const stream = flate(samples);
+  const data = new Uint8Array(stream.length);
+  for (let i = 0; i < stream.length; i++) data[i] = stream.charCodeAt(i);
+  data.image = {
+    width,
+    height,
+    colorSpace,
+    bitsPerComponent: 8,
+    filter: "FlateDecode",
+    sMask: alpha ? flate(alpha) : undefined,
+    predictor: 1, // soft mask is stored without prediction
+  };
+  return [data, RAW_FORMAT];
+}
+
+/** [imageData, format] for jsPDF addImage(): a canvas separated to DeviceCMYK,
+ *  with its alpha channel as a soft mask when it isn't fully opaque. */
+function cmykImage(jsPDF, cvs, p) {
+  const { width, height } = cvs;
+  const px = cvs.getContext("2d").getImageData(0, 0, width, height).data;
+  const samples = new Uint8Array(width * height * 4);
+  const alpha = new Uint8Array(width * height);
+  let opaque = true;
+  for (let i = 0, j = 0; i < px.length; i += 4, j++) {
+    const cmyk = rgbToCMYK(px[i], px[i + 1], px[i + 2], p);
+    // jsPDF writes DeviceCMYK images with /Decode [1 0 1 0 1 0 1 0]
+    for (let n = 0; n < 4; n++)
+      samples[i + n] =
+        255 - Math.round(Math.min(1, Math.max(0, cmyk[n])) * 255);
+    alpha[j] = px[i + 3];
+    if (px[i + 3] !== 255) opaque = false;
+  }
+  return rawImage(jsPDF, {
+    width,
+    height,
+    colorSpace: "DeviceCMYK",
+    samples,
+    alpha: opaque ? null : alpha,
+  });
+}
+
+export {
+  COLOR_MODES,
+  resolveCMYKProfile,
+  rgbToCMYK,
+  gamutShare,
+  markOutOfGamut,
+  registerRawImages,
+  rawImage,
+  cmykImage,
+};
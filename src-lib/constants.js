@@ -10,4 +10,39 @@ const MM_PER_UNIT = {
   px: 25.4 / 96,
 };
 
-export { UNITS, MM_PER_UNIT };
+// Press and printer sheet sizes, [width, height] in mm (portrait)
+const SHEET_SIZES = {
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+  tabloid: [279.4, 431.8],
+  a5: [148, 210],
+  a4: [210, 297],
+  a3: [297, 420],
+  sra3: [320, 450],
+  "12x18": [304.8, 457.2],
+  "13x19": [330.2, 482.6],
+};
+
+// Paper stocks for spine width: `caliper` is one leaf (two pages) in mm, or
+// `ppi` pages per inch as paper merchants and print-on-demand services quote
+// it; `cover` is the cover stock caliper in mm, counted on both sides.
+const PAPER_STOCKS = {
+  "uncoated-70gsm": { caliper: 0.09, cover: 0.3 },
+  "uncoated-80gsm": { caliper: 0.1, cover: 0.3 },
+  "uncoated-90gsm": { caliper: 0.11, cover: 0.3 },
+  "uncoated-100gsm": { caliper: 0.125, cover: 0.35 },
+  "uncoated-120gsm": { caliper: 0.15, cover: 0.35 },
+  "coated-90gsm": { caliper: 0.075, cover: 0.3 },
+  "coated-115gsm": { caliper: 0.095, cover: 0.3 },
+  "coated-130gsm": { caliper: 0.11, cover: 0.3 },
+  "coated-150gsm": { caliper: 0.13, cover: 0.35 },
+  "coated-170gsm": { caliper: 0.15, cover: 0.35 },
+  "text-50lb": { ppi: 512, cover: 0.25 },
+  "text-60lb": { ppi: 444, cover: 0.25 },
+  "text-70lb": { ppi: 400, cover: 0.25 },
+  "pod-white": { ppi: 444, cover: 0.25 },
+  "pod-cream": { ppi: 400, cover: 0.25 },
+  "newsprint-45gsm": { caliper: 0.065, cover: 0.065 },
+};
+
+export { UNITS, MM_PER_UNIT, SHEET_SIZES, PAPER_STOCKS };
@@ -0,0 +1,414 @@
+// Font embedding for the p5.book text layer
+// jsPDF only embeds TrueType outlines, while loadFont() is commonly fed CFF-based
+// .otf/.woff files. Instead of shipping the original file, we rebuild a small
+// TrueType font from the glyph outlines p5.Font already exposes (textToPaths),
+// containing only the characters the book uses. jsPDF subsets it again on output.
+
+// p5.Font objects that carry parsed glyph data (loadFont() on a font file)
+function hasFontData(font) {
+  return !!(font && typeof font === "object" && font.data && font.textToPaths);
+}
+
+// Characters we can put in a format-4 cmap (Basic Multilingual Plane)
+function isEmbeddableChar(ch) {
+  const c = ch.codePointAt(0);
+  return c >= 0x20 && c <= 0xffff && !(c >= 0xd800 && c <= 0xdfff);
+}
+
+// ── glyph outlines ─────────────────────────────────────────────────────────
+const _glyphCache = new WeakMap(); // p5.Font → Map(char → glyph)
+
+// Approximate a cubic Bézier with quadratics (TrueType has no cubics). The
+// curve is split into n parts; n grows with the cubic's deviation.
+function cubicToQuads(p0, c1, c2, p3) {
+  const dx = p3[0] - 3 * c2[0] + 3 * c1[0] - p0[0];
+  const dy = p3[1] - 3 * c2[1] + 3 * c1[1] - p0[1];
+  const err = (Math.hypot(dx, dy) * Math.sqrt(3)) / 36;
+  const n = Math.min(8, Math.max(1, Math.ceil(Math.cbrt(err / 0.5))));
+  const at = (t) => {
+    const u = 1 - t;
+    return [0, 1].map(
+      (k) =>
+        u * u * u * p0[k] +
+        3 * u * u * t * c1[k] +
+        3 * u * t * t * c2[k] +
+        t * t * t * p3[k],
+    );
+  };
+  // derivative, to rebuild each piece's control points
+  const tangent = (t) => {
+    const u = 1 - t;
+    return [0, 1].map(
+      (k) =>
+        3 * u * u * (c1[k] - p0[k]) +
+        6 * u * t * (c2[k] - c1[k]) +
+        3 * t * t * (p3[k] - c2[k]),
+    );
+  };
+  const quads = [];
+  for (let i = 0; i < n; i++) {
+    const t0 = i / n,
+      t1 = (i + 1) / n,
+      h = (t1 - t0) / 3;
+    const a = at(t0),
+      b = at(t1);
+    const d0 = tangent(t0),
+      d1 = tangent(t1);
+    const q1 = [a[0] + h * d0[0], a[1] + h * d0[1]];
+    const q2 = [b[0] - h * d1[0], b[1] - h * d1[1]];
+    const ctrl = [
+      (3 * (q1[0] + q2[0]) - a[0] - b[0]) / 4,
+      (3 * (q1[1] + q2[1]) - a[1] - b[1]) / 4,
+    ];
+    quads.push([ctrl, b]);
+  }
+  return quads;
+}
+
+// Outline + advance of one character, in font units with y pointing up.
+// Contours are arrays of [x, y, onCurve].
+function glyphFor(p, font, ch) {
+  let cache = _glyphCache.get(font);
+  if (!cache) _glyphCache.set(font, (cache = new Map()));
+  if (cache.has(ch)) return cache.get(ch);
+
+  const upm = font.data.head?.unitsPerEm || 1000;
+  let cmds = [];
+  let advance = 0;
+  // book.letterSpacing() lives on the context and would inflate the advance
+  const ctx = p.drawingContext;
+  const spacing = ctx.letterSpacing;
+  ctx.letterSpacing = "0px";
+  p.push();
+  p.textFont(font);
+  p.textSize(upm);
+  p.textAlign(p.LEFT, p.BASELINE);
+  try {
+    cmds = font.textToPaths(ch, 0, 0);
+    advance = p.textWidth(ch);
+  } catch (e) {
+    // glyphs p5 cannot shape on their own (e.g. lone combining marks)
+  }
+  p.pop();
+  ctx.letterSpacing = spacing;
+
+  const contours = [];
+  let cur = null;
+  let last = [0, 0];
+  const pt = (x, y) => [Math.round(x), Math.round(-y)];
+  for (const [type, ...a] of cmds) {
+    if (type === "M") {
+      cur = [];
+      contours.push(cur);
+      last = pt(a[0], a[1]);
+      cur.push([...last, true]);
+    } else if (!cur) {
+      continue;
+    } else if (type === "L") {
+      last = pt(a[0], a[1]);
+      cur.push([...last, true]);
+    } else if (type === "Q") {
+      cur.push([...pt(a[0], a[1]), false]);
+      last = pt(a[2], a[3]);
+      cur.push([...last, true]);
+    } else if (type === "C") {
+      const end = pt(a[4], a[5]);
+      for (const [c, b] of cubicToQuads(
+        last,
+        pt(a[0], a[1]),
+        pt(a[2], a[3]),
+        end,
+      )) {
+        cur.push([Math.round(c[0]), Math.round(c[1]), false]);
+        cur.push([Math.round(b[0]), Math.round(b[1]), true]);
+      }
+      last = end;
+    } else if (type === "Z") {
+      const f = cur[0];
+      const l = cur[cur.length - 1];
+      if (cur.length > 1 && l[2] && l[0] === f[0] && l[1] === f[1]) cur.pop();
+      cur = null;
+    }
+  }
+
+  const glyph = {
+    contours: contours.filter((c) => c.length > 1),
+    advance: Math.max(0, Math.round(advance)),
+  };
+  cache.set(ch, glyph);
+  return glyph;
+}
+
+// ── TrueType writer ────────────────────────────────────────────────────────
+class Writer {
+  constructor() {
+    this.bytes = [];
+  }
+  u8(v) {
+    this.bytes.push(v & 255);
+  }
+  u16(v) {
+    this.u8(v >> 8);
+    this.u8(v);
+  }
+  i16(v) {
+    this.u16(v < 0 ? v + 0x10000 : v);
+  }
+  u32(v) {
+    this.u16(Math.floor(v / 0x10000));
+    this.u16(v & 0xffff);
+  }
+  pad() {
+    while (this.bytes.length % 4) this.u8(0);
+  }
+  append(bytes) {
+    for (let i = 0; i < bytes.length; i++) this.bytes.push(bytes[i]);
+  }
+}
+
+// [xMin, yMin, xMax, yMax] of a list of points, or null when empty
+function bounds(pts) {
+  if (pts.length === 0) return null;
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of pts) {
+    if (x < b[0]) b[0] = x;
+    if (y < b[1]) b[1] = y;
+    if (x > b[2]) b[2] = x;
+    if (y > b[3]) b[3] = y;
+  }
+  return b;
+}
+
+function encodeGlyph(glyph) {
+  const w = new Writer();
+  const pts = glyph.contours.flat();
+  if (pts.length === 0) return w;
+  w.i16(glyph.contours.length);
+  bounds(pts).forEach((v) => w.i16(v));
+  let end = -1;
+  for (const c of glyph.contours) w.u16((end += c.length));
+  w.u16(0); // no instructions
+  // flags: on-curve bit only → every coordinate is a signed 16-bit delta
+  for (const q of pts) w.u8(q[2] ? 1 : 0);
+  for (const axis of [0, 1]) {
+    let prev = 0;
+    for (const q of pts) {
+      w.i16(q[axis] - prev);
+      prev = q[axis];
+    }
+  }
+  w.pad();
+  return w;
+}
+
+// Format-4 cmap: one segment per character, mapped by idDelta.
+function encodeCmap(codes) {
+  const segs = codes.map((c, i) => [c, (i + 1 - c + 0x10000) & 0xffff]);
+  segs.push([0xffff, 1]);
+  const segX2 = segs.length * 2;
+  const search = 2 ** Math.floor(Math.log2(segs.length)) * 2;
+  const w = new Writer();
+  w.u16(0); // version
+  w.u16(1); // numTables
+  w.u16(3); // Windows
+  w.u16(1); // Unicode BMP
+  w.u32(12);
+  w.u16(4); // format
+  w.u16(16 + segs.length * 8); // length
+  w.u16(0); // language
+  w.u16(segX2);
+  w.u16(search);
+  w.u16(Math.log2(search / 2));
+  w.u16(segX2 - search);
+  segs.forEach(([c]) => w.u16(c)); // endCode
+  w.u16(0); // reservedPad
+  segs.forEach(([c]) => w.u16(c)); // startCode
+  segs.forEach(([, d]) => w.u16(d)); // idDelta
+  segs.forEach(() => w.u16(0)); // idRangeOffset
+  return w;
+}
+
+function encodeName(psName) {
+  const records = [
+    [1, psName],
+    [4, psName],
+    [6, psName],
+  ];
+  const w = new Writer();
+  w.u16(0);
+  w.u16(records.length);
+  w.u16(6 + records.length * 12);
+  let off = 0;
+  for (const [id, str] of records) {
+    w.u16(1); // Macintosh, Roman — plain ASCII strings
+    w.u16(0);
+    w.u16(0);
+    w.u16(id);
+    w.u16(str.length);
+    w.u16(off);
+    off += str.length;
+  }
+  for (const [, str] of records) for (const ch of str) w.u8(ch.charCodeAt(0));
+  return w;
+}
+
+function checksum(bytes) {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 4) {
+    sum =
+      (sum +
+        ((bytes[i] << 24) >>> 0) +
+        ((bytes[i + 1] || 0) << 16) +
+        ((bytes[i + 2] || 0) << 8) +
+        (bytes[i + 3] || 0)) >>>
+      0;
+  }
+  return sum;
+}
+
+/** Build a TrueType font holding `chars` of a p5.Font. Returns base64. */
+function buildTrueType(p, font, chars, psName) {
+  const data = font.data;
+  const upm = data.head?.unitsPerEm || 1000;
+  const hhea = data.hhea || {};
+  const ascender = hhea.ascender ?? Math.round(upm * 0.8);
+  const descender = hhea.descender ?? -Math.round(upm * 0.2);
+
+  const list = [...chars].filter(isEmbeddableChar);
+  list.sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+  const notdef = { contours: [], advance: Math.round(upm / 2) };
+  const glyphs = [notdef, ...list.map((ch) => glyphFor(p, font, ch))];
+
+  const glyf = new Writer();
+  const loca = new Writer();
+  for (const g of glyphs) {
+    loca.u32(glyf.bytes.length);
+    glyf.append(encodeGlyph(g).bytes);
+  }
+  loca.u32(glyf.bytes.length);
+
+  const bbox = bounds(glyphs.flatMap((g) => g.contours.flat())) || [
+    0,
+    descender,
+    upm,
+    ascender,
+  ];
+
+  const head = new Writer();
+  head.u32(0x00010000);
+  head.u32(0x00010000);
+  head.u32(0); // checkSumAdjustment
+  head.u32(0x5f0f3cf5);
+  head.u16(0x000b);
+  head.u16(upm);
+  for (let i = 0; i < 4; i++) head.u32(0); // created, modified
+  bbox.forEach((v) => head.i16(v));
+  head.u16(0); // macStyle
+  head.u16(8);
+  head.i16(2);
+  head.i16(1); // long loca offsets
+  head.i16(0);
+
+  const hheaW = new Writer();
+  hheaW.u32(0x00010000);
+  hheaW.i16(ascender);
+  hheaW.i16(descender);
+  hheaW.i16(hhea.lineGap ?? 0);
+  hheaW.u16(glyphs.reduce((m, g) => Math.max(m, g.advance), 0));
+  hheaW.i16(bbox[0]);
+  hheaW.i16(0);
+  hheaW.i16(bbox[2]);
+  hheaW.i16(1); // caretSlopeRise
+  hheaW.i16(0);
+  hheaW.i16(0);
+  for (let i = 0; i < 5; i++) hheaW.i16(0);
+  hheaW.u16(glyphs.length);
+
+  const maxp = new Writer();
+  maxp.u32(0x00010000);
+  maxp.u16(glyphs.length);
+  maxp.u16(glyphs.reduce((m, g) => Math.max(m, g.contours.flat().length), 0));
+  maxp.u16(glyphs.reduce((m, g) => Math.max(m, g.contours.length), 0));
+  maxp.u16(0);
+  maxp.u16(0);
+  maxp.u16(2); // maxZones
+  for (let i = 0; i < 8; i++) maxp.u16(0);
+
+  const hmtx = new Writer();
+  for (const g of glyphs) {
+    hmtx.u16(g.advance);
+    hmtx.i16(bounds(g.contours.flat())?.[0] ?? 0);
+  }
+
+  const post = new Writer();
+  post.u32(0x00030000);
+  post.u32(0); // italicAngle
+  post.i16(-Math.round(upm / 10));
+  post.i16(Math.round(upm / 20));
+  for (let i = 0; i < 5; i++) post.u32(0);
+
+  const tables = {
+    cmap: encodeCmap(list.map((ch) => ch.codePointAt(0))),
+    glyf,
+    head,
+    hhea: hheaW,
+    hmtx,
+    loca,
+    maxp,
+    name: encodeName(psName),
+    post,
+  };
+  const tags = Object.keys(tables).sort();
+  const out = new Writer();
+  const search = 2 ** Math.floor(Math.log2(tags.length));
+  out.u32(0x00010000);
+  out.u16(tags.length);
+  out.u16(search * 16);
+  out.u16(Math.log2(search));
+  out.u16(tags.length * 16 - search * 16);
+  let offset = 12 + tags.length * 16;
+  for (const tag of tags) {
+    const bytes = tables[tag].bytes;
+    for (const ch of tag) out.u8(ch.charCodeAt(0));
+    out.u32(checksum(bytes));
+    out.u32(offset);
+    out.u32(bytes.length);
+    offset += Math.ceil(bytes.length / 4) * 4;
+  }
+  for (const tag of tags) {
+    out.append(tables[tag].bytes);
+    out.pad();
+  }
+
+  let bin = "";
+  for (let i = 0; i < out.bytes.length; i += 0x8000)
+    bin += String.fromCharCode(...out.bytes.slice(i, i + 0x8000));
+  return btoa(bin);
+}
+
+// ── jsPDF registration ─────────────────────────────────────────────────────
+const _pdfFonts = new WeakMap(); // jsPDF → Map(p5.Font → { name, chars })
+const _fontIds = new WeakMap(); // p5.Font → short id for PDF font names
+let _nextFontId = 1;
+
+/** Register `font` with `pdf` so it covers every character in `chars`, and
+ *  return the jsPDF font name to pass to setFont(). A new subset is embedded
+ *  only when the book has used characters the previous one lacks. */
+function embedFont(p, pdf, font, chars) {
+  let fonts = _pdfFonts.get(pdf);
+  if (!fonts) _pdfFonts.set(pdf, (fonts = new Map()));
+  const known = fonts.get(font);
+  if (known && [...chars].every((ch) => known.chars.has(ch))) return known.name;
+
+  if (!_fontIds.has(font)) _fontIds.set(font, _nextFontId++);
+  const base = String(font.name || "Font").replace(/[^A-Za-z0-9-]/g, "");
+  const version = known ? known.version + 1 : 1;
+  const name = `P5Book${_fontIds.get(font)}v${version}-${base}`.slice(0, 63);
+  const file = `${name}.ttf`;
+  pdf.addFileToVFS(file, buildTrueType(p, font, chars, name));
+  pdf.addFont(file, name, "normal");
+  fonts.set(font, { name, version, chars: new Set(chars) });
+  return name;
+}
+
+export { hasFontData, isEmbeddableChar, embedFont };
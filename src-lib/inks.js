@@ -0,0 +1,108 @@
+// Risograph / spot-color ink layers for p5.book
+// Each book.ink(name) layer is drawn in grayscale (darker = more ink) and
+// becomes one plate per page; the viewer shows them overprinted in color.
+
+import { parseCSSColor } from "./textlayer.js";
+import { rawImage } from "./color.js";
+
+// Common risograph drum colors
+const RISO_INKS = {
+  black: [0, 0, 0],
+  burgundy: [145, 78, 114],
+  blue: [0, 120, 191],
+  federalBlue: [61, 85, 136],
+  mediumBlue: [50, 85, 164],
+  aqua: [94, 200, 229],
+  teal: [0, 131, 138],
+  green: [0, 169, 92],
+  hunterGreen: [64, 112, 96],
+  kellyGreen: [103, 179, 70],
+  red: [255, 102, 94],
+  brightRed: [241, 80, 96],
+  scarlet: [246, 80, 88],
+  crimson: [228, 93, 80],
+  orange: [255, 108, 47],
+  yellow: [255, 232, 0],
+  sunflower: [255, 181, 17],
+  flatGold: [187, 139, 65],
+  purple: [118, 91, 167],
+  violet: [157, 122, 210],
+  brown: [146, 95, 82],
+  gray: [146, 141, 136],
+  lightGray: [136, 137, 138],
+  fluorescentPink: [255, 72, 176],
+  fluorescentOrange: [255, 116, 119],
+  fluorescentYellow: [255, 233, 0],
+  fluorescentGreen: [68, 214, 44],
+};
+
+/** Ink color for book.ink(): an explicit "#rrggbb" / [r, g, b], or the
+ *  RISO_INKS entry for `name`. Returns null when neither is known. */
+function inkColor(name, color) {
+  if (Array.isArray(color)) return color.slice(0, 3);
+  if (typeof color === "string") return parseCSSColor(color).slice(0, 3);
+  return RISO_INKS[name] ? RISO_INKS[name] : null;
+}
+
+/** Ink coverage of a layer canvas, 0–255 per pixel: how dark and how opaque
+ *  each pixel was drawn. Returns null for an empty layer. */
+function inkCoverage(cvs) {
+  const { width, height } = cvs;
+  if (width === 0 || height === 0) return null;
+  const px = cvs.getContext("2d").getImageData(0, 0, width, height).data;
+  const cover = new Uint8Array(width * height);
+  let any = false;
+  for (let i = 0, j = 0; i < px.length; i += 4, j++) {
+    const lum = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+    cover[j] = Math.round(((255 - lum) * px[i + 3]) / 255);
+    if (cover[j]) any = true;
+  }
+  return any ? cover : null;
+}
+
+/** A coverage grown by (dx, dy) pixels on every side, the edge pixels
+ *  repeated outward, so a plate runs into the bleed like the page does. */
+function bleedCoverage(cover, width, height, dx, dy) {
+  if (dx === 0 && dy === 0) return cover;
+  const w = width + 2 * dx;
+  const h = height + 2 * dy;
+  const out = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    const row = Math.min(height - 1, Math.max(0, y - dy)) * width;
+    for (let x = 0; x < w; x++)
+      out[y * w + x] = cover[row + Math.min(width - 1, Math.max(0, x - dx))];
+  }
+  return out;
+}
+
+/** [imageData, format] for jsPDF addImage(): a plate as DeviceGray, black
+ *  where the ink goes. */
+function plateImage(jsPDF, cover, width, height) {
+  const samples = new Uint8Array(cover.length);
+  for (let i = 0; i < cover.length; i++) samples[i] = 255 - cover[i];
+  return rawImage(jsPDF, { width, height, colorSpace: "DeviceGray", samples });
+}
+
+/** Overprint a plate onto a 2D context in its ink color at (dx, dy) device
+ *  pixels, the way the drum lays ink on paper. */
+function paintInk(ctx, cover, width, height, color, dx = 0, dy = 0) {
+  const layer = document.createElement("canvas");
+  layer.width = width;
+  layer.height = height;
+  const lctx = layer.getContext("2d");
+  const img = lctx.createImageData(width, height);
+  const [r, g, b] = color;
+  for (let i = 0, j = 0; j < cover.length; i += 4, j++) {
+    img.data[i] = r;
+    img.data[i + 1] = g;
+    img.data[i + 2] = b;
+    img.data[i + 3] = cover[j];
+  }
+  lctx.putImageData(img, 0, 0);
+  ctx.save();
+  ctx.globalCompositeOperation = "multiply";
+  ctx.drawImage(layer, dx, dy);
+  ctx.restore();
+}
+
+export { inkColor, inkCoverage, bleedCoverage, plateImage, paintInk };
@@ -0,0 +1,249 @@
+// Printer's marks for p5.book
+// Drawn around the trim of every exported page: trim (crop) marks, bleed
+// marks, registration targets, center marks, color bars and a slug line.
+
+const PRINT_MARKS = [
+  "trim",
+  "bleed",
+  "registration",
+  "colorBars",
+  "centerMarks",
+  "slug",
+];
+
+// Trim marks fit inside the bleed. Every other mark needs room outside it:
+// the page grows by this much on each side as soon as one is turned on.
+const MARK_MARGIN_MM = 10;
+
+// Registration color: 100% of every ink, so the targets appear on all plates
+const REGISTRATION = [1, 1, 1, 1];
+
+// Process inks, two-ink overprints and black tints, as CMYK fractions
+const COLOR_BARS = [
+  [1, 0, 0, 0],
+  [0, 1, 0, 0],
+  [0, 0, 1, 0],
+  [0, 0, 0, 1],
+  [0, 1, 1, 0],
+  [1, 0, 1, 0],
+  [1, 1, 0, 0],
+  [0, 0, 0, 0.75],
+  [0, 0, 0, 0.5],
+  [0, 0, 0, 0.25],
+];
+
+/** setPrintMarks() argument → { trim, bleed, ... } or false. `true` is the
+ *  default set (trim marks only); an object turns marks on or off on top of
+ *  it. `slug` may be an object such as { seed } to add to the slug line. */
+function resolvePrintMarks(marks) {
+  if (!marks) return false;
+  const set = Object.fromEntries(PRINT_MARKS.map((k) => [k, k === "trim"]));
+  if (marks === true) return set;
+  for (const [k, v] of Object.entries(marks)) {
+    if (!PRINT_MARKS.includes(k)) {
+      console.warn(
+        `[p5.book] setPrintMarks(): unknown mark "${k}". Use ${PRINT_MARKS.join(", ")}.`,
+      );
+      continue;
+    }
+    set[k] = k === "slug" && v && typeof v === "object" ? v : !!v;
+  }
+  return PRINT_MARKS.some((k) => set[k]) ? set : false;
+}
+
+/** Margin outside the bleed that a mark set needs, in mm. */
+function markMarginMM(marks) {
+  if (!marks) return 0;
+  return PRINT_MARKS.some((k) => k !== "trim" && marks[k]) ? MARK_MARGIN_MM : 0;
+}
+
+// Eight corner arms from the page edges (px0, py0, pw, ph) to `off` short of
+// the rectangle.
+function cornerLines(x0, y0, x1, y1, px0, py0, pw, ph, off) {
+  return [
+    [px0, y0, x0 - off, y0],
+    [x0, py0, x0, y0 - off], // TL
+    [pw, y0, x1 + off, y0],
+    [x1, py0, x1, y0 - off], // TR
+    [px0, y1, x0 - off, y1],
+    [x0, ph, x0, y1 + off], // BL
+    [pw, y1, x1 + off, y1],
+    [x1, ph, x1, y1 + off], // BR
+  ];
+}
+
+/** Draw a mark set onto the current page of a jsPDF document, or around one
+ *  cell of a press sheet: the marks stay within trim + bleed + margin.
+ *  @param {object} o
+ *  @param {object} o.marks        resolved set, see resolvePrintMarks()
+ *  @param {number} o.x, o.y       top-left of the trim in PDF units
+ *  @param {number} o.w, o.h       trim size in PDF units
+ *  @param {number} o.bleed        bleed in PDF units
+ *  @param {number} o.margin       mark margin outside the bleed in PDF units
+ *  @param {number} o.mmPerUnit    millimetres per PDF unit
+ *  @param {number[]} [o.folds]    x positions of vertical folds (cover spines)
+ *  @param {string} [o.slug]       slug line text
+ *  @param {string} [o.slugFont]   jsPDF font embedded for the slug; without
+ *                                 one it is set in Helvetica, Latin-1 only */
+function drawPrintMarks(pdf, o) {
+  const { marks, bleed: b, margin: m } = o;
+  const u = o.mmPerUnit;
+  const gap = 1 / u; // 1 mm gap before the line a mark points at
+  const hair = 0.3 / u; // 0.3 mm hairline
+  const x0 = o.x,
+    y0 = o.y;
+  const x1 = o.x + o.w,
+    y1 = o.y + o.h;
+  const px0 = x0 - b - m; // page edges
+  const py0 = y0 - b - m;
+  const pw = x1 + b + m;
+  const ph = y1 + b + m;
+  const cx = (x0 + x1) / 2,
+    cy = (y0 + y1) / 2;
+  // With a mark margin the arms stay out of the bleed as well
+  const off = m > 0 ? b + gap : gap;
+  const r = Math.min(m * 0.3, 3 / u); // registration target radius
+  const inset = 3 / u; // keeps bars and slug clear of the corner marks
+  const hairlines = (lines) =>
+    lines.forEach(([ax, ay, bx, by]) => pdf.line(ax, ay, bx, by));
+
+  // Hairlines in Difference blend mode (white inverts any background)
+  pdf.setGState(new pdf.GState({ "blend-mode": "Difference" }));
+  pdf.setDrawColor(255, 255, 255);
+  pdf.setLineWidth(hair);
+  if (marks.trim) hairlines(cornerLines(x0, y0, x1, y1, px0, py0, pw, ph, off));
+  // Folds are marked at the top and bottom only (fold, not crop)
+  for (const fx of o.folds || [])
+    hairlines([
+      [fx, py0, fx, y0 - off],
+      [fx, ph, fx, y1 + off],
+    ]);
+  if (marks.centerMarks)
+    hairlines([
+      [cx, py0, cx, y0 - off],
+      [cx, ph, cx, y1 + off],
+      [px0, cy, x0 - off, cy],
+      [pw, cy, x1 + off, cy],
+    ]);
+  if (marks.bleed && b > 0) {
+    pdf.setLineDashPattern([1 / u, 0.7 / u], 0);
+    hairlines(
+      cornerLines(x0 - b, y0 - b, x1 + b, y1 + b, px0, py0, pw, ph, gap),
+    );
+    pdf.setLineDashPattern([], 0);
+  }
+  pdf.setGState(new pdf.GState({ "blend-mode": "Normal" }));
+
+  if (m <= 0) return;
+
+  if (marks.registration) {
+    pdf.setDrawColor(...REGISTRATION);
+    pdf.setLineWidth(hair);
+    const targets = [
+      [cx, py0 + m / 2],
+      [cx, ph - m / 2],
+      [px0 + m / 2, cy],
+      [pw - m / 2, cy],
+    ];
+    for (const [tx, ty] of targets) {
+      pdf.circle(tx, ty, r, "S");
+      pdf.circle(tx, ty, r / 2, "S");
+      hairlines([
+        [tx - 1.4 * r, ty, tx + 1.4 * r, ty],
+        [tx, ty - 1.4 * r, tx, ty + 1.4 * r],
+      ]);
+    }
+  }
+
+  // Color bars along the top, stopping short of the center target
+  if (marks.colorBars) {
+    const s = Math.min(m * 0.5, 5 / u);
+    let x = x0 + inset;
+    for (const cmyk of COLOR_BARS) {
+      if (x + s > cx - 2 * r) break;
+      pdf.setFillColor(...cmyk);
+      pdf.rect(x, py0 + (m - s) / 2, s, s, "F");
+      x += s;
+    }
+  }
+
+  if (marks.slug && o.slug) {
+    pdf.setFont(o.slugFont || "helvetica", "normal");
+    pdf.setFontSize(6);
+    pdf.setTextColor(0, 0, 0);
+    const slug = o.slugFont ? o.slug : toLatin1(o.slug);
+    pdf.text(slug, x0 + inset, ph - m / 2, { baseline: "middle" });
+  }
+}
+
+// The standard PDF fonts only encode Latin-1: strip the accents off any other
+// letter that decomposes into one, and show the rest as "?" rather than as
+// garbled bytes.
+function toLatin1(str) {
+  return str.replace(/[^\u0000-\u00ff]/g, (ch) => {
+    const base = ch.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+    return /^[\u0000-\u00ff]+$/.test(base) ? base : "?";
+  });
+}
+
+/** Guides for a sheet that is folded rather than trimmed: dashed ticks where
+ *  each fold line meets the sheet edge, and solid cut lines.
+ *  @param {object} o
+ *  @param {number[][]} o.folds    [x0, y0, x1, y1] fold lines in PDF units
+ *  @param {number[][]} [o.cuts]   [x0, y0, x1, y1] cut lines in PDF units
+ *  @param {number} o.mmPerUnit    millimetres per PDF unit */
+function drawFoldGuides(pdf, o) {
+  const u = o.mmPerUnit;
+  const tick = 5 / u;
+  pdf.setGState(new pdf.GState({ "blend-mode": "Difference" }));
+  pdf.setDrawColor(255, 255, 255);
+  pdf.setLineWidth(0.3 / u);
+  pdf.setLineDashPattern([1 / u, 0.7 / u], 0);
+  for (const [x0, y0, x1, y1] of o.folds) {
+    const len = Math.hypot(x1 - x0, y1 - y0);
+    const dx = ((x1 - x0) / len) * tick,
+      dy = ((y1 - y0) / len) * tick;
+    pdf.line(x0, y0, x0 + dx, y0 + dy);
+    pdf.line(x1, y1, x1 - dx, y1 - dy);
+  }
+  pdf.setLineDashPattern([], 0);
+  for (const [x0, y0, x1, y1] of o.cuts || []) pdf.line(x0, y0, x1, y1);
+  pdf.setGState(new pdf.GState({ "blend-mode": "Normal" }));
+}
+
+/** Crop marks for pages ganged edge to edge, where per-page marks would
+ *  cross the neighbouring pages: ticks outside the block only, in line with
+ *  every trim edge.
+ *  @param {object} o
+ *  @param {number[]} o.xs        x positions of the vertical trim lines
+ *  @param {number[]} o.ys        y positions of the horizontal trim lines
+ *  @param {number[]} o.block     [x0, y0, x1, y1] outer (bleed) edges of the block
+ *  @param {number} o.margin      room outside the block in PDF units
+ *  @param {number} o.mmPerUnit   millimetres per PDF unit */
+function drawGangMarks(pdf, o) {
+  const u = o.mmPerUnit;
+  const gap = 1 / u;
+  const len = Math.min(5 / u, o.margin - gap);
+  if (len <= 0) return;
+  const [x0, y0, x1, y1] = o.block;
+  pdf.setGState(new pdf.GState({ "blend-mode": "Difference" }));
+  pdf.setDrawColor(255, 255, 255);
+  pdf.setLineWidth(0.3 / u);
+  for (const x of o.xs) {
+    pdf.line(x, y0 - gap, x, y0 - gap - len);
+    pdf.line(x, y1 + gap, x, y1 + gap + len);
+  }
+  for (const y of o.ys) {
+    pdf.line(x0 - gap, y, x0 - gap - len, y);
+    pdf.line(x1 + gap, y, x1 + gap + len, y);
+  }
+  pdf.setGState(new pdf.GState({ "blend-mode": "Normal" }));
+}
+
+export {
+  resolvePrintMarks,
+  markMarginMM,
+  drawPrintMarks,
+  drawFoldGuides,
+  drawGangMarks,
+};
@@ -0,0 +1,163 @@
+// Preflight checks for p5.book
+// Run once every page is in, before the viewer opens: the problems a printer
+// would send back (low resolution, page counts the binding can't take, empty
+// bleed, artwork in the safe margin, mixed blacks, too much ink), listed per
+// page in the viewer's "preflight" mode.
+
+import { rgbToCMYK } from "./color.js";
+
+const PREFLIGHT_CHECKS = ["dpi", "pages", "bleed", "safe", "black", "ink"];
+
+// Below this luminance a pixel counts as black
+const BLACK_LUM = 40;
+
+// Two samples closer than this (largest RGB channel difference) are the same
+// color
+const SAME_COLOR = 24;
+
+// Shares of sampled pixels below which a finding is ignored as anti-aliasing
+const MIN_SHARE = 0.002;
+
+const isEmpty = (px, i) =>
+  px[i + 3] < 8 || (px[i] > 250 && px[i + 1] > 250 && px[i + 2] > 250);
+const sameColor = (px, i, j) =>
+  Math.abs(px[i] - px[j]) <= SAME_COLOR &&
+  Math.abs(px[i + 1] - px[j + 1]) <= SAME_COLOR &&
+  Math.abs(px[i + 2] - px[j + 2]) <= SAME_COLOR;
+
+/** Pixel checks for one page image (trim plus bleed), from a sample of at
+ *  most ~250k pixels. Returns { bleed, safe, black, ink }: the sides whose
+ *  bleed is empty where artwork reaches the trim edge, whether anything
+ *  stands out from a plain edge background inside the safe margin, the
+ *  shares of pure and rich black, and the share over the total ink limit.
+ *  @param {HTMLCanvasElement} cvs
+ *  @param {object} o
+ *  @param {number} o.bleedX, o.bleedY  bleed in pixels (0 = no bleed)
+ *  @param {number} o.safeX, o.safeY    safe margin inside the trim in pixels
+ *  @param {object} o.profile           CMYK profile, see resolveCMYKProfile()
+ *  @param {number} o.totalInk          total ink limit, 1 = 100 % */
+function checkPagePixels(cvs, o) {
+  const { width, height } = cvs;
+  const result = { bleed: [], safe: false, pure: 0, rich: 0, ink: 0 };
+  if (width === 0 || height === 0) return result;
+  const px = cvs.getContext("2d").getImageData(0, 0, width, height).data;
+  const at = (x, y) => (Math.floor(y) * width + Math.floor(x)) * 4;
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / 250000)));
+  const bx = o.bleedX,
+    by = o.bleedY;
+  const x0 = bx,
+    y0 = by,
+    x1 = width - bx - 1,
+    y1 = height - by - 1;
+
+  // Bleed: a pixel just inside the trim with artwork, and halfway out into
+  // the bleed nothing
+  if (bx >= 2 && by >= 2) {
+    const sides = {
+      top: (t) => [at(t, y0), at(t, by / 2)],
+      bottom: (t) => [at(t, y1), at(t, height - by / 2)],
+      left: (t) => [at(x0, t), at(bx / 2, t)],
+      right: (t) => [at(x1, t), at(width - bx / 2, t)],
+    };
+    for (const [side, pair] of Object.entries(sides)) {
+      const [from, to] =
+        side === "top" || side === "bottom" ? [x0, x1] : [y0, y1];
+      let seen = 0,
+        empty = 0;
+      for (let t = from; t <= to; t += step) {
+        const [inner, outer] = pair(t);
+        seen++;
+        if (!isEmpty(px, inner) && isEmpty(px, outer)) empty++;
+      }
+      if (seen && empty / seen > 0.02) result.bleed.push(side);
+    }
+  }
+
+  // Safe margin: only on pages with a plain background along the trim edge;
+  // artwork running off a photo or pattern is meant to touch it
+  const edge = [];
+  for (let x = x0; x <= x1; x += step) edge.push(at(x, y0), at(x, y1));
+  for (let y = y0; y <= y1; y += step) edge.push(at(x0, y), at(x1, y));
+  const bg = edge[0];
+  const plain = edge.filter((i) => sameColor(px, i, bg)).length;
+  if (o.safeX > 0 && plain / edge.length >= 0.98) {
+    let seen = 0,
+      out = 0;
+    for (let y = y0; y <= y1; y += step) {
+      for (let x = x0; x <= x1; x += step) {
+        const inside =
+          x >= x0 + o.safeX &&
+          x <= x1 - o.safeX &&
+          y >= y0 + o.safeY &&
+          y <= y1 - o.safeY;
+        if (inside) continue;
+        seen++;
+        if (!sameColor(px, at(x, y), bg)) out++;
+      }
+    }
+    result.safe = seen > 0 && out / seen > MIN_SHARE;
+  }
+
+  // Blacks and total ink over the whole page
+  let seen = 0,
+    pure = 0,
+    rich = 0,
+    over = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const i = at(x, y);
+      if (px[i + 3] === 0) continue;
+      seen++;
+      if (isEmpty(px, i)) continue;
+      const [c, m, yy, k] = rgbToCMYK(px[i], px[i + 1], px[i + 2], o.profile);
+      if (c + m + yy + k > o.totalInk + 0.01) over++;
+      const lum = 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+      if (lum < BLACK_LUM) {
+        if (c + m + yy < 0.05) pure++;
+        else rich++;
+      }
+    }
+  }
+  if (seen) {
+    result.pure = pure / seen;
+    result.rich = rich / seen;
+    result.ink = over / seen;
+  }
+  return result;
+}
+
+/** Watch a 2D context for images drawn larger than their own pixels: calls
+ *  `onScale(s)` for every drawImage(), s being how many canvas pixels one
+ *  image pixel covers across (2 = enlarged twice). Returns a function that
+ *  stops watching. */
+function watchImageScale(ctx, onScale) {
+  const draw = ctx.drawImage; // vector capture's hook, or the context's own
+  const own = Object.prototype.hasOwnProperty.call(ctx, "drawImage");
+  const hook = function (img, ...a) {
+    const w = img.naturalWidth || img.videoWidth || img.width;
+    const h = img.naturalHeight || img.videoHeight || img.height;
+    // drawImage(img, dx, dy), (img, dx, dy, dw, dh) or (img, sx, sy, sw, sh,
+    // dx, dy, dw, dh)
+    const [sw, sh, dw, dh] =
+      a.length >= 8
+        ? [a[2], a[3], a[6], a[7]]
+        : a.length >= 4
+          ? [w, h, a[2], a[3]]
+          : [w, h, w, h];
+    const m = ctx.getTransform();
+    const s = Math.max(
+      Math.abs((dw * Math.hypot(m.a, m.b)) / sw),
+      Math.abs((dh * Math.hypot(m.c, m.d)) / sh),
+    );
+    if (Number.isFinite(s)) onScale(s);
+    return draw.call(this, img, ...a);
+  };
+  ctx.drawImage = hook;
+  return () => {
+    if (ctx.drawImage !== hook) return; // already unhooked with the recorder
+    if (own) ctx.drawImage = draw;
+    else delete ctx.drawImage;
+  };
+}
+
+export { PREFLIGHT_CHECKS, MIN_SHARE, checkPagePixels, watchImageScale };
@@ -0,0 +1,183 @@
+// Print specification profiles for p5.book
+// book.useProfile() sets trim, bleed, DPI and paper from a profile, and at
+// finish() the book is checked against the profile's page count, spine and
+// safe-zone rules. The built-in numbers follow common print-on-demand specs;
+// check them against your printer's current guidelines.
+
+import { MM_PER_UNIT } from "./constants.js";
+
+/** Built-in profiles. Lengths are in `unit`.
+ *  trim               [width, height]
+ *  bleed              bleed on every side
+ *  safe               safe margin inside the trim: keep text clear of it
+ *  dpi                minimum resolution of page images
+ *  minPages/maxPages  page count limits
+ *  pageMultiple       page count must be a multiple of this
+ *  spineTextMinPages  fewer pages than this: no text on the spine
+ *  paper              setPaper() stock
+ *  marks              setPrintMarks() value; false for printers that add their own */
+const POD_PAPERBACK = {
+  unit: "in",
+  bleed: 0.125,
+  safe: 0.25,
+  dpi: 300,
+  minPages: 24,
+  maxPages: 828,
+  pageMultiple: 2,
+  spineTextMinPages: 79,
+  paper: "pod-white",
+  marks: false,
+};
+const POD_HARDCOVER = {
+  ...POD_PAPERBACK,
+  minPages: 75,
+  maxPages: 550,
+};
+
+const PRINT_PROFILES = {
+  "pod-5x8-paperback": { ...POD_PAPERBACK, trim: [5, 8] },
+  "pod-5.5x8.5-paperback": { ...POD_PAPERBACK, trim: [5.5, 8.5] },
+  "pod-6x9-paperback": { ...POD_PAPERBACK, trim: [6, 9] },
+  "pod-8.5x11-paperback": { ...POD_PAPERBACK, trim: [8.5, 11] },
+  "pod-6x9-hardcover": { ...POD_HARDCOVER, trim: [6, 9] },
+  "pod-8.5x11-hardcover": { ...POD_HARDCOVER, trim: [8.5, 11] },
+  "a5-saddle-stitch": {
+    unit: "mm",
+    trim: [148, 210],
+    bleed: 3,
+    safe: 5,
+    dpi: 300,
+    minPages: 8,
+    maxPages: 64,
+    pageMultiple: 4,
+    paper: "uncoated-80gsm",
+  },
+  "a4-perfect-bound": {
+    unit: "mm",
+    trim: [210, 297],
+    bleed: 3,
+    safe: 5,
+    dpi: 300,
+    minPages: 32,
+    pageMultiple: 2,
+    spineTextMinPages: 80,
+    paper: "uncoated-90gsm",
+  },
+};
+
+/** useProfile() argument → profile with lengths in mm, or null. A string
+ *  names a built-in profile; an object is a profile of your own, and may
+ *  start from a built-in one with `extends`. */
+function resolveProfile(profile) {
+  let spec = profile;
+  let name = profile;
+  if (typeof profile === "string") {
+    spec = PRINT_PROFILES[profile];
+  } else if (profile && typeof profile === "object") {
+    const base = profile.extends ? PRINT_PROFILES[profile.extends] : {};
+    spec = base && { ...base, ...profile };
+    name = profile.name || profile.extends || "custom";
+  }
+  if (!spec || !spec.trim) {
+    console.warn(
+      `[p5.book] useProfile(): unknown profile ${JSON.stringify(profile)}. Use ${Object.keys(PRINT_PROFILES).join(", ")}, or an object with a trim.`,
+    );
+    return null;
+  }
+  const u = MM_PER_UNIT[spec.unit || "mm"] || 1;
+  const mm = (v) => (v == null ? null : v * u);
+  return {
+    name,
+    trimMM: spec.trim.map((v) => v * u),
+    bleedMM: mm(spec.bleed),
+    safeMM: mm(spec.safe),
+    dpi: spec.dpi ?? null,
+    minPages: spec.minPages ?? null,
+    maxPages: spec.maxPages ?? null,
+    pageMultiple: spec.pageMultiple ?? null,
+    spineTextMinPages: spec.spineTextMinPages ?? null,
+    paper: spec.paper ?? null,
+    marks: spec.marks,
+  };
+}
+
+/** Problems with a finished book under a resolved profile, as
+ *  { check, message, page } where page is a 0-based index or null.
+ *  @param {object} profile  see resolveProfile()
+ *  @param {object} book
+ *  @param {number} book.pages      page count
+ *  @param {number} book.bleedMM
+ *  @param {number|null} book.dpi   resolution of the page images
+ *  @param {number} book.spineMM
+ *  @param {boolean} book.spineDrawn  book.spine was used
+ *  @param {number} book.safePx     safe margin in canvas pixels
+ *  @param {number} book.width, book.height  canvas size
+ *  @param {object[][]} book.textRuns  text runs per page */
+function checkProfile(profile, book) {
+  const issues = [];
+  const issue = (check, message, page = null) =>
+    issues.push({ check, message, page });
+  const n = book.pages;
+  const pp = (k) => `${k} page${k === 1 ? "" : "s"}`;
+
+  if (profile.minPages != null && n < profile.minPages)
+    issue(
+      "pages",
+      `${pp(n)}; ${profile.name} needs at least ${profile.minPages}.`,
+    );
+  if (profile.maxPages != null && n > profile.maxPages)
+    issue(
+      "pages",
+      `${pp(n)}; ${profile.name} allows at most ${profile.maxPages}.`,
+    );
+  if (profile.pageMultiple > 1 && n % profile.pageMultiple !== 0)
+    issue(
+      "pages",
+      `${pp(n)} is not a multiple of ${profile.pageMultiple}; see setPadding().`,
+    );
+
+  if (profile.bleedMM != null && book.bleedMM < profile.bleedMM - 0.01)
+    issue(
+      "bleed",
+      `Bleed is ${book.bleedMM.toFixed(1)} mm; ${profile.name} needs ${profile.bleedMM.toFixed(1)} mm.`,
+    );
+
+  if (profile.dpi != null && book.dpi != null && book.dpi < profile.dpi - 1)
+    issue(
+      "dpi",
+      `Pages are ${Math.round(book.dpi)} dpi; ${profile.name} needs ${profile.dpi} dpi. Use setDPI(${profile.dpi}).`,
+    );
+
+  if (
+    profile.spineTextMinPages != null &&
+    book.spineDrawn &&
+    n < profile.spineTextMinPages
+  )
+    issue(
+      "spine",
+      `The spine is ${book.spineMM.toFixed(1)} mm; ${profile.name} allows spine text from ${profile.spineTextMinPages} pages. Leave book.spine blank.`,
+    );
+
+  // Text set with textBox()/text() must stay inside the safe margin
+  if (profile.safeMM != null) {
+    const s = book.safePx;
+    book.textRuns.forEach((runs, page) => {
+      const out = (runs || []).some(
+        (r) =>
+          r.x < s ||
+          r.x + r.width > book.width - s ||
+          r.y - r.size * 0.8 < s ||
+          r.y + r.size * 0.2 > book.height - s,
+      );
+      if (out)
+        issue(
+          "safe",
+          `Page ${page + 1}: text within ${profile.safeMM.toFixed(1)} mm of the trim.`,
+          page,
+        );
+    });
+  }
+  return issues;
+}
+
+export { PRINT_PROFILES, resolveProfile, checkProfile };
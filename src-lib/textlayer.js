@@ -0,0 +1,209 @@
+// Text layer for p5.book
+// Lines set with book.textBox() / book.text() are recorded per page so every
+// PDF builder can write them as real (searchable, selectable) text objects.
+
+const TEXT_LAYER_MODES = ["overlay", "vector"];
+
+// "#rrggbb" or "rgb(a)(r, g, b[, a])" → [r, g, b, a]. Anything else (gradients,
+// patterns, wide-gamut colors) falls back to black.
+function parseCSSColor(str) {
+  if (typeof str !== "string") return [0, 0, 0, 1];
+  const hex = /^#([0-9a-f]{6})$/i.exec(str);
+  if (hex) {
+    const n = parseInt(hex[1], 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255, 1];
+  }
+  const rgb = /^rgba?\(([^)]+)\)$/i.exec(str);
+  if (rgb) {
+    const [r, g, b, a] = rgb[1].split(",").map((v) => parseFloat(v));
+    return [r, g, b, a ?? 1];
+  }
+  return [0, 0, 0, 1];
+}
+
+// Horizontal anchor as a fraction of the line width (0 = left edge).
+function alignFactor(align, rtl) {
+  if (align === "center") return 0.5;
+  if (align === "right") return 1;
+  if (align === "start") return rtl ? 1 : 0;
+  if (align === "end") return rtl ? 0 : 1;
+  return 0;
+}
+
+/** Snapshot one line of text at (x, y) using the sketch's current text state.
+ *  The run stores its left/alphabetic-baseline origin in canvas pixels with the
+ *  current transform already applied, plus everything needed to repaint it. */
+function captureTextRun(p, str, x, y) {
+  const ctx = p.drawingContext;
+  // Copy p5's text state onto the context so drawingContext.font is current
+  // even when nothing has been drawn with text() yet this frame. This only
+  // writes the context, not the sketch's text settings (a textSize() call
+  // would, and can reset the leading). p5 also resets direction/letterSpacing
+  // there, which textBox() and letterSpacing() set on the context directly —
+  // keep those.
+  const { direction, letterSpacing } = ctx;
+  p._renderer?._applyTextProperties?.();
+  ctx.direction = direction;
+  ctx.letterSpacing = letterSpacing;
+  return textRunFromContext(p, str, x, y);
+}
+
+/** Same as captureTextRun(), but trusts drawingContext as it is — for calls
+ *  made while p5 itself is drawing text (vector capture's fillText hook). */
+function textRunFromContext(p, str, x, y) {
+  const ctx = p.drawingContext;
+  const d = p.pixelDensity();
+  const m = ctx.getTransform();
+  const rtl = ctx.direction === "rtl";
+
+  const metrics = ctx.measureText(str);
+  const prevBaseline = ctx.textBaseline;
+  ctx.textBaseline = "alphabetic";
+  const alphaAscent = ctx.measureText(str).fontBoundingBoxAscent;
+  ctx.textBaseline = prevBaseline;
+  const baselineShift =
+    alphaAscent != null && metrics.fontBoundingBoxAscent != null
+      ? alphaAscent - metrics.fontBoundingBoxAscent
+      : 0;
+
+  const lx = x - alignFactor(ctx.textAlign, rtl) * metrics.width;
+  const ly = y + baselineShift;
+  const scale = Math.hypot(m.a, m.b) / d;
+
+  const font = p.textFont();
+  const style = String(p.textStyle() || "normal").toLowerCase();
+  const weight = p.textWeight?.();
+
+  return {
+    str,
+    x: (m.a * lx + m.c * ly + m.e) / d,
+    y: (m.b * lx + m.d * ly + m.f) / d,
+    angle: Math.atan2(m.b, m.a),
+    size: p.textSize() * scale,
+    width: metrics.width * scale,
+    spacing: (parseFloat(ctx.letterSpacing) || 0) * scale,
+    color: parseCSSColor(ctx.fillStyle),
+    font,
+    family: typeof font === "string" ? font : font?.name || "sans-serif",
+    bold: style.includes("bold") || Number(weight) >= 600,
+    italic: style.includes("italic"),
+    // Raw canvas state, used to repaint the run onto preview images
+    paint: {
+      matrix: [m.a, m.b, m.c, m.d, m.e, m.f],
+      x,
+      y,
+      font: ctx.font,
+      align: ctx.textAlign,
+      baseline: ctx.textBaseline,
+      direction: ctx.direction,
+      letterSpacing: ctx.letterSpacing,
+      fillStyle: ctx.fillStyle,
+    },
+  };
+}
+
+/** A light run for the profile and preflight text checks, from public p5
+ *  and canvas state only: { str, x, y, size, width, color } in canvas
+ *  pixels, the sketch's text settings untouched. `measure` adds the width
+ *  (one textWidth() call); without it width is 0. */
+function checkTextRun(p, str, x, y, measure) {
+  const ctx = p.drawingContext;
+  const d = p.pixelDensity();
+  const m = ctx.getTransform();
+  const scale = Math.hypot(m.a, m.b) / d;
+  const width = measure ? p.textWidth(str) : 0;
+  const lx =
+    x - alignFactor(p.textAlign()?.horizontal, ctx.direction === "rtl") * width;
+  return {
+    str,
+    x: (m.a * lx + m.c * y + m.e) / d,
+    y: (m.b * lx + m.d * y + m.f) / d,
+    size: p.textSize() * scale,
+    width: width * scale,
+    color: parseCSSColor(ctx.fillStyle),
+  };
+}
+
+// Closest of jsPDF's 14 standard fonts for a CSS family name.
+function standardFontFor(run) {
+  const fam = run.family.toLowerCase();
+  let name = "helvetica";
+  if (/mono|courier|consol|menlo/.test(fam)) name = "courier";
+  else if (/serif|times|georgia|garamond/.test(fam) && !/sans/.test(fam))
+    name = "times";
+  const style =
+    run.bold && run.italic
+      ? "bolditalic"
+      : run.bold
+        ? "bold"
+        : run.italic
+          ? "italic"
+          : "normal";
+  return [name, style];
+}
+
+/** Write recorded runs into the current page of a jsPDF document.
+ *  @param {object} o
+ *  @param {number} o.ox, o.oy   page origin (top-left of the bleed box) in PDF units
+ *  @param {number} o.sx, o.sy   PDF units per canvas pixel
+ *  @param {number} o.bleed      bleed in PDF units (runs are trim-relative)
+ *  @param {number} o.ptPerUnit  points per PDF unit, for font sizes
+ *  @param {boolean} o.visible   false → invisible text on top of the raster
+ *  @param {function} [o.fontFor] run → [name, style] of an embedded font, or
+ *                               null to use the closest standard font
+ *  @param {function} [o.toColor] (r, g, b) → jsPDF color arguments, e.g. CMYK */
+function drawTextRuns(pdf, runs, o) {
+  if (!runs || runs.length === 0) return;
+  for (const run of runs) {
+    const [fontName, fontStyle] = o.fontFor?.(run) || standardFontFor(run);
+    pdf.saveGraphicsState();
+    pdf.setFont(fontName, fontStyle);
+    pdf.setFontSize(run.size * o.sx * o.ptPerUnit);
+    const [r, g, b, a] = run.color;
+    pdf.setTextColor(...(o.toColor ? o.toColor(r, g, b) : [r, g, b]));
+    if (o.visible && a < 1) pdf.setGState(new pdf.GState({ opacity: a }));
+    const charSpace = run.spacing * o.sx;
+    const natural = pdf.getTextWidth(run.str) + charSpace * run.str.length;
+    pdf.text(
+      run.str,
+      o.ox + o.bleed + run.x * o.sx,
+      o.oy + o.bleed + run.y * o.sy,
+      {
+        angle: (-run.angle * 180) / Math.PI,
+        charSpace,
+        horizontalScale: natural > 0 ? (run.width * o.sx) / natural : 1,
+        renderingMode: o.visible ? "fill" : "invisible",
+      },
+    );
+    pdf.restoreGraphicsState();
+  }
+}
+
+/** Repaint recorded runs onto a 2D context whose pixels line up with the main
+ *  canvas, shifted by (offX, offY) device pixels (the bleed offset). */
+function paintTextRuns(ctx, runs, offX = 0, offY = 0) {
+  if (!runs || runs.length === 0) return;
+  ctx.save();
+  for (const { str, paint } of runs) {
+    const [a, b, c, d, e, f] = paint.matrix;
+    ctx.setTransform(a, b, c, d, e + offX, f + offY);
+    ctx.font = paint.font;
+    ctx.textAlign = paint.align;
+    ctx.textBaseline = paint.baseline;
+    ctx.direction = paint.direction;
+    ctx.letterSpacing = paint.letterSpacing;
+    ctx.fillStyle = paint.fillStyle;
+    ctx.fillText(str, paint.x, paint.y);
+  }
+  ctx.restore();
+}
+
+export {
+  TEXT_LAYER_MODES,
+  parseCSSColor,
+  captureTextRun,
+  textRunFromContext,
+  checkTextRun,
+  drawTextRuns,
+  paintTextRuns,
+};
@@ -8,7 +8,15 @@ export function showViewer(book) {
   book._viewerShown = true;
   book._removeProgressUI();
   let showBleed = book._bleed > 0;
-  let viewItems = book._buildViewItems(showBleed);
+  let showGamut = false;
+  let showGuides = false;
+  let showGrid = false;
+  let viewItems = book._buildViewItems(
+    showBleed,
+    showGamut,
+    showGuides,
+    showGrid,
+  );
   let current = 0;
   let mode = book._viewerMode || "flipbook";
 
@@ -19,6 +27,24 @@ export function showViewer(book) {
     document.head.appendChild(s);
   }
 
+  // CMYK mode: flag pages with colors the press can't reproduce
+  const gamutPages = book._colorProfile ? book._outOfGamutPages() : [];
+  if (gamutPages.length > 0)
+    console.warn(
+      `[p5.book] Colors outside the CMYK gamut on page(s) ${gamutPages.join(", ")}. Check "gamut" in the viewer to see where.`,
+    );
+  const gamutTitle = gamutPages.length
+    ? `Out of CMYK gamut on page(s) ${gamutPages.join(", ")}`
+    : "All colors are within the CMYK gamut";
+
+  // useProfile(): problems found at finish()
+  const profileIssues = book._profile ? book._profileIssues : [];
+  const profileTitle = (
+    profileIssues.length
+      ? profileIssues.map((p) => p.message).join("\n")
+      : `Meets ${book._profile?.name}`
+  ).replace(/"/g, "&quot;");
+
   const viewer = document.createElement("div");
   viewer.className = "p5book-viewer";
   if (book._rtl) viewer.setAttribute("dir", "rtl");
@@ -41,13 +67,20 @@ export function showViewer(book) {
         <option value="flipbook">flipbook</option>
         <option value="grid">grid</option>
         <option value="3d">3d viewer</option>
+        <option value="preflight">preflight${book.preflight.length ? ` (${book.preflight.length})` : ""}</option>
       </select>
       ${book._bleed > 0 ? '<label class="p5book-chk-label"><input type="checkbox" id="p5book-chk-bleed" checked> bleed</label>' : ""}
+      <label class="p5book-chk-label" title="Margins (magenta) and safe zone (cyan)"><input type="checkbox" id="p5book-chk-guides"> guides</label>
+      ${book._grid ? '<label class="p5book-chk-label" title="grid() cells and baselines"><input type="checkbox" id="p5book-chk-grid"> grid</label>' : ""}
+      ${book._colorProfile ? `<label class="p5book-chk-label" title="${gamutTitle}"><input type="checkbox" id="p5book-chk-gamut"> gamut${gamutPages.length ? ` <span class="p5book-warn">&#9888; ${gamutPages.length}</span>` : ""}</label>` : ""}
+      ${book._profile ? `<span class="p5book-chk-label" title="${profileTitle}">${book._profile.name}${profileIssues.length ? ` <span class="p5book-warn">&#9888; ${profileIssues.length}</span>` : " &#10003;"}</span>` : ""}
       <span style="flex:1"></span>
       <select id="p5book-dl-sel">
         <option value="pdf">PDF</option>
         ${book._saddleStitch ? '<option value="saddle">Saddle Stitch</option>' : ""}
         <option value="cover">Cover</option>
+        ${book._rawCanvases.length === 8 ? '<option value="zine">Zine (one sheet)</option>' : ""}
+        ${book._inks.size > 0 ? '<option value="inks">Ink plates</option>' : ""}
         <option value="frames-png">Frames (PNG)</option>
         <option value="frames-jpg">Frames (JPG)</option>
       </select>
@@ -75,7 +108,7 @@ export function showViewer(book) {
         <div class="p5book-flipbook-nav">
           <button id="p5book-prev" ${current === 0 ? "disabled" : ""}>${prevArrow}</button>
           <select id="p5book-page-select">
-            ${viewItems.map((v, i) => `<option value="${i}"${i === current ? " selected" : ""}>${v.label}</option>`).join("")}
+            ${viewItems.map((v, i) => `<option value="${i}"${i === current ? " selected" : ""}>${v.label}${v.added ? " (added)" : ""}</option>`).join("")}
           </select>
           <button id="p5book-next" ${current === viewItems.length - 1 ? "disabled" : ""}>${nextArrow}</button>
         </div>
@@ -108,8 +141,11 @@ export function showViewer(book) {
     }
     stage.innerHTML = `<div class="p5book-grid">${viewItems
       .map(
-        (item, i) => `<div class="p5book-grid-item" data-i="${i}">
-        <img src="${item.src}" /><span>${item.label}</span>
+        (
+          item,
+          i,
+        ) => `<div class="p5book-grid-item${item.added ? " p5book-added" : ""}" data-i="${i}"${item.added ? ' title="Added by setPadding()"' : ""}>
+        <img src="${item.src}" /><span>${item.label}${item.added ? ' <span class="p5book-warn">+</span>' : ""}</span>
       </div>`,
       )
       .join("")}</div>`;
@@ -121,6 +157,45 @@ export function showViewer(book) {
     });
   };
 
+  // View item holding page i: with spreads the inner pages come in pairs
+  const itemOf = (i) => {
+    const n = book._previewCanvases.length;
+    if (viewItems.length === n || i === 0) return i;
+    if (i === n - 1) return viewItems.length - 1;
+    return Math.floor((i - 1) / 2) + 1;
+  };
+
+  const renderPreflight = () => {
+    if (animFrameId) {
+      cancelAnimationFrame(animFrameId);
+      animFrameId = null;
+    }
+    // Whole-book warnings first, then page by page
+    const found = book.preflight.sort(
+      (a, b) => (a.page ?? -1) - (b.page ?? -1),
+    );
+    const row = (f) => {
+      const jump = f.page != null;
+      const thumb = jump
+        ? `<img src="${viewItems[itemOf(f.page)].src}" />`
+        : "";
+      return `<div class="p5book-preflight-item${jump ? " p5book-jump" : ""}" data-page="${jump ? f.page : ""}">
+        ${thumb}<span><span class="p5book-warn">&#9888; ${f.check}</span> ${f.message}</span>
+      </div>`;
+    };
+    stage.innerHTML = `<div class="p5book-preflight">${
+      found.length
+        ? found.map(row).join("")
+        : `<p>${book._preflightOpts ? "No problems found." : "Preflight is off (setPreflight(false))."}</p>`
+    }</div>`;
+    stage.querySelectorAll(".p5book-jump").forEach((el) => {
+      el.addEventListener("click", () => {
+        current = itemOf(parseInt(el.dataset.page));
+        setMode("flipbook");
+      });
+    });
+  };
+
   let animFrameId = null;
   const render3D = () => {
     if (animFrameId) {
@@ -131,11 +206,7 @@ export function showViewer(book) {
     // ── dimensions ────────────────────────────────────────────────────
     const trimHmm = book._trimH * (MM_PER_UNIT[book._unit] || 25.4);
     const trimWmm = book._trimW * (MM_PER_UNIT[book._unit] || 25.4);
-    // page thickness per leaf (two-sided sheet), plus ~2 mm for cover boards
-    const spineMM = Math.max(
-      3,
-      Math.ceil((book.totalPages || 1) / 2) * book._pageThickMM + 2,
-    );
+    const spineMM = book._spineMM();
     const coverH = Math.min(
       window.innerHeight - 100,
       Math.max(
@@ -273,7 +344,9 @@ export function showViewer(book) {
             ${book._dpi ? `<dt>dpi</dt><dd>${book._dpi}</dd>` : ""}
             <dt>direction</dt><dd>${book._rtl ? "right → left" : "left → right"}</dd>
             <dt>pages</dt><dd>${book.totalPages || "?"}</dd>
-            <dt>spine</dt><dd>${spineMM.toFixed(1)} mm (${book._pageThickMM.toFixed(3)} mm/leaf)</dd>
+            ${book._profile ? `<dt>profile</dt><dd>${book._profile.name}${profileIssues.length ? ` (${profileIssues.length} problem${profileIssues.length > 1 ? "s" : ""})` : ""}</dd>` : ""}
+            ${book._paper ? `<dt>paper</dt><dd>${book._paper}</dd>` : ""}
+            <dt>spine</dt><dd>${spineMM.toFixed(1)} mm (${book._pageThickMM.toFixed(3)} mm/leaf + ${book._coverThickMM} mm cover × 2)</dd>
           </dl>
         </div>
         <div class="p5book-3d-ctrl" id="p5book-3d-ctrl">
@@ -521,6 +594,7 @@ export function showViewer(book) {
     if (modeSel) modeSel.value = mode;
     if (mode === "flipbook") renderFlipbook();
     else if (mode === "grid") renderGrid();
+    else if (mode === "preflight") renderPreflight();
     else render3D();
   };
 
@@ -528,15 +602,47 @@ export function showViewer(book) {
     .querySelector("#p5book-mode-sel")
     .addEventListener("change", (e) => setMode(e.target.value));
 
+  const rebuildItems = () => {
+    viewItems = book._buildViewItems(
+      showBleed,
+      showGamut,
+      showGuides,
+      showGrid,
+    );
+    if (current >= viewItems.length) current = 0;
+    if (mode === "flipbook") renderFlipbook();
+    else if (mode === "grid") renderGrid();
+    else if (mode === "preflight") renderPreflight();
+    else render3D();
+  };
+
   if (book._bleed > 0) {
     const chk = viewer.querySelector("#p5book-chk-bleed");
     chk.addEventListener("change", () => {
       showBleed = chk.checked;
-      viewItems = book._buildViewItems(showBleed);
-      if (current >= viewItems.length) current = 0;
-      if (mode === "flipbook") renderFlipbook();
-      else if (mode === "grid") renderGrid();
-      else render3D();
+      rebuildItems();
+    });
+  }
+
+  const guidesChk = viewer.querySelector("#p5book-chk-guides");
+  guidesChk.addEventListener("change", () => {
+    showGuides = guidesChk.checked;
+    rebuildItems();
+  });
+
+  if (book._grid) {
+    const chk = viewer.querySelector("#p5book-chk-grid");
+    chk.addEventListener("change", () => {
+      showGrid = chk.checked;
+      rebuildItems();
+    });
+  }
+
+  if (book._colorProfile) {
+    const chk = viewer.querySelector("#p5book-chk-gamut");
+    chk.addEventListener("change", () => {
+      showGamut = chk.checked;
+      rebuildItems();
     });
   }
 
@@ -545,6 +651,8 @@ export function showViewer(book) {
     const val = sel?.value;
     if (val === "saddle") book.saveSaddleStitch();
     else if (val === "cover") book.saveCover();
+    else if (val === "zine") book.saveZine();
+    else if (val === "inks") book.saveInks();
     else if (val === "frames-png") book.exportFrames("png");
     else if (val === "frames-jpg") book.exportFrames("jpeg");
     else book.save();
@@ -559,6 +667,10 @@ export function showViewer(book) {
         pdf = book._buildSaddleStitchPDF();
       } else if (dlType === "cover") {
         pdf = book._buildCoverPDF();
+      } else if (dlType === "zine") {
+        pdf = book._buildZinePDF();
+      } else if (dlType === "inks") {
+        pdf = book._buildInkPDF([...book._inks.keys()]);
       } else {
         pdf = book._spread ? book._buildSpreadPDF() : book._pdf;
       }
@@ -569,7 +681,11 @@ export function showViewer(book) {
           ? `${baseName}-saddle-stitch.pdf`
           : dlType === "cover"
             ? `${baseName}-cover.pdf`
-            : `${baseName}.pdf`;
+            : dlType === "zine"
+              ? `${baseName}-zine.pdf`
+              : dlType === "inks"
+                ? `${baseName}-inks.pdf`
+                : `${baseName}.pdf`;
       const blockedPrintMsg =
         "[p5.book] Your browser couldn't open the print dialog here.\n\n" +
         "This can happen in sandboxed/embedded previews.\n\n" +